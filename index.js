@@ -14,6 +14,16 @@
  *   node index.js listen          — Start agent protocol listener
  *   node index.js subscribe       — Live-stream reports from the topic
  *   node index.js info            — Show topic info and stats
+ *   node index.js topic           — Update memo, rotate submit key, extend expiry
+ *   node index.js verify          — Verify a published report end-to-end
+ *   node index.js batch           — Anchor per-asset reports under one Merkle root
+ *   node index.js history         — Browse the local report archive
+ *   node index.js outbox          — Inspect or flush queued publishes
+ *   node index.js assets          — List or add tracked assets
+ *   node index.js backtest        — Score narrative signals on cached history
+ *   node index.js scorecard       — Score past reports and publish the results
+ *   node index.js portfolio       — Value our holdings against the signals
+ *   node index.js keygen          — Create a subscriber key for premium reports
  *   node index.js demo            — Run a full demo cycle
  *
  * Built for the Hedera Hello Future Apex Hackathon 2026.
@@ -27,22 +37,146 @@ const { IntelEngine } = require("./src/intel");
 const { NetworkAnalytics } = require("./src/network");
 const { AgentProtocol } = require("./src/agent-protocol");
 const { OpenConvAIAgent } = require("./src/hcs10");
+const { ReportBatcher } = require("./src/batch");
+const { ReportArchive } = require("./src/archive");
+const { PublishOutbox } = require("./src/outbox");
+const { Backtester, parseDuration } = require("./src/backtest");
+const { ScorecardTracker } = require("./src/scorecard");
+const { getProfile } = require("./src/focus");
+const { resolveCurrency } = require("./src/currency");
+const { renderAssets, renderPortfolio, renderReport } = require("./src/render");
+const { Portfolio } = require("./src/portfolio");
+const { generateSubscriberKey } = require("./src/encryption");
+const { LOCAL_SIM } = require("./src/transport");
+const { configureSimulator, getSimOperator } = require("./src/simulator");
 const fs = require("fs");
 const path = require("path");
 
+const NETWORK = process.env.HEDERA_NETWORK || "testnet";
+
+// local-sim keeps its ledger on disk so separate commands share topics and messages
+if (NETWORK === LOCAL_SIM) {
+  configureSimulator({
+    statePath: process.env.HEDERA_SIM_STATE || path.join(__dirname, "data", "local-sim.json"),
+  });
+}
+
 const hedera = new HederaService();
-const intel = new IntelEngine();
-const network = new NetworkAnalytics(process.env.HEDERA_NETWORK || "testnet");
+const network = new NetworkAnalytics(NETWORK);
+const intel = new IntelEngine({
+  priceProviders: process.env.PRICE_PROVIDERS || undefined,
+  minPriceSources: process.env.PRICE_MIN_SOURCES ? parseInt(process.env.PRICE_MIN_SOURCES) : undefined,
+  currency: process.env.REPORT_CURRENCY || undefined,
+  locale: process.env.REPORT_LOCALE || undefined,
+  network,
+});
+const archive = new ReportArchive(path.join(__dirname, "data", "archive"));
+const outbox = new PublishOutbox(path.join(__dirname, "data", "outbox"));
+const scorecards = new ScorecardTracker(archive, intel.history, { dir: path.join(__dirname, "data", "scorecards") });
+
+// The scored track record feeds into each report's confidence
+intel.setScorecards(scorecards);
+
+// Reports are queued to disk before submitting and retried on transient errors
+hedera.setOutbox(outbox);
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 
+// The simulator ships with a built-in operator, so no credentials are needed
+const simOperator = NETWORK === LOCAL_SIM ? getSimOperator() : {};
+
 const CONFIG = {
-  accountId: process.env.HEDERA_ACCOUNT_ID,
-  privateKey: process.env.HEDERA_PRIVATE_KEY,
-  network: process.env.HEDERA_NETWORK || "testnet",
+  accountId: process.env.HEDERA_ACCOUNT_ID || simOperator.accountId,
+  privateKey: process.env.HEDERA_PRIVATE_KEY || simOperator.privateKey,
+  network: NETWORK,
   topicId: process.env.HEDERA_TOPIC_ID || null,
+  subscriberKey: process.env.SUBSCRIBER_PRIVATE_KEY || null,
+  submitKey: process.env.HEDERA_SUBMIT_KEY || null,
+  adminKey: process.env.HEDERA_ADMIN_KEY || null,
 };
 
+/**
+ * Load the extra keys for restricted topics (only needed when they
+ * differ from the operator's). Called by commands that publish or
+ * administer topics; a malformed key ends the command with one line.
+ */
+function loadTopicKeys() {
+  for (const [name, key] of [["HEDERA_SUBMIT_KEY", "submitKey"], ["HEDERA_ADMIN_KEY", "adminKey"]]) {
+    try {
+      hedera.setTopicKeys({ [key]: CONFIG[key] });
+    } catch (err) {
+      console.error(`Error: ${name} is not a valid private key (${err.message})`);
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * Explorer link for a topic (local-sim topics only exist on this machine).
+ */
+function explorerUrl(topicId) {
+  return CONFIG.network === LOCAL_SIM
+    ? `${topicId} on the local simulator (no explorer)`
+    : `https://hashscan.io/${CONFIG.network}/topic/${topicId}`;
+}
+
+/**
+ * Read the value of a `--name <value>` CLI flag (or null if absent).
+ */
+function getFlag(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : null;
+}
+
+/**
+ * Whether a boolean `--name` CLI flag is present.
+ */
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+/**
+ * Write (or replace) a KEY=value line in .env, if the file exists.
+ */
+function saveEnvValue(name, value) {
+  const envPath = path.join(__dirname, ".env");
+  if (!fs.existsSync(envPath)) return false;
+
+  let envContent = fs.readFileSync(envPath, "utf-8");
+  const pattern = new RegExp(`^${name}=.*$`, "m");
+  if (pattern.test(envContent)) {
+    envContent = envContent.replace(pattern, `${name}=${value}`);
+  } else {
+    envContent += `\n${name}=${value}\n`;
+  }
+  fs.writeFileSync(envPath, envContent);
+  return true;
+}
+
+/**
+ * Positional arguments after the command, skipping `--name <value>` flags.
+ */
+function getArgs() {
+  const args = [];
+  const argv = process.argv.slice(3);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      i++;
+      continue;
+    }
+    args.push(argv[i]);
+  }
+  return args;
+}
+
+/**
+ * Subscriber public keys for encrypted reports (--recipients or PREMIUM_RECIPIENTS).
+ */
+function getRecipients() {
+  const list = getFlag("recipients") || process.env.PREMIUM_RECIPIENTS || "";
+  return list.split(",").map((k) => k.trim()).filter(Boolean);
+}
+
 // ─── Commands ───────────────────────────────────────────────────────────────
 
 async function setup() {
@@ -50,30 +184,29 @@ async function setup() {
   console.log("║       HederaIntel Agent — Initial Setup         ║");
   console.log("╚══════════════════════════════════════════════════╝\n");
 
+  loadTopicKeys();
   await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
 
+  // --restricted: only the operator may post to or update the topic
+  const restricted = hasFlag("restricted");
+  const access = {
+    submitKey: getFlag("submit-key") || (restricted ? "operator" : null),
+    adminKey: getFlag("admin-key") || (restricted ? "operator" : null),
+  };
+
   const topicId = await hedera.createTopic(
-    "HederaIntel Agent — Autonomous Market Intelligence Feed"
+    "HederaIntel Agent — Autonomous Market Intelligence Feed",
+    access
   );
 
   // Save topic ID for future use
-  const envPath = path.join(__dirname, ".env");
-  if (fs.existsSync(envPath)) {
-    let envContent = fs.readFileSync(envPath, "utf-8");
-    if (envContent.includes("HEDERA_TOPIC_ID=")) {
-      envContent = envContent.replace(
-        /HEDERA_TOPIC_ID=.*/,
-        `HEDERA_TOPIC_ID=${topicId}`
-      );
-    } else {
-      envContent += `\nHEDERA_TOPIC_ID=${topicId}\n`;
-    }
-    fs.writeFileSync(envPath, envContent);
-  }
+  saveEnvValue("HEDERA_TOPIC_ID", topicId);
 
   console.log(`\n✅ Setup complete!`);
   console.log(`   Topic ID: ${topicId}`);
-  console.log(`   Explorer: https://hashscan.io/${CONFIG.network}/topic/${topicId}`);
+  console.log(`   Submit:   ${access.submitKey ? `restricted (${access.submitKey})` : "open — anyone can post"}`);
+  console.log(`   Admin:    ${access.adminKey ? `set (${access.adminKey})` : "none — topic is immutable"}`);
+  console.log(`   Explorer: ${explorerUrl(topicId)}`);
   console.log(`\n   Run 'node index.js report' to publish your first report.\n`);
 }
 
@@ -82,6 +215,17 @@ async function generateAndPublish() {
   console.log("║       HederaIntel Agent — Market Report         ║");
   console.log("╚══════════════════════════════════════════════════╝\n");
 
+  const focus = getFlag("focus") || "general";
+  const currency = getFlag("currency") || undefined;
+  try {
+    getProfile(focus);
+    if (currency) resolveCurrency(currency, intel.assets);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  loadTopicKeys();
   await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
 
   if (CONFIG.topicId) {
@@ -91,48 +235,53 @@ async function generateAndPublish() {
     await hedera.createTopic("HederaIntel Agent — Market Intelligence");
   }
 
-  // Generate the intelligence report
+  // Generate the intelligence report; the focus profile picks default assets
+  const assetFlag = getFlag("assets");
+  const locale = getFlag("locale") || undefined;
   const report = await intel.generateReport({
-    assets: ["BTC", "ETH", "SOL", "HBAR"],
-    focus: "general",
+    assets: assetFlag ? assetFlag.split(",").map((a) => a.trim().toUpperCase()).filter(Boolean) : undefined,
+    focus,
+    currency,
+    locale,
   });
 
   // Display the report
   console.log("\n─── Intelligence Report ───────────────────────────");
-  console.log(`Title:      ${report.title}`);
-  console.log(`Generated:  ${report.generatedAt}`);
-  console.log(`Confidence: ${report.confidence}`);
-  console.log(`Summary:    ${report.summary}`);
-  console.log("\nAssets:");
-  for (const asset of report.assets) {
-    console.log(
-      `  ${asset.symbol.padEnd(6)} ${asset.price.padStart(12)} | 24h: ${asset.change24h.padStart(8)} | MCap: ${asset.marketCap}`
-    );
-  }
-  if (report.signals.length > 0) {
-    console.log("\nActive Signals:");
-    for (const signal of report.signals) {
-      const bar = "█".repeat(Math.round(signal.score * 10)).padEnd(10, "░");
-      console.log(`  [${bar}] ${signal.narrative}`);
-      console.log(`           ${signal.evidence}`);
-    }
-  }
-  if (report.actionItems.length > 0) {
-    console.log("\nAction Items:");
-    for (const action of report.actionItems) {
-      console.log(`  → ${action}`);
-    }
-  }
+  for (const line of renderReport(report, { locale })) console.log(line);
   console.log("───────────────────────────────────────────────────\n");
 
   // Publish to Hedera Consensus Service
+  const recipients = getRecipients();
+  if (recipients.length > 0) {
+    console.log(`[Agent] Encrypting report for ${recipients.length} subscriber(s)...`);
+  }
   console.log("[Agent] Publishing to Hedera Consensus Service...");
-  const txResult = await hedera.publishReport(report);
+  let txResult;
+  try {
+    txResult = await hedera.publishReport(report, { recipients });
+  } catch (err) {
+    if (err.outboxId) {
+      console.error(`[Agent] Publish failed; report kept in the outbox (${err.outboxId.slice(0, 12)}).`);
+      console.error("[Agent] Retry with: node index.js outbox flush");
+    }
+    throw err;
+  }
+  const archived = archive.record(report, txResult, { encrypted: recipients.length > 0 });
 
   console.log(`\n✅ Report published on-chain!`);
   console.log(`   Sequence:    #${txResult.sequenceNumber || txResult.totalChunks + " chunks"}`);
   console.log(`   Transaction: ${txResult.transactionId || txResult.chunks?.[0]?.transactionId}`);
-  console.log(`   Verify:      ${txResult.hashscanUrl}`);
+  console.log(`   Verify:      ${txResult.hashscanUrl || explorerUrl(txResult.topicId)}`);
+  console.log(`   Archived:    #${archived.id} (node index.js history ${archived.id})`);
+
+  const outFile = getFlag("out");
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+    console.log(`   Saved:       ${outFile}`);
+    console.log(
+      `   Check with:  node index.js verify ${txResult.topicId} ${txResult.sequenceNumber || txResult.chunks[0].sequenceNumber} ${outFile}`
+    );
+  }
   console.log(`\n   This report is now permanently timestamped on Hedera.\n`);
 
   return { report, txResult };
@@ -151,20 +300,56 @@ async function subscribe() {
   await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
   hedera.setTopicId(CONFIG.topicId);
 
+  const decryptionKey = getFlag("key") || CONFIG.subscriberKey;
+  if (decryptionKey) {
+    console.log("Encrypted reports addressed to your key will be decrypted.");
+  }
   console.log(`Listening for reports on topic ${CONFIG.topicId}...`);
   console.log("Press Ctrl+C to stop.\n");
 
-  await hedera.subscribe((message) => {
-    console.log(`\n─── New Report [#${message.sequenceNumber}] ────────`);
-    console.log(`  Time: ${message.timestamp}`);
-    if (message.content?.report) {
-      console.log(`  Title: ${message.content.report.title}`);
-      console.log(`  Summary: ${message.content.report.summary}`);
-    } else {
-      console.log(`  Content: ${JSON.stringify(message.content).slice(0, 200)}`);
+  await hedera.subscribe(
+    (message) => {
+      console.log(`\n─── New Report [#${message.sequenceNumber}] ────────`);
+      console.log(`  Time: ${message.timestamp}`);
+      if (message.sequenceNumbers.length > 1) {
+        console.log(`  Chunks: ${message.sequenceNumbers.length} (#${message.sequenceNumbers.join(", #")})`);
+      }
+      if (message.content?.report) {
+        console.log(`  Title: ${message.content.report.title}`);
+        console.log(`  Summary: ${message.content.report.summary}`);
+        if (message.schema?.valid) {
+          for (const line of renderAssets(message.content.report)) console.log(line);
+          console.log(`  ✅ Schema ${message.schema.version}`);
+        } else if (message.schema) {
+          console.log(`  ⚠️  Fails schema ${message.schema.version ?? "?"}: ${message.schema.errors.slice(0, 3).join("; ")}`);
+        }
+        if (message.content.signature) {
+          hedera.verifySignature(message.content).then((sig) => {
+            console.log(
+              sig.valid
+                ? `  ✅ Signed by ${sig.accountId} (report #${message.sequenceNumber})`
+                : `  ⚠️  Report #${message.sequenceNumber}: ${sig.reason}`
+            );
+          }).catch((err) => {
+            console.warn(`  ⚠️  Could not check signature: ${err.message}`);
+          });
+        }
+      } else if (message.content?.type === "signal_scorecard") {
+        const card = message.content.scorecard;
+        console.log(`  Scorecard (${card.horizon}) for report #${card.report.sequenceNumber}: ${card.correct} correct, ${card.incorrect} incorrect`);
+      } else if (message.content?.encrypted) {
+        console.log(`  🔒 Encrypted premium report (${message.content.encrypted.recipients.length} recipients)`);
+        console.log(`  Digest: ${message.content.integrity.digest}`);
+      } else {
+        console.log(`  Content: ${JSON.stringify(message.content).slice(0, 200)}`);
+      }
+      console.log(`───────────────────────────────────────\n`);
+    },
+    {
+      onError: (err) => console.warn(`\n⚠️  ${err.message}\n`),
+      decryptionKey,
     }
-    console.log(`───────────────────────────────────────\n`);
-  });
+  );
 }
 
 async function info() {
@@ -186,8 +371,282 @@ async function info() {
   console.log(`  Memo:            ${topicInfo.memo}`);
   console.log(`  Messages:        ${topicInfo.sequenceNumber}`);
   console.log(`  Expires:         ${topicInfo.expirationTime || "N/A"}`);
-  console.log(`  Explorer:        https://hashscan.io/${CONFIG.network}/topic/${topicInfo.topicId}`);
+  console.log(`  Explorer:        ${explorerUrl(topicInfo.topicId)}`);
+  printTopicAccess(topicInfo);
+  console.log();
+}
+
+/**
+ * Print a topic's key configuration and auto-renew status.
+ */
+function printTopicAccess(topicInfo) {
+  console.log(`\n  ─── Access Control ───`);
+  console.log(`  Submit key:      ${topicInfo.submitKey.description}`);
+  console.log(`  Admin key:       ${topicInfo.adminKey.description}`);
+  console.log(`  Auto-renew:      ${topicInfo.autoRenewAccountId || "none"}${topicInfo.autoRenewPeriodDays ? ` every ${topicInfo.autoRenewPeriodDays} days` : ""}`);
+  if (topicInfo.autoRenewAccountId) {
+    console.log(`  Renew balance:   ${topicInfo.autoRenewBalance || "unknown"}`);
+  }
+
+  if (topicInfo.submitKey.type === "none") {
+    console.log(`  ⚠️  Anyone can post to this topic.`);
+  }
+  if (topicInfo.adminKey.type === "none") {
+    console.log(`  ℹ️  No admin key: memo, keys and auto-renew can never be changed.`);
+  }
+}
+
+async function topic() {
+  const [action, ...rest] = getArgs();
+  const actions = ["memo", "rotate-submit-key", "extend"];
+
+  if (!actions.includes(action)) {
+    console.error("Usage: node index.js topic memo <text>");
+    console.error("       node index.js topic rotate-submit-key [operator|<privateKey>]");
+    console.error("       node index.js topic extend <days>");
+    process.exit(1);
+  }
+
+  if (!CONFIG.topicId) {
+    console.error("Error: No HEDERA_TOPIC_ID set. Run 'node index.js setup' first.");
+    process.exit(1);
+  }
+
+  loadTopicKeys();
+  await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
+  hedera.setTopicId(CONFIG.topicId);
+
+  if (action === "memo") {
+    const memo = rest.join(" ");
+    if (!memo) {
+      console.error("Usage: node index.js topic memo <text>");
+      process.exit(1);
+    }
+    const result = await hedera.updateTopicMemo(memo);
+    console.log(`\n✅ Memo updated (TX ${result.transactionId})\n`);
+  } else if (action === "rotate-submit-key") {
+    const result = await hedera.rotateSubmitKey(rest[0] || null);
+    console.log(`\n✅ Submit key rotated (TX ${result.transactionId})`);
+    console.log(`   New public key: ${result.publicKey}`);
+    if (result.privateKey) {
+      const saved = saveEnvValue("HEDERA_SUBMIT_KEY", result.privateKey);
+      console.log(
+        saved
+          ? `   Private key saved to .env as HEDERA_SUBMIT_KEY.`
+          : `   Private key (store as HEDERA_SUBMIT_KEY): ${result.privateKey}`
+      );
+    }
+    console.log();
+  } else if (action === "extend") {
+    const days = parseInt(rest[0], 10);
+    if (!days || days <= 0) {
+      console.error("Usage: node index.js topic extend <days>");
+      process.exit(1);
+    }
+    const result = await hedera.extendTopicExpiry(days);
+    console.log(`\n✅ Expiry extended`);
+    console.log(`   From: ${result.previousExpiration}`);
+    console.log(`   To:   ${result.expirationTime}`);
+  }
+
+  printTopicAccess(await hedera.getTopicInfo());
+  console.log();
+}
+
+async function verify() {
+  const [topicId, sequenceNumber, reportFile] = getArgs();
+
+  if (!topicId || !sequenceNumber) {
+    console.error("Usage: node index.js verify <topicId> <sequenceNumber> [reportFile] [--key <subscriberKey>]");
+    process.exit(1);
+  }
+
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Verify Report         ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  const localReport = reportFile
+    ? JSON.parse(fs.readFileSync(reportFile, "utf-8"))
+    : null;
+
+  hedera.network = CONFIG.network;
+  const result = await hedera.verifyReport(topicId, sequenceNumber, localReport, {
+    decryptionKey: getFlag("key") || CONFIG.subscriberKey,
+  });
+
+  console.log(`  Topic:       ${result.topicId}`);
+  console.log(`  Sequence:    #${result.sequenceNumbers.join(", #")}`);
+  console.log(`  Title:       ${result.title}${result.encrypted ? " 🔒" : ""}${result.commitment ? " (digest-only commitment)" : ""}`);
+  console.log(`  Consensus:   ${result.consensusTimestamp}`);
+  console.log(`  Signed by:   ${result.signedBy || "(unsigned or invalid signature)"}`);
+  if (result.manifestSigned === false) {
+    console.log("  Manifest:    section hashes are unsigned; checked against the signed report");
+  }
+  console.log(`  Envelope:    v${result.envelopeVersion} (${result.algorithm}${result.canonicalization ? `, ${result.canonicalization}` : ", summary only"})`);
+  console.log(`  On-chain:    ${result.onChainHash}`);
+  if (result.computedHash) {
+    console.log(`  Local:       ${result.computedHash}`);
+  } else {
+    console.log(`  Local:       (no report file given — on-chain integrity only)`);
+  }
+  console.log();
+  for (const check of result.checks) {
+    console.log(`  ${check.passed ? "✅" : "❌"} ${check.name}`);
+  }
+
+  console.log(`\n  Result: ${result.valid ? "PASS" : "FAIL"}\n`);
+  if (!result.valid) process.exit(1);
+
+  return result;
+}
+
+async function batch() {
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Batch Anchoring       ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  if (!CONFIG.topicId) {
+    console.error("Error: No HEDERA_TOPIC_ID set. Run 'node index.js setup' first.");
+    process.exit(1);
+  }
+
+  loadTopicKeys();
+  await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
+  hedera.setTopicId(CONFIG.topicId);
+
+  const assets = (getFlag("assets") || "BTC,ETH,SOL,HBAR")
+    .split(",")
+    .map((a) => a.trim().toUpperCase());
+  const batcher = new ReportBatcher(hedera, {
+    maxReports: assets.length,
+    proofDir: path.join(__dirname, "data", "proofs"),
+  });
+
+  // One report per asset, all anchored by a single HCS message
+  const pending = [];
+  for (const asset of assets) {
+    const report = await intel.generateReport({ assets: [asset], focus: "general" });
+    pending.push(batcher.add(report));
+  }
+  const proofs = await Promise.all(pending);
+  const { anchor } = proofs[0];
+  for (const proof of proofs) {
+    archive.record(proof.report, { ...anchor, merkleRoot: proof.root });
+  }
+
+  console.log(`\n✅ ${proofs.length} reports anchored in one HCS message`);
+  console.log(`   Root:        ${proofs[0].root}`);
+  console.log(`   Sequence:    #${anchor.sequenceNumber}`);
+  console.log(`   Transaction: ${anchor.transactionId}`);
+  console.log("\n   Proofs:");
+  for (const proof of proofs) {
+    console.log(`   ${proof.title.padEnd(36)} ${path.relative(process.cwd(), proof.file)}`);
+  }
+  console.log(`\n   Check one with: node index.js verify-proof <proofFile>\n`);
+
+  return proofs;
+}
+
+async function verifyProofCommand() {
+  const [proofFile, reportFile] = getArgs();
+
+  if (!proofFile) {
+    console.error("Usage: node index.js verify-proof <proofFile> [reportFile]");
+    process.exit(1);
+  }
+
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║     HederaIntel Agent — Verify Batched Report    ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  const proofRecord = JSON.parse(fs.readFileSync(proofFile, "utf-8"));
+  const report = reportFile
+    ? JSON.parse(fs.readFileSync(reportFile, "utf-8"))
+    : proofRecord.report;
+
+  hedera.network = CONFIG.network;
+  const result = await hedera.verifyBatchedReport(report, proofRecord);
+
+  console.log(`  Topic:       ${result.topicId}`);
+  console.log(`  Anchor:      #${result.sequenceNumber}`);
+  console.log(`  Root:        ${result.root}`);
+  console.log(`  Leaf:        ${result.leafIndex + 1} of ${result.batchSize}`);
+  console.log(`  Consensus:   ${result.consensusTimestamp}`);
+  console.log(`  Signed by:   ${result.signedBy || "(unsigned or invalid signature)"}`);
   console.log();
+  for (const check of result.checks) {
+    console.log(`  ${check.passed ? "✅" : "❌"} ${check.name}`);
+  }
+
+  console.log(`\n  Result: ${result.valid ? "PASS" : "FAIL"}\n`);
+  if (!result.valid) process.exit(1);
+
+  return result;
+}
+
+function keygen() {
+  const { privateKey, publicKey } = generateSubscriberKey();
+  console.log(`
+Subscriber key pair (ECDSA secp256k1) for encrypted premium reports
+
+  Public key:   ${publicKey}
+  Private key:  ${privateKey}
+
+Give the public key to the publisher (--recipients / PREMIUM_RECIPIENTS).
+Keep the private key secret and set it as SUBSCRIBER_PRIVATE_KEY to decrypt.
+`);
+}
+
+async function history() {
+  const [id] = getArgs();
+
+  if (id) {
+    const record = archive.get(id);
+    if (!record) {
+      console.error(`No archived report #${id}.`);
+      process.exit(1);
+    }
+
+    console.log(`\n─── Archived Report #${record.id} ─────────────────────`);
+    console.log(`Title:       ${record.title}`);
+    console.log(`Generated:   ${record.generatedAt}`);
+    console.log(`Confidence:  ${record.confidence}${record.confidenceScore === null || record.confidenceScore === undefined ? "" : ` (${record.confidenceScore.toFixed(2)})`}`);
+    console.log(`Digest:      ${record.digest}`);
+    console.log(`Topic:       ${record.topicId || "N/A"}`);
+    console.log(`Sequence:    #${record.sequenceNumbers.join(", #") || "N/A"}`);
+    console.log(`Transaction: ${record.transactionId || "N/A"}`);
+    console.log("───────────────────────────────────────────────────");
+    console.log(JSON.stringify(record.report, null, 2));
+    console.log();
+    return record;
+  }
+
+  const entries = archive.list({
+    from: getFlag("from"),
+    to: getFlag("to"),
+    asset: getFlag("asset"),
+    confidence: getFlag("confidence"),
+    limit: getFlag("limit") ? parseInt(getFlag("limit")) : 50,
+  });
+
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Report History        ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  if (entries.length === 0) {
+    console.log("  No archived reports match.\n");
+    return entries;
+  }
+
+  for (const e of entries) {
+    console.log(
+      `  #${String(e.id).padEnd(5)} ${e.generatedAt.slice(0, 16).replace("T", " ")}  ${String(e.confidence).padEnd(7)} ${e.assets.join(",").padEnd(18)} ${e.title}`
+    );
+    console.log(`         seq #${e.sequenceNumbers.join(", #") || "N/A"}  ${e.digest.slice(0, 16)}…`);
+  }
+  console.log(`\n  ${entries.length} report(s). Show one with: node index.js history <id>\n`);
+
+  return entries;
 }
 
 async function demo() {
@@ -197,6 +656,7 @@ async function demo() {
   console.log("This demo creates a topic, generates 3 reports, and");
   console.log("publishes them to Hedera for permanent timestamping.\n");
 
+  loadTopicKeys();
   await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
 
   // Step 1: Create topic
@@ -205,8 +665,8 @@ async function demo() {
 
   // Step 2: Generate and publish reports
   const categories = [
-    { assets: ["BTC", "ETH"], focus: "major_caps" },
-    { assets: ["SOL", "HBAR"], focus: "l1_ecosystems" },
+    { assets: ["BTC", "ETH"], focus: "macro" },
+    { assets: ["BTC", "HBAR"], focus: "hedera-ecosystem" },
     { assets: ["BTC", "ETH", "SOL", "HBAR"], focus: "general" },
   ];
 
@@ -216,6 +676,7 @@ async function demo() {
     console.log(`\n═══ Step ${i + 2}: Report ${i + 1}/${categories.length} ═══`);
     const report = await intel.generateReport(categories[i]);
     const txResult = await hedera.publishReport(report);
+    archive.record(report, txResult);
     results.push({ report, txResult });
 
     console.log(`  ✅ Published: ${report.title}`);
@@ -233,7 +694,7 @@ async function demo() {
   console.log("╚══════════════════════════════════════════════════╝\n");
   console.log(`  Topic:      ${topicId}`);
   console.log(`  Reports:    ${results.length} published`);
-  console.log(`  Explorer:   https://hashscan.io/${CONFIG.network}/topic/${topicId}`);
+  console.log(`  Explorer:   ${explorerUrl(topicId)}`);
   console.log(`\n  All reports are now permanently timestamped on Hedera.`);
   console.log(`  Anyone can verify their existence and content on-chain.\n`);
 
@@ -282,14 +743,16 @@ async function networkHealth() {
 
   // Also publish to HCS if connected
   if (CONFIG.accountId && CONFIG.topicId) {
+    loadTopicKeys();
     await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
     hedera.setTopicId(CONFIG.topicId);
     console.log("[Agent] Publishing network report to HCS...");
     const txResult = await hedera.publishReport({
       title: "Hedera Network Health Report",
-      summary: JSON.stringify(report),
+      summary: `Hedera ${report.network} health: ${report.healthScore}/100.`,
+      network: report,
     });
-    console.log(`✅ Published: ${txResult.hashscanUrl}\n`);
+    console.log(`✅ Published: ${txResult.hashscanUrl || explorerUrl(txResult.topicId)}\n`);
   }
 
   return report;
@@ -306,6 +769,7 @@ async function listen() {
     process.exit(1);
   }
 
+  loadTopicKeys();
   await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
   hedera.setTopicId(CONFIG.topicId);
 
@@ -358,7 +822,7 @@ async function openconvai() {
     const result = await agent.register();
     console.log(`\n[Agent] Registered in HOL Registry!`);
     console.log(`[Agent] Operator: ${result.operatorId}`);
-    console.log(`[Agent] Verify: ${result.hashscanUrl}\n`);
+    console.log(`[Agent] Verify: ${result.hashscanUrl || explorerUrl(result.registryTopicId)}\n`);
 
     // Mark as registered
     const envPath = path.join(__dirname, ".env");
@@ -428,6 +892,348 @@ async function queryAgent() {
   console.log(`[Agent] ✅ Query sent! TX: ${result.transactionId}`);
 }
 
+/**
+ * Inspect the publish outbox, retry pending items or drop one.
+ *
+ *   node index.js outbox              — list queued and recent publishes
+ *   node index.js outbox flush        — retry everything not yet published
+ *   node index.js outbox drop <id>    — discard a queued item
+ */
+async function outboxCommand() {
+  const [action, id] = getArgs();
+
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Publish Outbox        ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  if (action === "flush") {
+    const queued = outbox.unpublished();
+    if (queued.length === 0) {
+      console.log("  Nothing to flush.\n");
+      return [];
+    }
+
+    loadTopicKeys();
+    await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
+    const outcomes = await hedera.flushOutbox();
+
+    for (const { item, result, error } of outcomes) {
+      const name = item.title || item.label;
+      if (error) {
+        console.log(`  ❌ ${item.id.slice(0, 12)}  ${name}: ${error.message}`);
+        continue;
+      }
+      const seq = result.sequenceNumber || result.chunks.map((c) => c.sequenceNumber).join(", #");
+      console.log(`  ✅ ${item.id.slice(0, 12)}  ${name} → ${item.topicId} #${seq}`);
+      if (item.report) {
+        const archived = archive.record(item.report, result, {
+          kind: item.label === "commitment" ? "commitment" : "report",
+          encrypted: Boolean(item.encrypted),
+        });
+        console.log(`     Archived as #${archived.id}`);
+      }
+    }
+
+    const failed = outcomes.filter((o) => o.error).length;
+    console.log(`\n  ${outcomes.length - failed} published, ${failed} still queued.\n`);
+    if (failed > 0) process.exit(1);
+    return outcomes;
+  }
+
+  if (action === "drop") {
+    const item = id && outbox.get(id);
+    if (!item) {
+      console.error(`No outbox item ${id || "(missing id)"}.`);
+      process.exit(1);
+    }
+    outbox.remove(item.id);
+    console.log(`  Dropped ${item.id.slice(0, 12)} (${item.title || item.label}).\n`);
+    return item;
+  }
+
+  const items = outbox.list();
+  if (items.length === 0) {
+    console.log("  Outbox is empty.\n");
+    return items;
+  }
+
+  for (const item of items) {
+    const icon = { pending: "⏳", failed: "❌", published: "✅" }[item.status] || "•";
+    console.log(
+      `  ${icon} ${item.id.slice(0, 12)}  ${item.status.padEnd(9)} ${item.createdAt.slice(0, 16).replace("T", " ")}  ${item.title || item.label}`
+    );
+    console.log(
+      `     topic ${item.topicId}  ${item.confirmed.length}/${item.parts.length} part(s) confirmed  ${item.attempts} failed attempt(s)`
+    );
+    if (item.lastError) console.log(`     last error: ${item.lastError}`);
+    if (item.nextAttemptAt) console.log(`     next retry: ${item.nextAttemptAt}`);
+  }
+
+  const queued = items.filter((i) => i.status !== "published").length;
+  console.log(`\n  ${queued} queued, ${items.length - queued} published.`);
+  if (queued > 0) console.log("  Retry with: node index.js outbox flush");
+  console.log();
+
+  return items;
+}
+
+/**
+ * Replay cached price history through narrative detection and score
+ * the signals against what happened next. Runs offline.
+ */
+async function backtest() {
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Signal Backtest       ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  const assets = (getFlag("assets") || "BTC,ETH,SOL,HBAR").split(",").map((a) => a.trim()).filter(Boolean);
+  const from = getFlag("from") ? new Date(getFlag("from")).getTime() : null;
+  const to = getFlag("to") ? new Date(getFlag("to")).getTime() : null;
+
+  let result;
+  try {
+    result = new Backtester(intel, intel.history).run({
+      assets,
+      from,
+      to,
+      cadenceMs: parseDuration(getFlag("every") || "1d"),
+      horizonMs: parseDuration(getFlag("horizon") || "1d"),
+    });
+  } catch (err) {
+    console.error(`  ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const pct = (v) => (v === null ? "—" : `${(v * 100).toFixed(0)}%`);
+  const ret = (v) => (v === null ? "—" : `${v > 0 ? "+" : ""}${v.toFixed(2)}%`);
+
+  console.log(`  Assets:   ${result.assets.join(", ")}`);
+  console.log(`  Period:   ${result.from.slice(0, 16)} → ${result.to.slice(0, 16)}`);
+  console.log(`  Cadence:  every ${result.cadence}, ${result.steps} step(s); returns over ${result.horizon}`);
+  console.log(
+    `  Signals:  ${result.overall.signals} (${result.overall.directional} directional), hit rate ${pct(result.overall.hitRate)}, avg signed return ${ret(result.overall.avgSignedReturnPct)}`
+  );
+
+  console.log("\n  Type                     Count  Hit rate  Avg return  Signed");
+  for (const [type, stats] of Object.entries(result.byType)) {
+    console.log(
+      `  ${type.padEnd(24)} ${String(stats.signals).padStart(5)}  ${pct(stats.hitRate).padStart(8)}  ${ret(stats.avgReturnPct).padStart(10)}  ${ret(stats.avgSignedReturnPct).padStart(6)}`
+    );
+  }
+
+  console.log("\n  Score calibration (directional signals)");
+  for (const row of result.calibration) {
+    console.log(`  ${row.range.padEnd(9)} ${String(row.count).padStart(5)} signal(s)  hit rate ${pct(row.hitRate)}`);
+  }
+  if (result.overall.brier !== null) console.log(`  Brier score: ${result.overall.brier} (lower is better)`);
+  console.log("\n  News and network metrics are not replayed; rules that need them do not fire.");
+
+  const outFile = getFlag("out");
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+    console.log(`  Full results saved to ${outFile}`);
+  }
+  console.log();
+  return result;
+}
+
+/**
+ * Revisit archived reports 24h and 7d after publication, score their
+ * calls against the realized move and publish signed scorecards.
+ *
+ *   node index.js scorecard          — show the track record so far
+ *   node index.js scorecard run      — score and publish everything due
+ */
+async function scorecardCommand() {
+  const [action] = getArgs();
+
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Signal Scorecards     ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  if (action === "run") {
+    const due = scorecards.due();
+    if (due.length === 0) {
+      console.log("  No reports are due for scoring.\n");
+      return [];
+    }
+
+    // Bring the price cache up to date for every asset the due reports called
+    const symbols = new Set();
+    for (const { entry } of due) {
+      for (const signal of archive.get(entry.id).report.signals || []) {
+        if (signal.asset) symbols.add(signal.asset);
+      }
+    }
+    await intel._fetchHistory([...symbols]);
+
+    loadTopicKeys();
+    await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
+
+    // Each scorecard goes to the topic its report was published on
+    const published = [];
+    for (const { entry, horizon } of due) {
+      const scorecard = scorecards.build(entry, horizon);
+      if (!scorecard) {
+        console.log(`  ⏳ #${entry.id} ${horizon.label}: no cached prices for its calls yet`);
+        continue;
+      }
+
+      hedera.setTopicId(entry.topicId);
+      const receipt = await hedera.publishScorecard(scorecard);
+      const row = scorecards.record(entry, scorecard, receipt);
+      const accuracy = scorecard.accuracy === null ? "no directional calls" : `${(scorecard.accuracy * 100).toFixed(0)}% correct`;
+      console.log(
+        `  ✅ #${entry.id} ${horizon.label}: ${scorecard.correct}/${scorecard.correct + scorecard.incorrect} (${accuracy}) → report #${scorecard.report.sequenceNumber}, scorecard #${row.sequenceNumber}`
+      );
+      published.push(row);
+    }
+    console.log(`\n  ${published.length} scorecard(s) published.\n`);
+    return published;
+  }
+
+  const { scorecards: total, byHorizon, byType } = scorecards.trackRecord();
+  if (total === 0) {
+    console.log("  No scorecards yet. Score due reports with: node index.js scorecard run\n");
+    return null;
+  }
+
+  const pct = (v) => (v === null ? "—" : `${(v * 100).toFixed(0)}%`);
+  console.log(`  ${total} scorecard(s) published\n`);
+  console.log("  Horizon   Correct  Incorrect  Accuracy");
+  for (const [horizon, stats] of Object.entries(byHorizon)) {
+    console.log(`  ${horizon.padEnd(8)} ${String(stats.correct).padStart(8)}  ${String(stats.incorrect).padStart(9)}  ${pct(stats.accuracy).padStart(8)}`);
+  }
+  console.log("\n  Signal type                        Correct  Incorrect  Accuracy");
+  for (const [type, stats] of Object.entries(byType)) {
+    console.log(`  ${type.padEnd(34)} ${String(stats.correct).padStart(7)}  ${String(stats.incorrect).padStart(9)}  ${pct(stats.accuracy).padStart(8)}`);
+  }
+
+  console.log("\n  Recent:");
+  for (const row of scorecards.list().slice(-10).reverse()) {
+    const card = row.scorecard;
+    console.log(
+      `  report #${String(card.report.sequenceNumber).padEnd(5)} ${card.horizon.padEnd(4)} ${card.correct} correct, ${card.incorrect} incorrect  → scorecard #${row.sequenceNumber || "N/A"}`
+    );
+  }
+  console.log();
+  return byHorizon;
+}
+
+/**
+ * Value our holdings against live prices and the active signals.
+ *
+ *   node index.js portfolio                  — holdings from data/portfolio.json
+ *   node index.js portfolio --account 0.0.x  — amounts from a Hedera account
+ *   node index.js portfolio --publish        — anchor a hashed-only commitment
+ *   node index.js portfolio --currency EUR   — show values in another currency
+ */
+async function portfolioCommand() {
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Portfolio Brief       ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  const currency = getFlag("currency") || undefined;
+  let portfolio;
+  try {
+    if (currency) resolveCurrency(currency, intel.assets);
+    portfolio = Portfolio.load(getFlag("file") || undefined);
+    const account = getFlag("account") || portfolio.account;
+    if (account) {
+      hedera.network = CONFIG.network;
+      portfolio = await portfolio.withAccountBalances((p) => hedera._mirrorGet(p), intel.assets, account);
+    }
+  } catch (err) {
+    console.error(`  ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const locale = getFlag("locale") || undefined;
+  const report = await intel.generateReport({ focus: "portfolio", portfolio, currency, locale });
+  console.log("");
+  for (const line of renderPortfolio(report, { locale })) console.log(line);
+  if (report.actionItems.length > 0) {
+    console.log("\n  Action Items:");
+    for (const action of report.actionItems) console.log(`  → ${action}`);
+  }
+
+  let txResult = {};
+  if (hasFlag("publish")) {
+    loadTopicKeys();
+    await hedera.initialize(CONFIG.accountId, CONFIG.privateKey, CONFIG.network);
+    if (CONFIG.topicId) {
+      hedera.setTopicId(CONFIG.topicId);
+    } else {
+      await hedera.createTopic("HederaIntel Agent — Market Intelligence");
+    }
+
+    txResult = await hedera.publishCommitment(report);
+    const sequence = txResult.sequenceNumber || txResult.chunks[0].sequenceNumber;
+    const outFile = getFlag("out") || path.join(__dirname, "data", `portfolio-${report.generatedAt.replace(/[:.]/g, "-")}.json`);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+
+    console.log(`\n  Committed on-chain: ${txResult.topicId} #${sequence} (digest only)`);
+    console.log(`  Private copy:       ${outFile}`);
+    console.log(`  Prove it later:     node index.js verify ${txResult.topicId} ${sequence} ${outFile}`);
+  }
+
+  // Only a published report is backed by an on-chain commitment
+  const archived = archive.record(report, txResult, { kind: hasFlag("publish") ? "commitment" : "report" });
+  console.log(`\n  Archived locally as #${archived.id}\n`);
+  return report;
+}
+
+/**
+ * List, add or remove tracked assets.
+ *
+ *   node index.js assets                       — list the registry
+ *   node index.js assets add <id|symbol>       — add a coin from CoinGecko's list
+ *   node index.js assets remove <symbol>       — stop tracking an asset
+ */
+async function assetsCommand() {
+  const [action, query] = getArgs();
+  const registry = intel.assets;
+
+  console.log("\n╔══════════════════════════════════════════════════╗");
+  console.log("║       HederaIntel Agent — Asset Registry        ║");
+  console.log("╚══════════════════════════════════════════════════╝\n");
+
+  if (action === "add") {
+    if (!query) {
+      console.error("Usage: node index.js assets add <coingecko-id|symbol> [--category DeFi]");
+      process.exit(1);
+    }
+    const categories = (getFlag("category") || "").split(",").map((c) => c.trim()).filter(Boolean);
+    const asset = await registry.addFromProvider(query, (url) => intel._httpGet(url), { categories });
+    registry.save();
+    console.log(`  Added ${asset.symbol} (${asset.name}) → coingecko:${asset.providers.coingecko}`);
+    if (asset.htsTokenId) console.log(`  HTS token: ${asset.htsTokenId}`);
+    console.log(`  Saved to ${registry.file}\n`);
+    return asset;
+  }
+
+  if (action === "remove") {
+    if (!query || !registry.remove(query)) {
+      console.error(`No tracked asset ${query || "(missing symbol)"}.`);
+      process.exit(1);
+    }
+    registry.save();
+    console.log(`  Removed ${query.toUpperCase()}.\n`);
+    return query;
+  }
+
+  const category = getFlag("category");
+  const assets = category ? registry.byCategory(category) : registry.list();
+  for (const asset of assets) {
+    console.log(
+      `  ${asset.symbol.padEnd(7)} ${asset.name.padEnd(16)} ${asset.categories.join(", ").padEnd(26)} ${asset.htsTokenId || ""}`
+    );
+  }
+  console.log(`\n  ${assets.length} asset(s)${category ? ` in ${category}` : ""}.\n`);
+  return assets;
+}
+
 // ─── CLI Router ─────────────────────────────────────────────────────────────
 
 const command = process.argv[2] || "help";
@@ -439,6 +1245,17 @@ const commands = {
   listen,
   subscribe,
   info,
+  topic,
+  verify,
+  batch,
+  "verify-proof": verifyProofCommand,
+  history,
+  outbox: outboxCommand,
+  assets: assetsCommand,
+  backtest,
+  scorecard: scorecardCommand,
+  portfolio: portfolioCommand,
+  keygen,
   demo,
   openconvai,
   chat,
@@ -450,11 +1267,47 @@ Version 2.0 — Now with HCS-10 OpenConvAI Support!
 
 Usage:
   node index.js setup        Create a new HCS topic
+                             [--restricted] operator-only submit and admin keys
+                             [--submit-key <operator|pubkey>] [--admin-key <operator|pubkey>]
   node index.js report       Generate and publish a market report
+                             [--focus general|risk|defi|hedera-ecosystem|macro|prices]
+                             [--assets BTC,ETH,...] override the profile's assets
+                             [--currency EUR|JPY|BTC|HBAR|...] [--locale de-DE] quote prices
+                             [--out <file>] save the report for later verification
+                             [--recipients <pubkey,...>] encrypt for subscribers
   node index.js network      Hedera network health analytics
   node index.js listen       Start agent-to-agent protocol listener
   node index.js subscribe    Live-stream reports from the topic
-  node index.js info         Show topic info and stats
+                             [--key <privateKey>] decrypt premium reports
+  node index.js info         Show topic info, key configuration and auto-renew status
+  node index.js topic memo <text>             Update the topic memo (admin key)
+  node index.js topic rotate-submit-key [key] Rotate the submit key (admin key)
+  node index.js topic extend <days>           Extend the topic expiry
+  node index.js verify <topic> <seq> [file]
+                             Verify a published report via the Mirror Node
+  node index.js batch        Anchor one report per asset under a single Merkle root
+                             [--assets BTC,ETH,...]
+  node index.js verify-proof <proofFile> [reportFile]
+                             Verify a batched report against its anchored root
+  node index.js history [id] Browse archived reports or show one in full
+                             [--from <date>] [--to <date>] [--asset BTC]
+                             [--confidence high] [--limit 50]
+  node index.js outbox [flush|drop <id>]
+                             Show queued publishes, retry them, or discard one
+  node index.js backtest     Replay cached price history and score past signals (offline)
+                             [--assets BTC,ETH] [--from <date>] [--to <date>]
+                             [--every 1d] [--horizon 1d] [--out <file>]
+  node index.js scorecard [run]
+                             Show the track record, or score reports that are 24h/7d old
+                             and publish signed scorecards to HCS
+  node index.js assets [add <id|symbol>|remove <symbol>]
+                             List tracked assets or add one from CoinGecko's coin list
+                             [--category DeFi]
+  node index.js portfolio    Value holdings, P&L, weights and the signals that touch them
+                             [--file <holdings.json>] [--account 0.0.x] read balances
+                             [--publish] commit the report's digest to HCS [--out <file>]
+                             [--currency EUR|BTC|...] [--locale de-DE] show values in
+  node index.js keygen       Create a subscriber key pair for encrypted reports
   node index.js demo         Run a full demo (setup + 3 reports)
 
   HCS-10 OpenConvAI:
@@ -467,8 +1320,23 @@ Usage:
 Environment Variables (set in .env):
   HEDERA_ACCOUNT_ID          Your Hedera testnet account ID
   HEDERA_PRIVATE_KEY         Your Hedera private key
-  HEDERA_NETWORK             testnet or mainnet (default: testnet)
+  HEDERA_NETWORK             testnet, mainnet or local-sim (default: testnet)
+                             local-sim runs offline with a built-in operator
+  HEDERA_SIM_STATE           local-sim ledger file (default: data/local-sim.json)
   HEDERA_TOPIC_ID            Existing topic ID (optional)
+  HEDERA_SUBMIT_KEY          Topic submit key, if not the operator key
+  HEDERA_ADMIN_KEY           Topic admin key, if not the operator key
+  PREMIUM_RECIPIENTS         Subscriber public keys for encrypted reports
+  SUBSCRIBER_PRIVATE_KEY     Your subscriber key for decrypting reports
+  ASSETS_FILE                Asset registry file (default: config/assets.json)
+  NEWS_FEEDS_FILE            News feed list (default: config/feeds.json)
+  NARRATIVE_RULES_FILE       Narrative rules (default: config/narratives.json)
+  PORTFOLIO_FILE             Holdings with cost basis (default: data/portfolio.json)
+  PRICE_PROVIDERS            Price provider fallback chain
+                             (default: coingecko,binance,kraken,coinbase)
+  PRICE_MIN_SOURCES          Quotes to collect per asset before aggregating (default: 3)
+  REPORT_CURRENCY            Default quote currency: fiat code or tracked asset (default: USD)
+  REPORT_LOCALE              Number formatting locale (default: the currency's own)
   HCS10_INBOUND_TOPIC_ID     HCS-10 inbound topic (auto-created)
   HCS10_OUTBOUND_TOPIC_ID    HCS-10 outbound topic (auto-created)
   HCS10_REGISTERED           Whether agent is registered in HOL (auto-set)
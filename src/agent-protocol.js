@@ -32,7 +32,7 @@ class AgentProtocol {
     // Handle market report requests
     this.registerHandler("market_report", async (query) => {
       const assets = query.assets || ["BTC", "ETH", "SOL", "HBAR"];
-      const report = await this.intel.generateReport({ assets, focus: "query" });
+      const report = await this.intel.generateReport({ assets, focus: "query", currency: query.currency });
       return {
         status: "ok",
         report: {
@@ -48,9 +48,10 @@ class AgentProtocol {
     // Handle price check requests
     this.registerHandler("price_check", async (query) => {
       const assets = query.assets || ["BTC", "ETH"];
-      const report = await this.intel.generateReport({ assets, focus: "prices" });
+      const report = await this.intel.generateReport({ assets, focus: "prices", currency: query.currency });
       return {
         status: "ok",
+        currency: report.currency,
         prices: report.assets,
       };
     });
@@ -181,7 +182,10 @@ class AgentProtocol {
 
     // Subscribe to topic
     await this.hedera.subscribe(async (message) => {
-      const response = await this.processMessage(message.content);
+      const content = this._unwrapEnvelope(message.content);
+      if (!content) return;
+
+      const response = await this.processMessage(content);
 
       if (response) {
         console.log(`[Protocol] Sending response...`);
@@ -193,6 +197,22 @@ class AgentProtocol {
     });
   }
 
+  /**
+   * Protocol messages travel as the JSON summary of a published report.
+   * Returns the parsed message, or null for anything else on the topic.
+   */
+  _unwrapEnvelope(content) {
+    const summary = content?.report?.summary;
+    if (typeof summary !== "string") return null;
+
+    try {
+      const msg = JSON.parse(summary);
+      return msg?.protocol === PROTOCOL_NAME ? msg : null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Send a query to another agent's topic.
    */
@@ -0,0 +1,162 @@
+/**
+ * Local report archive.
+ *
+ * Every published report is appended to `reports.jsonl` together with
+ * its HCS receipt and content digest. A small `index.json` keeps one
+ * summary row per report (with the record's byte offset) so listing and
+ * filtering never has to parse the full archive. The index can always be
+ * rebuilt from the JSONL file, which is never rewritten.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hashCanonical } = require("./canonical");
+
+class ReportArchive {
+  constructor(dir = path.join(process.cwd(), "data", "archive")) {
+    this.dir = dir;
+    this.dataFile = path.join(dir, "reports.jsonl");
+    this.indexFile = path.join(dir, "index.json");
+    this.index = null;
+  }
+
+  /**
+   * Append a report and its publish receipt. Returns the index entry.
+   * `kind` is "commitment" for reports whose content was kept off-chain
+   * (see HederaService.publishCommitment), "report" otherwise;
+   * `encrypted` marks reports published only to their recipients.
+   */
+  record(report, txResult = {}, { kind = "report", encrypted = false } = {}) {
+    this._load();
+
+    const entry = {
+      id: this.index.length + 1,
+      kind,
+      encrypted,
+      title: report.title,
+      generatedAt: report.generatedAt || new Date().toISOString(),
+      archivedAt: new Date().toISOString(),
+      assets: (report.assets || []).map((a) => a.symbol),
+      confidence: report.confidence,
+      confidenceScore: report.confidenceScore ?? null,
+      digest: hashCanonical(report),
+      topicId: txResult.topicId || null,
+      transactionId: txResult.transactionId || txResult.chunks?.[0]?.transactionId || null,
+      sequenceNumbers: txResult.chunks
+        ? txResult.chunks.map((c) => c.sequenceNumber)
+        : [txResult.sequenceNumber].filter(Boolean),
+    };
+
+    const line = `${JSON.stringify({ ...entry, report, receipt: txResult })}\n`;
+    fs.mkdirSync(this.dir, { recursive: true });
+    entry.offset = fs.existsSync(this.dataFile) ? fs.statSync(this.dataFile).size : 0;
+    entry.length = Buffer.byteLength(line);
+    fs.appendFileSync(this.dataFile, line);
+
+    this.index.push(entry);
+    this._saveIndex();
+    return entry;
+  }
+
+  /**
+   * List index entries, newest first, filtered by date range, asset
+   * and confidence.
+   */
+  list({ from, to, asset, confidence, limit } = {}) {
+    this._load();
+
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? this._endOf(to) : Infinity;
+    const symbol = asset ? asset.toUpperCase() : null;
+
+    const matches = this.index.filter((entry) => {
+      const t = new Date(entry.generatedAt).getTime();
+      if (t < fromTime || t > toTime) return false;
+      if (symbol && !entry.assets.includes(symbol)) return false;
+      if (confidence && entry.confidence !== confidence) return false;
+      return true;
+    });
+
+    matches.reverse();
+    return limit ? matches.slice(0, limit) : matches;
+  }
+
+  /**
+   * Read one full archive record (report + receipt) by id.
+   */
+  get(id) {
+    this._load();
+
+    const entry = this.index.find((e) => e.id === Number(id));
+    if (!entry) return null;
+
+    const fd = fs.openSync(this.dataFile, "r");
+    try {
+      const buf = Buffer.alloc(entry.length);
+      fs.readSync(fd, buf, 0, entry.length, entry.offset);
+      return JSON.parse(buf.toString("utf-8"));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Rebuild the index by scanning the JSONL archive.
+   */
+  rebuildIndex() {
+    this.index = [];
+    if (fs.existsSync(this.dataFile)) {
+      const data = fs.readFileSync(this.dataFile);
+      let offset = 0;
+      while (offset < data.length) {
+        let end = data.indexOf(0x0a, offset);
+        if (end === -1) end = data.length - 1;
+        const line = data.subarray(offset, end + 1);
+        try {
+          const { report, receipt, ...entry } = JSON.parse(line.toString("utf-8"));
+          this.index.push({ ...entry, offset, length: line.length });
+        } catch {
+          console.warn(`[Archive] Skipping unreadable record at byte ${offset}`);
+        }
+        offset = end + 1;
+      }
+    }
+    this._saveIndex();
+    return this.index.length;
+  }
+
+  /**
+   * Load the index from disk, rebuilding it if missing, unreadable or
+   * out of step with the archive (a record appended without its index
+   * entry, e.g. after a crash between the two writes).
+   */
+  _load() {
+    if (this.index) return;
+    try {
+      this.index = JSON.parse(fs.readFileSync(this.indexFile, "utf-8"));
+    } catch {
+      this.rebuildIndex();
+      return;
+    }
+
+    const last = this.index[this.index.length - 1];
+    const indexed = last ? last.offset + last.length : 0;
+    const size = fs.existsSync(this.dataFile) ? fs.statSync(this.dataFile).size : 0;
+    if (size !== indexed) this.rebuildIndex();
+  }
+
+  _saveIndex() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.indexFile, JSON.stringify(this.index, null, 2));
+  }
+
+  /**
+   * Upper bound for a `to` filter — date-only values include the whole day.
+   */
+  _endOf(to) {
+    const t = new Date(to).getTime();
+    return /^\d{4}-\d{2}-\d{2}$/.test(to) ? t + 24 * 60 * 60 * 1000 - 1 : t;
+  }
+}
+
+module.exports = { ReportArchive };
@@ -0,0 +1,209 @@
+/**
+ * Asset registry for HederaIntel Agent.
+ *
+ * One list of tracked assets, loaded from `config/assets.json` (or
+ * ASSETS_FILE), shared by the intel engine and the chat parser. Each
+ * entry holds:
+ *
+ *   symbol      ticker used throughout reports ("HBAR")
+ *   name        display name
+ *   aliases     lower-case words that refer to it in free text
+ *   categories  e.g. "L1", "DeFi", "Hedera ecosystem"
+ *   providers   per-provider ids/pairs (coingecko id, kraken pair, ...);
+ *               providers without an entry use their default pair format
+ *   htsTokenId  Hedera token id, for HTS tokens
+ *
+ * New assets can be added by looking them up in CoinGecko's coin list,
+ * which also supplies the HTS token id for tokens issued on Hedera.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "assets.json");
+const COINGECKO_API = "https://api.coingecko.com/api/v3";
+const HEDERA_ECOSYSTEM = "Hedera ecosystem";
+
+class AssetRegistry {
+  constructor(assets = [], file = null) {
+    this.file = file;
+    this.assets = new Map();
+    // Entries as given, without derived aliases, for save()
+    this.entries = new Map();
+    for (const asset of assets) this.add(asset);
+  }
+
+  /**
+   * Load the registry from a JSON config file.
+   */
+  static load(file = process.env.ASSETS_FILE || DEFAULT_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return new AssetRegistry(config.assets || [], file);
+  }
+
+  /**
+   * Add or replace an asset. Its symbol and name are always aliases.
+   */
+  add(asset) {
+    if (!asset?.symbol) throw new Error("Asset needs a symbol");
+
+    const symbol = asset.symbol.toUpperCase();
+    const aliases = new Set([symbol.toLowerCase(), ...(asset.aliases || []).map((a) => a.toLowerCase())]);
+    if (asset.name) aliases.add(asset.name.toLowerCase());
+
+    const entry = {
+      symbol,
+      name: asset.name || symbol,
+      aliases: [...aliases],
+      categories: asset.categories || [],
+      providers: asset.providers || {},
+      ...(asset.htsTokenId ? { htsTokenId: asset.htsTokenId } : {}),
+    };
+    this.assets.set(symbol, entry);
+    this.entries.set(symbol, { ...asset, symbol });
+    return entry;
+  }
+
+  get(symbol) {
+    return this.assets.get(String(symbol).toUpperCase()) || null;
+  }
+
+  has(symbol) {
+    return this.assets.has(String(symbol).toUpperCase());
+  }
+
+  list() {
+    return [...this.assets.values()];
+  }
+
+  symbols() {
+    return [...this.assets.keys()];
+  }
+
+  /**
+   * Assets in a category (case-insensitive).
+   */
+  byCategory(category) {
+    const wanted = category.toLowerCase();
+    return this.list().filter((a) => a.categories.some((c) => c.toLowerCase() === wanted));
+  }
+
+  /**
+   * Symbol for an alias or symbol, or null.
+   */
+  resolve(word) {
+    const wanted = String(word).toLowerCase();
+    for (const asset of this.assets.values()) {
+      if (asset.aliases.includes(wanted)) return asset.symbol;
+    }
+    return null;
+  }
+
+  /**
+   * Symbols mentioned in free text, matched on whole-word aliases, in
+   * registry order. Null if none are mentioned.
+   */
+  findInText(text) {
+    const lower = String(text).toLowerCase();
+    const found = [];
+    for (const asset of this.assets.values()) {
+      const mentioned = asset.aliases.some((alias) =>
+        new RegExp(`(^|[^a-z0-9])${escapeRegExp(alias)}($|[^a-z0-9])`).test(lower)
+      );
+      if (mentioned) found.push(asset.symbol);
+    }
+    return found.length > 0 ? found : null;
+  }
+
+  /**
+   * `{ SYMBOL: id }` for one provider, covering assets that set an id.
+   */
+  providerIds(provider) {
+    const ids = {};
+    for (const asset of this.assets.values()) {
+      if (asset.providers[provider]) ids[asset.symbol] = asset.providers[provider];
+    }
+    return ids;
+  }
+
+  /**
+   * Find a coin in CoinGecko's coin list by id, symbol or name. Throws
+   * when nothing matches or a symbol is shared by several coins.
+   */
+  async lookup(query, httpGet) {
+    const coins = await httpGet(`${COINGECKO_API}/coins/list?include_platform=true`);
+    if (!Array.isArray(coins)) {
+      throw new Error(`CoinGecko coin list unavailable: ${coins?.status?.error_message || "unexpected response"}`);
+    }
+
+    const wanted = query.toLowerCase();
+    const byId = coins.find((c) => c.id === wanted);
+    if (byId) return byId;
+
+    const matches = coins.filter((c) => c.symbol === wanted || c.name.toLowerCase() === wanted);
+    if (matches.length === 0) throw new Error(`No CoinGecko coin matches "${query}"`);
+    if (matches.length > 1) {
+      const ids = matches.slice(0, 10).map((c) => c.id).join(", ");
+      throw new Error(`"${query}" matches ${matches.length} coins (${ids}); add it by CoinGecko id instead`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Look a coin up and add it to the registry. Tokens issued on Hedera
+   * get their HTS token id and the Hedera ecosystem category.
+   */
+  async addFromProvider(query, httpGet, { categories = [] } = {}) {
+    const coin = await this.lookup(query, httpGet);
+    const htsTokenId = coin.platforms?.["hedera-hashgraph"] || null;
+
+    return this.add({
+      symbol: coin.symbol,
+      name: coin.name,
+      aliases: [coin.id],
+      categories: htsTokenId && !categories.includes(HEDERA_ECOSYSTEM)
+        ? [...categories, HEDERA_ECOSYSTEM]
+        : categories,
+      providers: { coingecko: coin.id },
+      ...(htsTokenId ? { htsTokenId } : {}),
+    });
+  }
+
+  remove(symbol) {
+    this.entries.delete(String(symbol).toUpperCase());
+    return this.assets.delete(String(symbol).toUpperCase());
+  }
+
+  /**
+   * Write the registry back to the file it was loaded from, in the
+   * config file's layout: entries as they were given (derived aliases
+   * left out), one field per line.
+   */
+  save(file = this.file) {
+    if (!file) throw new Error("Asset registry has no file to save to");
+    const entries = [...this.entries.values()].map((asset) => {
+      const fields = Object.entries(asset).map(([key, value]) => `      ${JSON.stringify(key)}: ${inlineJson(value)}`);
+      return `    {\n${fields.join(",\n")}\n    }`;
+    });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `{\n  "assets": [\n${entries.join(",\n")}\n  ]\n}\n`);
+  }
+}
+
+/**
+ * JSON on one line with spaces after separators: ["a", "b"], { "k": "v" }.
+ */
+function inlineJson(value) {
+  if (Array.isArray(value)) return `[${value.map(inlineJson).join(", ")}]`;
+  if (value && typeof value === "object") {
+    const fields = Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}: ${inlineJson(v)}`);
+    return fields.length > 0 ? `{ ${fields.join(", ")} }` : "{}";
+  }
+  return JSON.stringify(value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { AssetRegistry, HEDERA_ECOSYSTEM };
@@ -0,0 +1,210 @@
+/**
+ * Backtesting harness for narrative signals.
+ *
+ * Replays the cached price history (see ./price-history.js) through the
+ * engine's narrative detection at a fixed cadence. At each step the
+ * engine only sees data up to that moment: spot price and 24h change
+ * from the series, timeframe summaries and indicators from a view of
+ * the cache as of that time. Every signal is then matched with the
+ * asset's forward return over the horizon.
+ *
+ * Directional signals (bullish/bearish) count as hits when the price
+ * moved their way. Results are grouped by signal type, and scores are
+ * bucketed to show whether a 0.8 signal really hits more often than a
+ * 0.4 one. No network access is needed; news and network metrics are
+ * not replayed, so rules that depend on them do not fire.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const DURATION_UNITS = { m: 60 * 1000, h: HOUR, d: DAY, w: 7 * DAY };
+
+/**
+ * Parse "30m", "4h", "1d" or "2w" into milliseconds. Zero is rejected.
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+  const ms = match ? Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()] : 0;
+  if (!(ms > 0)) throw new Error(`Invalid duration: ${text} (use e.g. 4h, 1d, 1w)`);
+  return ms;
+}
+
+function formatDuration(ms) {
+  for (const [unit, size] of [["w", DURATION_UNITS.w], ["d", DAY], ["h", HOUR]]) {
+    if (ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${Math.round(ms / 60000)}m`;
+}
+
+// Score buckets for calibration
+const BUCKETS = [0, 0.2, 0.4, 0.6, 0.8, 1.0001];
+
+class Backtester {
+  /**
+   * `engine` is an IntelEngine; `history` the PriceHistory to replay.
+   */
+  constructor(engine, history) {
+    this.engine = engine;
+    this.history = history;
+  }
+
+  /**
+   * Replay `assets` from `from` to `to` (ms), stepping by `cadenceMs`
+   * and scoring each signal over `horizonMs`. Missing bounds default to
+   * the cached range (leaving room for the horizon at the end).
+   */
+  run({ assets, from = null, to = null, cadenceMs = DAY, horizonMs = DAY }) {
+    if (!(cadenceMs > 0)) throw new Error(`Backtest cadence must be positive (got ${cadenceMs}ms)`);
+    const symbols = assets.map((a) => a.toUpperCase()).filter((s) => this.history.getSeries(s).length > 0);
+    if (symbols.length === 0) {
+      throw new Error(`No cached price history for ${assets.join(", ")}; generate a report online first`);
+    }
+
+    const firsts = symbols.map((s) => this.history.getSeries(s)[0][0]);
+    const lasts = symbols.map((s) => this.history.getSeries(s).slice(-1)[0][0]);
+    const start = from ?? Math.min(...firsts) + DAY;
+    const end = Math.min(to ?? Infinity, Math.max(...lasts) - horizonMs);
+    if (end < start) throw new Error("Not enough cached history for that range and horizon");
+
+    const signals = [];
+    let steps = 0;
+    for (let time = start; time <= end; time += cadenceMs) {
+      steps++;
+      for (const signal of this._signalsAt(time, symbols)) {
+        const entry = priceAt(this.history.getSeries(signal.asset), time);
+        const exit = priceAt(this.history.getSeries(signal.asset), time + horizonMs);
+        if (!entry || !exit) continue;
+
+        const forwardReturn = ((exit - entry) / entry) * 100;
+        const sign = signal.direction === "bullish" ? 1 : signal.direction === "bearish" ? -1 : 0;
+        signals.push({
+          time: new Date(time).toISOString(),
+          asset: signal.asset,
+          type: signal.type || "unknown",
+          narrative: signal.narrative,
+          direction: signal.direction || "neutral",
+          score: signal.score,
+          entry,
+          exit,
+          returnPct: round(forwardReturn),
+          hit: sign === 0 ? null : sign * forwardReturn > 0,
+        });
+      }
+    }
+
+    return {
+      assets: symbols,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      cadence: formatDuration(cadenceMs),
+      horizon: formatDuration(horizonMs),
+      steps,
+      overall: summarize(signals),
+      byType: groupBy(signals, (s) => s.type),
+      calibration: calibrate(signals),
+      signals,
+    };
+  }
+
+  /**
+   * Narratives the engine would have produced at `time`.
+   */
+  _signalsAt(time, symbols) {
+    const view = this.history.asOf(time);
+    const prices = {};
+    const summaries = {};
+
+    for (const symbol of symbols) {
+      const series = view.getSeries(symbol);
+      const price = priceAt(series, time);
+      const dayAgo = priceAt(series, time - DAY);
+      if (!price) continue;
+
+      prices[symbol] = { price, change24h: dayAgo ? ((price - dayAgo) / dayAgo) * 100 : undefined };
+      const windows = view.summarizeAll(symbol);
+      if (Object.keys(windows).length > 0) summaries[symbol] = windows;
+    }
+
+    const technicals = this.engine._computeIndicators(Object.keys(summaries), view);
+    const relations = this.engine._analyzeCrossAsset(prices, summaries, view);
+    const riskMetrics = this.engine._analyzeRisk(Object.keys(summaries), view);
+    return this.engine
+      ._detectNarratives(prices, [], "backtest", summaries, technicals, null, relations, riskMetrics)
+      .filter((signal) => signal.asset && prices[signal.asset]);
+  }
+}
+
+/**
+ * Last price at or before `time` (within a day), or null.
+ */
+function priceAt(series, time) {
+  let found = null;
+  for (const [t, price] of series) {
+    if (t > time) break;
+    found = [t, price];
+  }
+  return found && time - found[0] <= DAY ? found[1] : null;
+}
+
+function summarize(signals) {
+  const directional = signals.filter((s) => s.hit !== null);
+  const hits = directional.filter((s) => s.hit).length;
+  const signedReturns = directional.map((s) => (s.direction === "bullish" ? s.returnPct : -s.returnPct));
+
+  return {
+    signals: signals.length,
+    directional: directional.length,
+    hits,
+    hitRate: directional.length ? round(hits / directional.length, 3) : null,
+    avgReturnPct: signals.length ? round(mean(signals.map((s) => s.returnPct))) : null,
+    avgSignedReturnPct: signedReturns.length ? round(mean(signedReturns)) : null,
+    // Mean squared gap between score and outcome (lower is better calibrated)
+    brier: directional.length
+      ? round(mean(directional.map((s) => (s.score - (s.hit ? 1 : 0)) ** 2)), 4)
+      : null,
+  };
+}
+
+function groupBy(signals, keyOf) {
+  const groups = {};
+  for (const signal of signals) {
+    (groups[keyOf(signal)] = groups[keyOf(signal)] || []).push(signal);
+  }
+  return Object.fromEntries(
+    Object.entries(groups)
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([key, list]) => [key, summarize(list)])
+  );
+}
+
+/**
+ * Hit rate per score bucket for directional signals.
+ */
+function calibrate(signals) {
+  const directional = signals.filter((s) => s.hit !== null);
+  const rows = [];
+  for (let i = 0; i < BUCKETS.length - 1; i++) {
+    const lo = BUCKETS[i];
+    const hi = BUCKETS[i + 1];
+    const inBucket = directional.filter((s) => s.score >= lo && s.score < hi);
+    rows.push({
+      range: `${lo.toFixed(1)}–${Math.min(hi, 1).toFixed(1)}`,
+      count: inBucket.length,
+      meanScore: inBucket.length ? round(mean(inBucket.map((s) => s.score)), 3) : null,
+      hitRate: inBucket.length ? round(inBucket.filter((s) => s.hit).length / inBucket.length, 3) : null,
+    });
+  }
+  return rows;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { Backtester, parseDuration, formatDuration, priceAt };
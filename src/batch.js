@@ -0,0 +1,128 @@
+/**
+ * Merkle batch anchoring for high-volume report streams.
+ *
+ * Reports are collected over a time window (or until a size cap) and
+ * combined into a Merkle tree. Only the root and batch metadata are
+ * published to HCS; each report's inclusion proof is written to disk
+ * (together with the report itself) so any single report can later be
+ * checked against the anchored root.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hashCanonical } = require("./canonical");
+const { buildTree, getProof } = require("./merkle");
+
+const PROOF_VERSION = "1.0";
+
+class ReportBatcher {
+  constructor(hederaService, options = {}) {
+    this.hedera = hederaService;
+    this.windowMs = options.windowMs ?? 60 * 60 * 1000;
+    this.maxReports = options.maxReports ?? 500;
+    this.proofDir = options.proofDir || path.join(process.cwd(), "data", "proofs");
+
+    // Pending reports: { report, digest, resolve, reject }
+    this.pending = [];
+    this.windowStart = null;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a report for the current batch. Resolves with its proof
+   * record once the batch has been anchored.
+   */
+  add(report) {
+    return new Promise((resolve, reject) => {
+      if (this.pending.length === 0) {
+        this.windowStart = new Date().toISOString();
+        this.timer = setTimeout(() => this._flushQuietly(), this.windowMs);
+      }
+
+      this.pending.push({ report, digest: hashCanonical(report), resolve, reject });
+      console.log(`[Batch] Queued ${report.title || "report"} (${this.pending.length} pending)`);
+
+      if (this.pending.length >= this.maxReports) {
+        this._flushQuietly();
+      }
+    });
+  }
+
+  /**
+   * Anchor everything pending now. Returns the batch summary, or null if
+   * there was nothing to anchor.
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.length === 0) return null;
+
+    const batch = this.pending;
+    const windowStart = this.windowStart;
+    this.pending = [];
+    this.windowStart = null;
+
+    try {
+      const tree = buildTree(batch.map((item) => item.digest));
+      const anchor = {
+        root: tree.root,
+        count: batch.length,
+        windowStart,
+        windowEnd: new Date().toISOString(),
+      };
+
+      const txResult = await this.hedera.publishAnchor(anchor);
+
+      const proofs = batch.map((item, index) => {
+        const record = {
+          version: PROOF_VERSION,
+          title: item.report.title,
+          digest: item.digest,
+          leafIndex: index,
+          proof: getProof(tree, index),
+          root: tree.root,
+          count: batch.length,
+          anchor: {
+            topicId: txResult.topicId,
+            sequenceNumber: txResult.sequenceNumber || txResult.chunks?.[0]?.sequenceNumber,
+            transactionId: txResult.transactionId || txResult.chunks?.[0]?.transactionId,
+          },
+          report: item.report,
+        };
+        record.file = this._writeProof(record);
+        return record;
+      });
+
+      console.log(`[Batch] Anchored ${batch.length} reports under root ${tree.root.slice(0, 16)}…`);
+      batch.forEach((item, i) => item.resolve(proofs[i]));
+
+      return { root: tree.root, count: batch.length, txResult, proofs };
+    } catch (err) {
+      batch.forEach((item) => item.reject(err));
+      throw err;
+    }
+  }
+
+  /**
+   * Timer/size-triggered flush; failures are delivered to each add() caller.
+   */
+  _flushQuietly() {
+    this.flush().catch((err) => {
+      console.error(`[Batch] Anchoring failed: ${err.message}`);
+    });
+  }
+
+  /**
+   * Persist a proof record as <digest>.json in the proof directory.
+   */
+  _writeProof(record) {
+    fs.mkdirSync(this.proofDir, { recursive: true });
+    const file = path.join(this.proofDir, `${record.digest}.json`);
+    fs.writeFileSync(file, JSON.stringify(record, null, 2));
+    return file;
+  }
+}
+
+module.exports = { ReportBatcher, PROOF_VERSION };
@@ -0,0 +1,95 @@
+/**
+ * Canonical report serialization and hashing.
+ *
+ * Reports are hashed over a canonical JSON form (object keys sorted
+ * recursively, no whitespace, undefined values dropped) so the same
+ * report always yields the same digest regardless of key order. A
+ * per-section manifest lets a consumer check one section — say, the
+ * signals — without holding the rest of the report.
+ */
+
+const crypto = require("crypto");
+
+const HASH_ALGORITHM = "sha256";
+const CANONICALIZATION = "sorted-keys-json/1";
+
+// Report sections that get their own manifest entry
+const REPORT_SECTIONS = ["assets", "signals", "actionItems", "network", "priceHistory", "indicators", "news", "crossAsset", "risk", "portfolio"];
+
+/**
+ * Serialize a value to canonical JSON.
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== "object") {
+    // JSON.stringify maps NaN/Infinity to null, matching JSON semantics
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  if (typeof value.toJSON === "function") {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => canonicalize(v === undefined ? null : v)).join(",")}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter((key) => value[key] !== undefined && typeof value[key] !== "function")
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(",")}}`;
+}
+
+/**
+ * Full hex digest of a value's canonical form (strings are hashed as-is).
+ */
+function hashCanonical(value) {
+  const content = typeof value === "string" ? value : canonicalize(value);
+  return crypto.createHash(HASH_ALGORITHM).update(content).digest("hex");
+}
+
+/**
+ * Build the per-section manifest for a report. Absent sections are omitted.
+ */
+function buildManifest(report) {
+  const manifest = {};
+  for (const section of REPORT_SECTIONS) {
+    if (report[section] !== undefined) {
+      manifest[section] = hashCanonical(report[section]);
+    }
+  }
+  return manifest;
+}
+
+/**
+ * Integrity block recorded in the on-chain envelope.
+ */
+function buildIntegrity(report) {
+  return {
+    algorithm: HASH_ALGORITHM,
+    canonicalization: CANONICALIZATION,
+    digest: hashCanonical(report),
+    manifest: buildManifest(report),
+  };
+}
+
+/**
+ * Check a single report section against an integrity manifest.
+ */
+function verifySection(section, value, integrity) {
+  const expected = integrity?.manifest?.[section];
+  if (!expected) return false;
+  return hashCanonical(value) === expected;
+}
+
+module.exports = {
+  HASH_ALGORITHM,
+  CANONICALIZATION,
+  REPORT_SECTIONS,
+  canonicalize,
+  hashCanonical,
+  buildManifest,
+  buildIntegrity,
+  verifySection,
+};
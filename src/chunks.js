@@ -0,0 +1,140 @@
+/**
+ * Chunk reassembly for HCS messages.
+ *
+ * Reports larger than one HCS message are published as a series of
+ * `{ _chunk: { id, index, total }, data }` messages. The assembler groups
+ * parts by id, buffers out-of-order arrivals and yields the complete
+ * parsed payload once every part is in. Incomplete sets are expired
+ * after a timeout and reported with the indices that never arrived.
+ */
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_MESSAGE_BYTES = 1024;
+const CHUNK_SIZE = 900;
+
+/**
+ * Split a serialized payload into `{ _chunk, data }` messages that each
+ * fit in one HCS message once JSON-escaped.
+ */
+function splitMessage(message, chunkId, maxBytes = MAX_MESSAGE_BYTES) {
+  const wrap = (data, index, total) => JSON.stringify({ _chunk: { id: chunkId, index, total }, data });
+  const pieces = [];
+
+  let start = 0;
+  while (start < message.length) {
+    let end = Math.min(message.length, start + CHUNK_SIZE);
+    // Escaped quotes and multi-byte characters can push a piece over the limit
+    while (Buffer.byteLength(wrap(message.slice(start, end), 9999, 9999)) > maxBytes) {
+      end = start + Math.floor((end - start) * 0.9);
+    }
+    pieces.push(message.slice(start, end));
+    start = end;
+  }
+
+  return pieces.map((data, index) => wrap(data, index, pieces.length));
+}
+
+class ChunkAssembler {
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS, onError = null } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.onError = onError || ((err) => console.warn(`[Chunks] ${err.message}`));
+
+    // Pending sets (id -> { total, parts: Map(index -> { data, meta }), firstSeen })
+    this.pending = new Map();
+  }
+
+  /**
+   * Feed one parsed message into the assembler.
+   *
+   * Returns `{ content, parts }` when a payload is complete (immediately
+   * for non-chunked messages), or null while parts are still missing.
+   * `parts` holds the metadata passed with each piece, in index order.
+   */
+  push(message, meta = {}, now = Date.now()) {
+    this.sweep(now);
+
+    if (!message || typeof message !== "object" || !message._chunk) {
+      return { content: message, parts: [meta] };
+    }
+
+    const { index, total } = message._chunk;
+    if (!Number.isInteger(total) || total < 1 || !Number.isInteger(index) || index < 0 || index >= total) {
+      this.onError(new Error(`Dropped chunk with invalid index ${index} of ${total}`));
+      return null;
+    }
+    // Chunks published before ids were added are grouped by their size
+    const id = message._chunk.id || `legacy:${total}`;
+
+    let set = this.pending.get(id);
+    if (!set) {
+      set = { total, parts: new Map(), firstSeen: now };
+      this.pending.set(id, set);
+    }
+
+    if (set.total !== total) {
+      this.pending.delete(id);
+      this._reportError(
+        id,
+        set,
+        `Chunk set ${id} disagrees on size (${set.total} vs ${total}); discarded`
+      );
+      return null;
+    }
+
+    if (!set.parts.has(index)) {
+      set.parts.set(index, { data: message.data, meta });
+    }
+
+    if (set.parts.size < total) return null;
+
+    this.pending.delete(id);
+    const ordered = [...set.parts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, part]) => part);
+    const payload = ordered.map((p) => p.data).join("");
+
+    let content;
+    try {
+      content = JSON.parse(payload);
+    } catch {
+      content = payload;
+    }
+
+    return { content, parts: ordered.map((p) => p.meta) };
+  }
+
+  /**
+   * Expire incomplete sets older than the timeout, reporting what was missing.
+   */
+  sweep(now = Date.now()) {
+    for (const [id, set] of this.pending) {
+      if (now - set.firstSeen < this.timeoutMs) continue;
+      this.pending.delete(id);
+      this._reportError(
+        id,
+        set,
+        `Chunk set ${id} expired with ${set.parts.size}/${set.total} parts`
+      );
+    }
+  }
+
+  /**
+   * Report an incomplete set through the onError callback.
+   */
+  _reportError(id, set, message) {
+    const missing = [];
+    for (let i = 0; i < set.total; i++) {
+      if (!set.parts.has(i)) missing.push(i);
+    }
+
+    const err = new Error(
+      missing.length > 0 ? `${message} (missing: ${missing.join(", ")})` : message
+    );
+    err.chunkId = id;
+    err.missing = missing;
+    err.received = [...set.parts.values()].map((p) => p.meta);
+    this.onError(err);
+  }
+}
+
+module.exports = { ChunkAssembler, splitMessage, DEFAULT_TIMEOUT_MS, MAX_MESSAGE_BYTES };
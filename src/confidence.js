@@ -0,0 +1,116 @@
+/**
+ * Report confidence from data quality.
+ *
+ * Scores a report 0–1 from five components, each itself 0–1:
+ *
+ *   freshness   live quotes and how recent the cached history is
+ *   agreement   how many price providers quoted each asset
+ *   dispersion  how tightly those quotes agree
+ *   accuracy    the agent's scored track record (see ./scorecard.js)
+ *   coverage    the share of requested assets with price data
+ *
+ * The first four are blended by WEIGHTS and describe the data the report
+ * has; coverage then scales the blend, so a report that is missing half
+ * its assets cannot score above half, however clean the rest is.
+ *
+ * The score maps to the `high` / `medium` / `low` label reports and the
+ * archive have always used.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const WEIGHTS = {
+  freshness: 0.25,
+  agreement: 0.3,
+  dispersion: 0.25,
+  accuracy: 0.2,
+};
+
+// History younger than FRESH_MS counts fully; it is worthless at STALE_MS
+const FRESH_MS = HOUR;
+const STALE_MS = 48 * HOUR;
+
+/**
+ * Label for a 0–1 score.
+ */
+function confidenceLabel(score) {
+  if (score >= 0.75) return "high";
+  if (score >= 0.5) return "medium";
+  return "low";
+}
+
+/**
+ * Score a report's inputs. `prices` are the aggregated quotes,
+ * `historyUpdatedAt` maps symbols to the time of their newest cached
+ * point, and `trackRecord` is a ScorecardTracker track record (or null).
+ */
+function scoreConfidence({
+  requested = [],
+  prices = {},
+  historyUpdatedAt = {},
+  trackRecord = null,
+  minSources = 3,
+  maxDeviationPct = 2,
+  now = Date.now(),
+}) {
+  const symbols = [...new Set(requested.map((s) => s.toUpperCase()))];
+  const quoted = symbols.filter((s) => prices[s]);
+
+  const freshness = mean(
+    symbols
+      .filter((s) => prices[s] || historyUpdatedAt[s])
+      .map((s) => {
+        const parts = [];
+        if (prices[s]) parts.push(1);
+        if (historyUpdatedAt[s]) {
+          const age = now - historyUpdatedAt[s];
+          parts.push(clamp(1 - (age - FRESH_MS) / (STALE_MS - FRESH_MS), 0, 1));
+        }
+        return mean(parts);
+      })
+  );
+
+  const agreement = mean(quoted.map((s) => Math.min((prices[s].sources?.length || 1) / minSources, 1)));
+  const dispersion = mean(quoted.map((s) => clamp(1 - (prices[s].dispersionPct || 0) / maxDeviationPct, 0, 1)));
+
+  // Laplace-smoothed hit rate, so a thin record stays close to 0.5
+  let correct = 0;
+  let incorrect = 0;
+  for (const stats of Object.values(trackRecord?.byHorizon || {})) {
+    correct += stats.correct;
+    incorrect += stats.incorrect;
+  }
+  const accuracy = (correct + 1) / (correct + incorrect + 2);
+
+  const coverage = symbols.length ? quoted.length / symbols.length : 0;
+
+  const components = {
+    freshness: round(freshness),
+    agreement: round(agreement),
+    dispersion: round(dispersion),
+    accuracy: round(accuracy),
+    coverage: round(coverage),
+  };
+  const quality = Object.entries(WEIGHTS).reduce((sum, [name, weight]) => sum + weight * components[name], 0);
+  const score = round(quality * components.coverage);
+
+  return {
+    score,
+    label: confidenceLabel(score),
+    components,
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function clamp(value, lo, hi) {
+  return Math.min(Math.max(value, lo), hi);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { scoreConfidence, confidenceLabel, WEIGHTS };
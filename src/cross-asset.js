@@ -0,0 +1,226 @@
+/**
+ * Cross-asset analysis for HederaIntel Agent.
+ *
+ * Looks at the tracked assets together rather than one at a time:
+ * a correlation matrix of 4h returns over the last 30 days (and the
+ * last 7 of them), BTC dominance among the tracked market caps, each
+ * asset's performance relative to BTC and ETH, and decoupling events —
+ * an asset that normally moves with BTC but has stopped doing so.
+ */
+
+const DEFAULTS = {
+  recentCandles: 42, // 7 days of 4h candles
+  minPoints: 10,
+  benchmarks: ["BTC", "ETH"],
+  decouplingBenchmark: "BTC",
+  minLongCorrelation: 0.5,
+  minCorrelationDrop: 0.4,
+};
+
+/**
+ * Simple returns of a close series.
+ */
+function returns(closes) {
+  const out = [];
+  for (let i = 1; i < closes.length; i++) {
+    out.push(closes[i - 1] ? closes[i] / closes[i - 1] - 1 : 0);
+  }
+  return out;
+}
+
+/**
+ * Pearson correlation of two equal-length series, or null when there
+ * are too few points or one series does not move.
+ */
+function correlation(a, b, minPoints = DEFAULTS.minPoints) {
+  const n = Math.min(a.length, b.length);
+  if (n < minPoints) return null;
+
+  const meanA = a.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  const meanB = b.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  if (varA === 0 || varB === 0) return null;
+  return cov / Math.sqrt(varA * varB);
+}
+
+/**
+ * Returns per symbol over the candle times every symbol shares.
+ */
+function alignedReturns(candlesBySymbol) {
+  const symbols = Object.keys(candlesBySymbol).filter((s) => candlesBySymbol[s].length > 1);
+  if (symbols.length === 0) return { times: [], returns: {} };
+
+  const closes = {};
+  for (const symbol of symbols) {
+    closes[symbol] = new Map(candlesBySymbol[symbol].map((c) => [c.time, c.close]));
+  }
+  const times = [...closes[symbols[0]].keys()]
+    .filter((t) => symbols.every((s) => closes[s].has(t)))
+    .sort((a, b) => a - b);
+
+  const result = {};
+  for (const symbol of symbols) {
+    result[symbol] = returns(times.map((t) => closes[symbol].get(t)));
+  }
+  return { times, returns: result };
+}
+
+/**
+ * Pairwise correlations from candles: `{ BTC: { ETH: 0.84, ... }, ... }`.
+ * Each pair is aligned on the candle times the two share, so one asset
+ * with a short history only shortens its own pairs. `lastReturns` keeps
+ * the most recent returns of each pair. Pairs without enough
+ * overlapping data are null.
+ */
+function correlationMatrix(candlesBySymbol, { minPoints = DEFAULTS.minPoints, lastReturns = Infinity } = {}) {
+  const symbols = Object.keys(candlesBySymbol).filter((s) => candlesBySymbol[s].length > 1);
+  const matrix = {};
+  for (const a of symbols) {
+    matrix[a] = {};
+    for (const b of symbols) {
+      if (a === b) {
+        matrix[a][b] = 1;
+      } else if (matrix[b]?.[a] !== undefined) {
+        matrix[a][b] = matrix[b][a];
+      } else {
+        const pair = alignedReturns({ [a]: candlesBySymbol[a], [b]: candlesBySymbol[b] }).returns;
+        matrix[a][b] = round(correlation(pair[a].slice(-lastReturns), pair[b].slice(-lastReturns), minPoints));
+      }
+    }
+  }
+  return matrix;
+}
+
+/**
+ * BTC's share of the tracked assets' combined market cap (in USD).
+ */
+function btcDominance(prices) {
+  const caps = Object.entries(prices).filter(([, data]) => data.marketCap > 0);
+  const btc = prices.BTC?.marketCap;
+  if (!btc || caps.length < 2) return null;
+
+  const total = caps.reduce((sum, [, data]) => sum + data.marketCap, 0);
+  return {
+    btcPct: round((btc / total) * 100),
+    totalMarketCap: total,
+    currency: "USD",
+    assets: caps.length,
+    basis: "tracked assets",
+  };
+}
+
+/**
+ * Each asset's performance relative to each benchmark, per timeframe:
+ * `((1 + asset) / (1 + benchmark) - 1)` in percent, so +5 means the
+ * asset beat the benchmark by 5%.
+ */
+function relativeStrength(prices, summaries, benchmarks = DEFAULTS.benchmarks) {
+  const changes = {};
+  for (const symbol of new Set([...Object.keys(prices), ...Object.keys(summaries)])) {
+    changes[symbol] = { "24h": prices[symbol]?.change24h };
+    for (const [timeframe, summary] of Object.entries(summaries[symbol] || {})) {
+      if (timeframe !== "1h") changes[symbol][timeframe] = summary.changePct;
+    }
+  }
+
+  const result = {};
+  for (const symbol of Object.keys(changes)) {
+    for (const benchmark of benchmarks) {
+      if (symbol === benchmark || !changes[benchmark]) continue;
+
+      const vs = {};
+      for (const [timeframe, change] of Object.entries(changes[symbol])) {
+        const base = changes[benchmark][timeframe];
+        if (typeof change !== "number" || typeof base !== "number") continue;
+        vs[timeframe] = round(((1 + change / 100) / (1 + base / 100) - 1) * 100);
+      }
+      if (Object.keys(vs).length > 0) {
+        result[symbol] = { ...result[symbol], [`vs${benchmark}`]: vs };
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Assets whose recent correlation with the benchmark has collapsed
+ * from a normally high level.
+ */
+function detectDecoupling(matrix, recent, relative, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const benchmark = opts.decouplingBenchmark;
+  if (!matrix[benchmark] || !recent[benchmark]) return [];
+
+  const events = [];
+  for (const symbol of Object.keys(matrix)) {
+    if (symbol === benchmark) continue;
+    const long = matrix[symbol][benchmark];
+    const short = recent[symbol]?.[benchmark];
+    if (long === null || short === null || short === undefined) continue;
+    if (long < opts.minLongCorrelation || long - short < opts.minCorrelationDrop) continue;
+
+    const relative7d = relative[symbol]?.[`vs${benchmark}`]?.["7d"] ?? null;
+    events.push({
+      asset: symbol,
+      benchmark,
+      longCorrelation: long,
+      recentCorrelation: short,
+      relative7d,
+      direction: relative7d === null ? null : relative7d >= 0 ? "outperforming" : "underperforming",
+    });
+  }
+  return events;
+}
+
+/**
+ * Full cross-asset reading from 4h candles (per symbol, covering 30
+ * days), spot prices and timeframe summaries. Returns null with fewer
+ * than two assets. `points` counts the returns of the longest series.
+ */
+function analyze({ candles = {}, prices = {}, summaries = {} }, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const symbols = [...new Set([...Object.keys(prices), ...Object.keys(summaries)])];
+  if (symbols.length < 2) return null;
+
+  const matrix = correlationMatrix(candles, { minPoints: opts.minPoints });
+  const recent = correlationMatrix(candles, { minPoints: opts.minPoints, lastReturns: opts.recentCandles });
+  const relative = relativeStrength(prices, summaries, opts.benchmarks);
+
+  return {
+    correlation: {
+      interval: "4h",
+      window: "30d",
+      recentWindow: "7d",
+      points: Math.max(0, ...Object.values(candles).map((series) => series.length - 1)),
+      matrix,
+      recent,
+    },
+    dominance: btcDominance(prices),
+    relativeStrength: relative,
+    decoupling: detectDecoupling(matrix, recent, relative, opts),
+  };
+}
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  returns,
+  correlation,
+  alignedReturns,
+  correlationMatrix,
+  btcDominance,
+  relativeStrength,
+  detectDecoupling,
+  analyze,
+};
@@ -0,0 +1,157 @@
+/**
+ * Quote currencies and locale-aware money formatting.
+ *
+ * Prices are fetched in USD; a report can be quoted in another fiat
+ * currency (converted at CoinGecko's exchange rates) or in any tracked
+ * asset such as BTC or HBAR (converted at that asset's own aggregated
+ * price). Each currency carries its display symbol and the locale its
+ * readers expect, which can be overridden per report.
+ */
+
+const COINGECKO_API = "https://api.coingecko.com/api/v3";
+
+const FIAT = {
+  USD: { symbol: "$", locale: "en-US", aliases: ["usd", "dollar", "dollars", "us dollars"] },
+  EUR: { symbol: "€", locale: "de-DE", aliases: ["eur", "euro", "euros"] },
+  JPY: { symbol: "¥", locale: "ja-JP", aliases: ["jpy", "yen"] },
+  GBP: { symbol: "£", locale: "en-GB", aliases: ["gbp", "pound", "pounds", "sterling"] },
+  CHF: { symbol: "CHF", locale: "de-CH", aliases: ["chf", "franc", "francs", "swiss francs"] },
+  KRW: { symbol: "₩", locale: "ko-KR", aliases: ["krw", "won"] },
+  SGD: { symbol: "S$", locale: "en-SG", aliases: ["sgd", "singapore dollars"] },
+  AUD: { symbol: "A$", locale: "en-AU", aliases: ["aud", "australian dollars"] },
+};
+
+// Crypto bases with a symbol of their own; others are suffixed with their ticker
+const CRYPTO_SYMBOLS = { BTC: "₿", ETH: "Ξ", HBAR: "ℏ" };
+
+const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Currency for a code or name ("EUR", "euros", "BTC", "hbar"): fiat
+ * from FIAT, crypto from the asset `registry`. Throws on anything else.
+ */
+function resolveCurrency(input = DEFAULT_CURRENCY, registry = null, locale = null) {
+  const lower = String(input).trim().toLowerCase();
+  const fiat = Object.entries(FIAT).find(([code, c]) => code.toLowerCase() === lower || c.aliases.includes(lower));
+  if (fiat) {
+    const [code, { symbol, locale: defaultLocale }] = fiat;
+    return { code, kind: "fiat", symbol, locale: locale || defaultLocale };
+  }
+
+  const asset = registry?.get(lower) || registry?.list().find((a) => a.aliases.includes(lower));
+  if (asset) {
+    return { code: asset.symbol, kind: "crypto", symbol: CRYPTO_SYMBOLS[asset.symbol] || null, locale: locale || "en-US" };
+  }
+
+  throw new Error(`Unknown currency: ${input} (use ${Object.keys(FIAT).join(", ")} or a tracked asset)`);
+}
+
+/**
+ * Currency for a code already on a report, without the asset registry:
+ * FIAT codes as above, anything else is taken to be a crypto ticker.
+ */
+function currencyForCode(code = DEFAULT_CURRENCY, locale = null) {
+  const fiat = FIAT[code];
+  if (fiat) return { code, kind: "fiat", symbol: fiat.symbol, locale: locale || fiat.locale };
+  return { code, kind: "crypto", symbol: CRYPTO_SYMBOLS[code] || null, locale: locale || "en-US" };
+}
+
+/**
+ * Pull a quote currency off the end of free text ("price of SOL in
+ * euros", "ETH in BTC terms?"). Returns `{ currency, text }` with the
+ * phrase removed from the text, or null when the text names none.
+ *
+ * A plain "in <asset>" usually names the subject ("what is happening
+ * in solana?"), so tracked assets only count as a quote currency with
+ * explicit phrasing: "in BTC terms", "priced in", "quoted in" or
+ * "denominated in".
+ */
+function parseCurrency(text, registry = null) {
+  const match =
+    /\b(?:(priced|quoted|denominated)\s+)?(?:in|into)\s+([a-z]+(?:\s+(?:dollars|francs))?)(\s+terms)?\s*[?.!]*\s*$/i.exec(String(text));
+  if (!match) return null;
+
+  let currency;
+  try {
+    currency = resolveCurrency(match[2], registry);
+  } catch {
+    return null; // "trends in defi": not a currency
+  }
+  if (currency.kind === "crypto" && !match[1] && !match[3]) return null;
+  return { currency, text: text.slice(0, match.index).trim() };
+}
+
+/**
+ * Format an amount of `currency`. Amounts under 100 keep four
+ * significant digits so sub-dollar tokens and BTC-quoted prices stay
+ * readable; `compact` abbreviates large figures (1.2T, 1,2 Bio.).
+ */
+function formatMoney(value, currency, { compact = false } = {}) {
+  const digits = compact
+    ? { notation: "compact", minimumFractionDigits: 0, maximumFractionDigits: 1 }
+    : Math.abs(value) < 100 && value !== 0
+      ? { maximumSignificantDigits: 4 }
+      : { maximumFractionDigits: currency.kind === "crypto" ? 4 : undefined };
+
+  if (currency.kind === "fiat") {
+    return new Intl.NumberFormat(currency.locale, { style: "currency", currency: currency.code, ...digits }).format(value);
+  }
+
+  const number = new Intl.NumberFormat(currency.locale, digits).format(value);
+  return currency.symbol ? `${currency.symbol}${number}` : `${number} ${currency.code}`;
+}
+
+/**
+ * Percentage in the currency's locale ("+2.5%", "-3,2 %").
+ */
+function formatPercent(value, currency, { digits = 1, signed = true } = {}) {
+  return new Intl.NumberFormat(currency.locale, {
+    style: "percent",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    signDisplay: signed ? "exceptZero" : "auto",
+  }).format(value / 100);
+}
+
+/**
+ * Fiat exchange rates against USD from CoinGecko's BTC-based rate
+ * table, cached for `ttlMs`.
+ */
+class ExchangeRates {
+  constructor(httpGet, { ttlMs = 10 * 60 * 1000, now = () => Date.now() } = {}) {
+    this.httpGet = httpGet;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.table = null;
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * Units of `code` per US dollar.
+   */
+  async perUsd(code) {
+    if (code === "USD") return 1;
+
+    if (!this.table || this.now() - this.fetchedAt > this.ttlMs) {
+      const data = await this.httpGet(`${COINGECKO_API}/exchange_rates`);
+      if (!data?.rates?.usd) throw new Error("CoinGecko: no exchange rates");
+      this.table = data.rates;
+      this.fetchedAt = this.now();
+    }
+
+    const rate = this.table[code.toLowerCase()];
+    if (!rate) throw new Error(`No exchange rate for ${code}`);
+    return rate.value / this.table.usd.value;
+  }
+}
+
+module.exports = {
+  FIAT,
+  DEFAULT_CURRENCY,
+  resolveCurrency,
+  currencyForCode,
+  parseCurrency,
+  formatMoney,
+  formatPercent,
+  ExchangeRates,
+};
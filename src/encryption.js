@@ -0,0 +1,161 @@
+/**
+ * Encrypted premium reports.
+ *
+ * Each report is encrypted with a fresh AES-256-GCM content key. That key
+ * is then wrapped once per subscriber with ECIES over secp256k1: an
+ * ephemeral key pair, ECDH with the subscriber's public key, HKDF-SHA256
+ * and AES-256-GCM. Subscribers can use the public key of any Hedera
+ * ECDSA account (or one from `generateSubscriberKey()`).
+ *
+ * The report digest is bound in as additional authenticated data, so a
+ * ciphertext cannot be paired with another report's public digest.
+ */
+
+const crypto = require("crypto");
+const { PrivateKey } = require("@hashgraph/sdk");
+const { toPrivateKey } = require("./signing");
+
+const CIPHER = "aes-256-gcm";
+const KEY_WRAP = "ecies-secp256k1-hkdf-sha256-aes-256-gcm";
+const HKDF_INFO = Buffer.from("hedera-intel/report-key/1");
+
+/**
+ * Short identifier for a recipient public key (lets a subscriber find
+ * their wrapped key without trying every entry).
+ */
+function recipientId(publicKeyHex) {
+  return crypto
+    .createHash("sha256")
+    .update(Buffer.from(normalizePublicKey(publicKeyHex), "hex"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Accept compressed/uncompressed hex, with or without 0x.
+ */
+function normalizePublicKey(publicKeyHex) {
+  const hex = String(publicKeyHex).trim().replace(/^0x/, "").toLowerCase();
+  return crypto.ECDH.convertKey(hex, "secp256k1", "hex", "hex", "compressed");
+}
+
+function aesEncrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+function aesDecrypt(key, box, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(box.iv, "base64"));
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(box.ciphertext, "base64")),
+    decipher.final(),
+  ]);
+}
+
+function deriveWrapKey(sharedSecret, ephemeralPublicKey) {
+  return Buffer.from(
+    crypto.hkdfSync("sha256", sharedSecret, ephemeralPublicKey, HKDF_INFO, 32)
+  );
+}
+
+/**
+ * Encrypt a report for a list of subscriber public keys.
+ * `digest` is the report's public provenance digest.
+ */
+function encryptReport(report, recipientPublicKeys, digest) {
+  if (!recipientPublicKeys || recipientPublicKeys.length === 0) {
+    throw new Error("Encrypted reports need at least one recipient public key.");
+  }
+
+  const aad = Buffer.from(digest, "utf-8");
+  const contentKey = crypto.randomBytes(32);
+  const payload = aesEncrypt(contentKey, Buffer.from(JSON.stringify(report), "utf-8"), aad);
+
+  const recipients = recipientPublicKeys.map((publicKeyHex) => {
+    const publicKey = Buffer.from(normalizePublicKey(publicKeyHex), "hex");
+    const ephemeral = crypto.createECDH("secp256k1");
+    ephemeral.generateKeys();
+    const ephemeralPublicKey = ephemeral.getPublicKey(null, "compressed");
+    const wrapKey = deriveWrapKey(ephemeral.computeSecret(publicKey), ephemeralPublicKey);
+    const wrapped = aesEncrypt(wrapKey, contentKey, aad);
+
+    return {
+      id: recipientId(publicKeyHex),
+      ephemeralPublicKey: ephemeralPublicKey.toString("hex"),
+      iv: wrapped.iv,
+      tag: wrapped.tag,
+      wrappedKey: wrapped.ciphertext,
+    };
+  });
+
+  return { cipher: CIPHER, keyWrap: KEY_WRAP, ...payload, recipients };
+}
+
+/**
+ * Parse a subscriber private key. Raw 32-byte hex is read as ECDSA.
+ */
+function toSubscriberKey(privateKey) {
+  const key =
+    typeof privateKey === "string" && /^(0x)?[0-9a-f]{64}$/i.test(privateKey)
+      ? PrivateKey.fromStringECDSA(privateKey.replace(/^0x/, ""))
+      : toPrivateKey(privateKey);
+
+  if (key.type === "ED25519") {
+    throw new Error("Subscriber keys must be ECDSA (secp256k1); ED25519 keys cannot decrypt.");
+  }
+  return key;
+}
+
+/**
+ * Decrypt an encrypted report block with a subscriber's private key.
+ * Returns null when the key is not among the recipients.
+ */
+function decryptReport(encrypted, privateKey, digest) {
+  const key = toSubscriberKey(privateKey);
+  const id = recipientId(key.publicKey.toStringRaw());
+  const entry = encrypted.recipients.find((r) => r.id === id);
+  if (!entry) return null;
+
+  const aad = Buffer.from(digest, "utf-8");
+  const ecdh = crypto.createECDH("secp256k1");
+  ecdh.setPrivateKey(Buffer.from(key.toStringRaw(), "hex"));
+  const ephemeralPublicKey = Buffer.from(entry.ephemeralPublicKey, "hex");
+  const wrapKey = deriveWrapKey(ecdh.computeSecret(ephemeralPublicKey), ephemeralPublicKey);
+
+  const contentKey = aesDecrypt(
+    wrapKey,
+    { iv: entry.iv, tag: entry.tag, ciphertext: entry.wrappedKey },
+    aad
+  );
+  const plaintext = aesDecrypt(contentKey, encrypted, aad);
+  return JSON.parse(plaintext.toString("utf-8"));
+}
+
+/**
+ * Generate a subscriber key pair (Hedera ECDSA format).
+ */
+function generateSubscriberKey() {
+  const key = PrivateKey.generateECDSA();
+  return {
+    privateKey: key.toStringDer(),
+    publicKey: key.publicKey.toStringRaw(),
+  };
+}
+
+module.exports = {
+  CIPHER,
+  KEY_WRAP,
+  recipientId,
+  encryptReport,
+  decryptReport,
+  generateSubscriberKey,
+};
@@ -0,0 +1,146 @@
+/**
+ * Report focus profiles.
+ *
+ * A profile decides what a report is about and how much of it there is:
+ *
+ *   assets    default symbols and registry categories to cover
+ *   sources   which inputs to fetch: `news`, `history`, and `network`
+ *             (true always, false never, "rules" when a rule reads it)
+ *   sections  which optional report sections to keep
+ *   signals   which narratives make the cut — any listed `directions`,
+ *             `types`, `assets` or asset `categories` qualify — and at
+ *             most `max` of them
+ *   actions   how many action items, and what to say when none apply
+ *
+ * The `portfolio` profile covers the holdings passed to generateReport
+ * rather than a fixed list. Older focus names ("query", "narratives",
+ * "hedera") are aliases.
+ */
+
+const PROFILES = {
+  general: {
+    title: "Market Intelligence Brief",
+    description: "Full brief across every source, section and signal",
+    assets: { symbols: ["BTC", "ETH", "SOL", "HBAR"] },
+    sources: { news: true, history: true, network: "rules" },
+    sections: ["priceHistory", "indicators", "news", "crossAsset", "risk"],
+    signals: {},
+    actions: { max: 3, fallback: "Continue monitoring. No strong signals detected." },
+  },
+  risk: {
+    title: "Risk Brief",
+    description: "Short morning brief: downside and volatility signals, risk metrics, correlations",
+    assets: { symbols: ["BTC", "ETH", "SOL", "HBAR"] },
+    sources: { news: true, history: true, network: false },
+    sections: ["crossAsset", "risk"],
+    signals: {
+      directions: ["bearish"],
+      types: ["volatility-squeeze", "volatility-regime", "decoupling", "relief-bounce", "range-high"],
+      max: 5,
+    },
+    actions: { max: 3, fallback: "No risk flags raised. Keep positions as sized." },
+  },
+  defi: {
+    title: "DeFi Brief",
+    description: "DeFi tokens and ETH with indicators, news and relative strength",
+    assets: { symbols: ["ETH"], categories: ["DeFi"] },
+    sources: { news: true, history: true, network: false },
+    sections: ["priceHistory", "indicators", "news", "crossAsset"],
+    signals: {},
+    actions: { max: 5, fallback: "No DeFi signals. Continue monitoring." },
+  },
+  "hedera-ecosystem": {
+    title: "Hedera Ecosystem Brief",
+    description: "Deep brief on HBAR and Hedera tokens, with network metrics",
+    assets: { symbols: ["BTC", "HBAR"], categories: ["Hedera ecosystem"] },
+    sources: { news: true, history: true, network: true },
+    sections: ["priceHistory", "indicators", "news", "crossAsset", "risk", "network"],
+    signals: { categories: ["Hedera ecosystem"], types: ["hedera-hcs-throughput"] },
+    actions: { max: 5, fallback: "No Hedera-specific signals. Watch HBAR relative to BTC." },
+  },
+  macro: {
+    title: "Macro Brief",
+    description: "Majors and layer-1s: trend, dominance, correlation and decoupling",
+    assets: { symbols: ["BTC", "ETH"], categories: ["L1"] },
+    sources: { news: true, history: true, network: false },
+    sections: ["priceHistory", "crossAsset"],
+    signals: {
+      assets: ["BTC", "ETH"],
+      types: ["decoupling", "majors-risk-off", "sma-cross-up", "sma-cross-down"],
+    },
+    actions: { max: 3, fallback: "No macro signals. Trend and correlations unchanged." },
+  },
+  portfolio: {
+    title: "Portfolio Brief",
+    description: "Our holdings: value, P&L, weights, concentration and the signals on them",
+    assets: { symbols: [] },
+    sources: { news: true, history: true, network: false },
+    sections: ["priceHistory", "crossAsset", "risk"],
+    signals: {},
+    actions: { max: 5, fallback: "No active signals on current holdings." },
+  },
+  prices: {
+    title: "Price Snapshot",
+    description: "Spot prices only, no analysis",
+    assets: { symbols: ["BTC", "ETH", "SOL", "HBAR"] },
+    sources: { news: false, history: false, network: false },
+    sections: [],
+    signals: { max: 0 },
+    actions: { max: 0 },
+  },
+};
+
+const ALIASES = {
+  query: "general",
+  narratives: "general",
+  hedera: "hedera-ecosystem",
+};
+
+/**
+ * Profile for a focus name (or alias), with its canonical `name`.
+ * Throws on names that are neither.
+ */
+function getProfile(focus = "general") {
+  const name = ALIASES[focus] || focus;
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown focus: ${focus} (use ${Object.keys(PROFILES).join(", ")})`);
+  }
+  return { name, ...profile };
+}
+
+/**
+ * Default asset list for a profile: its symbols, then its registry
+ * categories, without duplicates.
+ */
+function profileAssets(profile, registry) {
+  const symbols = [...profile.assets.symbols];
+  for (const category of profile.assets.categories || []) {
+    if (!registry) continue;
+    for (const asset of registry.byCategory(category)) symbols.push(asset.symbol);
+  }
+  return [...new Set(symbols)];
+}
+
+/**
+ * Narratives the profile keeps, in their existing (score) order.
+ */
+function selectSignals(profile, narratives, registry = null) {
+  const { directions, types, assets, categories, max } = profile.signals;
+  const filtered = directions || types || assets || categories;
+  const inCategory = new Set(
+    (categories || []).flatMap((c) => (registry ? registry.byCategory(c).map((a) => a.symbol) : []))
+  );
+
+  const kept = narratives.filter(
+    (n) =>
+      !filtered ||
+      directions?.includes(n.direction) ||
+      types?.includes(n.type) ||
+      assets?.includes(n.asset) ||
+      inCategory.has(n.asset)
+  );
+  return max === undefined ? kept : kept.slice(0, max);
+}
+
+module.exports = { PROFILES, getProfile, profileAssets, selectSignals };
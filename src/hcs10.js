@@ -18,16 +18,19 @@
  * @see https://hashgraphonline.com/docs/libraries/standards-sdk/
  */
 
-const {
-  Client,
-  TopicCreateTransaction,
-  TopicMessageSubmitTransaction,
-  TopicMessageQuery,
-  TopicInfoQuery,
-  AccountBalanceQuery,
-  Hbar,
-  PrivateKey,
-} = require("@hashgraph/sdk");
+const { createTransport, LOCAL_SIM } = require("./transport");
+const { SIM_REGISTRY_TOPIC_ID } = require("./simulator");
+const { toPrivateKey } = require("./signing");
+const { splitMessage, MAX_MESSAGE_BYTES } = require("./chunks");
+const { parseCurrency } = require("./currency");
+const { renderAssets, renderRisk, renderSignals } = require("./render");
+
+// HOL global registry topics
+const REGISTRY_TOPICS = {
+  testnet: "0.0.6813087",
+  mainnet: "0.0.5878443",
+  [LOCAL_SIM]: SIM_REGISTRY_TOPIC_ID,
+};
 
 const PROTOCOL = "hcs-10";
 const AGENT_NAME = "HederaIntel";
@@ -38,6 +41,7 @@ const AGENT_CAPABILITIES = [
   "market_report",
   "price_check",
   "narrative_detection",
+  "risk_metrics",
   "hedera_network_stats",
   "natural_language_query",
 ];
@@ -53,10 +57,11 @@ const AGENT_CAPABILITIES = [
  *   5. Respond with market intelligence
  */
 class OpenConvAIAgent {
-  constructor(intelEngine, networkAnalytics) {
+  constructor(intelEngine, networkAnalytics, transport = null) {
     this.intel = intelEngine;
     this.network = networkAnalytics;
-    this.client = null;
+    this.transport = transport;
+    this.networkName = null;
     this.accountId = null;
     this.privateKey = null;
 
@@ -77,33 +82,26 @@ class OpenConvAIAgent {
    */
   async initialize(accountId, privateKey, network = "testnet") {
     this.accountId = accountId;
-    this.privateKey = privateKey;
-
-    if (network === "testnet") {
-      this.client = Client.forTestnet();
-      // HOL testnet registry topic
-      this.registryTopicId = "0.0.6813087";
-    } else {
-      this.client = Client.forMainnet();
-      // HOL mainnet registry topic
-      this.registryTopicId = "0.0.5878443";
+    this.privateKey = toPrivateKey(privateKey);
+    this.networkName = network === "testnet" || network === LOCAL_SIM ? network : "mainnet";
+    this.registryTopicId = REGISTRY_TOPICS[this.networkName];
+
+    if (!this.transport || this.transport.network !== this.networkName) {
+      this.transport = createTransport(this.networkName, {
+        maxTransactionFee: 5,
+        maxQueryPayment: 2,
+      });
     }
 
-    this.client.setOperator(accountId, privateKey);
-    this.client.setDefaultMaxTransactionFee(new Hbar(5));
-    this.client.setDefaultMaxQueryPayment(new Hbar(2));
-
     // Verify connection
-    const balance = await new AccountBalanceQuery()
-      .setAccountId(accountId)
-      .execute(this.client);
+    const { balance } = await this.transport.connect(accountId, this.privateKey);
 
-    console.log(`[HCS-10] Initialized on ${network}`);
+    console.log(`[HCS-10] Initialized on ${this.networkName}`);
     console.log(`[HCS-10] Account: ${accountId}`);
-    console.log(`[HCS-10] Balance: ${balance.hbars.toString()}`);
+    console.log(`[HCS-10] Balance: ${balance}`);
     console.log(`[HCS-10] Registry: ${this.registryTopicId}`);
 
-    return { accountId, balance: balance.hbars.toString() };
+    return { accountId, balance };
   }
 
   /**
@@ -116,28 +114,19 @@ class OpenConvAIAgent {
     console.log("[HCS-10] Creating agent topics...");
 
     // Create inbound topic (public — anyone can submit connection requests)
-    const inboundTx = await new TopicCreateTransaction()
-      .setTopicMemo(
-        `hcs-10:inbound:${AGENT_NAME} - Market Intelligence Agent`
-      )
-      .execute(this.client);
-
-    const inboundReceipt = await inboundTx.getReceipt(this.client);
-    this.inboundTopicId = inboundReceipt.topicId.toString();
+    const inbound = await this.transport.createTopic({
+      memo: `hcs-10:inbound:${AGENT_NAME} - Market Intelligence Agent`,
+    });
+    this.inboundTopicId = inbound.topicId;
 
     console.log(`[HCS-10] Inbound topic:  ${this.inboundTopicId}`);
 
     // Create outbound topic (submit-key restricted to this agent)
-    const key = PrivateKey.fromStringDer(this.privateKey);
-    const outboundTx = await new TopicCreateTransaction()
-      .setTopicMemo(
-        `hcs-10:outbound:${AGENT_NAME} - Activity Log`
-      )
-      .setSubmitKey(key.publicKey)
-      .execute(this.client);
-
-    const outboundReceipt = await outboundTx.getReceipt(this.client);
-    this.outboundTopicId = outboundReceipt.topicId.toString();
+    const outbound = await this.transport.createTopic({
+      memo: `hcs-10:outbound:${AGENT_NAME} - Activity Log`,
+      submitKey: this.privateKey.publicKey,
+    });
+    this.outboundTopicId = outbound.topicId;
 
     console.log(`[HCS-10] Outbound topic: ${this.outboundTopicId}`);
 
@@ -199,25 +188,26 @@ class OpenConvAIAgent {
 
     console.log("[HCS-10] Registering agent in HOL global registry...");
 
-    const tx = await new TopicMessageSubmitTransaction()
-      .setTopicId(this.registryTopicId)
-      .setMessage(registrationMessage)
-      .execute(this.client);
-
-    const receipt = await tx.getReceipt(this.client);
+    const { sequenceNumber, transactionId } = await this.transport.submitMessage(
+      this.registryTopicId,
+      registrationMessage
+    );
 
     const result = {
       operatorId,
       registryTopicId: this.registryTopicId,
-      sequenceNumber: receipt.topicSequenceNumber.toString(),
-      transactionId: tx.transactionId.toString(),
-      hashscanUrl: `https://hashscan.io/testnet/topic/${this.registryTopicId}`,
+      sequenceNumber,
+      transactionId,
+      hashscanUrl:
+        this.networkName === LOCAL_SIM
+          ? null
+          : `https://hashscan.io/${this.networkName}/topic/${this.registryTopicId}`,
     };
 
     console.log(`[HCS-10] ✅ Agent registered!`);
     console.log(`[HCS-10] Operator ID: ${operatorId}`);
     console.log(`[HCS-10] Registry Seq: #${result.sequenceNumber}`);
-    console.log(`[HCS-10] Verify: ${result.hashscanUrl}`);
+    if (result.hashscanUrl) console.log(`[HCS-10] Verify: ${result.hashscanUrl}`);
 
     // Also announce on outbound topic
     await this._publishOutbound("register", {
@@ -247,12 +237,10 @@ class OpenConvAIAgent {
     await this._sendHeartbeat();
 
     // Subscribe to inbound topic for messages
-    new TopicMessageQuery()
-      .setTopicId(this.inboundTopicId)
-      .subscribe(this.client, null, async (message) => {
-        const content = Buffer.from(message.contents).toString("utf-8");
-        await this._handleInboundMessage(content, message);
-      });
+    this.transport.subscribe(this.inboundTopicId, async (message) => {
+      const content = message.contents.toString("utf-8");
+      await this._handleInboundMessage(content, message);
+    });
   }
 
   /**
@@ -317,14 +305,9 @@ class OpenConvAIAgent {
     const requesterId = msg.operator_id;
 
     // Create a connection topic for this conversation
-    const connTx = await new TopicCreateTransaction()
-      .setTopicMemo(
-        `hcs-10:connection:${AGENT_NAME}<>${requesterId}`
-      )
-      .execute(this.client);
-
-    const connReceipt = await connTx.getReceipt(this.client);
-    const connectionTopicId = connReceipt.topicId.toString();
+    const { topicId: connectionTopicId } = await this.transport.createTopic({
+      memo: `hcs-10:connection:${AGENT_NAME}<>${requesterId}`,
+    });
 
     // Store connection
     this.connections.set(requesterId, {
@@ -349,26 +332,21 @@ class OpenConvAIAgent {
       m: "Connection accepted by HederaIntel",
     });
 
-    await new TopicMessageSubmitTransaction()
-      .setTopicId(this.inboundTopicId)
-      .setMessage(response)
-      .execute(this.client);
+    await this.transport.submitMessage(this.inboundTopicId, response);
 
     console.log(
       `[HCS-10] ✅ Connection established with ${requesterId} on topic ${connectionTopicId}`
     );
 
     // Subscribe to connection topic for ongoing messages
-    new TopicMessageQuery()
-      .setTopicId(connectionTopicId)
-      .subscribe(this.client, null, async (message) => {
-        const content = Buffer.from(message.contents).toString("utf-8");
-        await this._handleConnectionMessage(
-          content,
-          connectionTopicId,
-          requesterId
-        );
-      });
+    this.transport.subscribe(connectionTopicId, async (message) => {
+      const content = message.contents.toString("utf-8");
+      await this._handleConnectionMessage(
+        content,
+        connectionTopicId,
+        requesterId
+      );
+    });
   }
 
   /**
@@ -393,10 +371,7 @@ class OpenConvAIAgent {
         m: response.summary || "HederaIntel response",
       });
 
-      await new TopicMessageSubmitTransaction()
-        .setTopicId(connectionTopicId)
-        .setMessage(responseMsg)
-        .execute(this.client);
+      await this.transport.submitMessage(connectionTopicId, responseMsg);
 
       console.log(`[HCS-10] Responded to ${requesterId} on ${connectionTopicId}`);
     } catch (err) {
@@ -433,7 +408,10 @@ class OpenConvAIAgent {
    * This is the intelligence routing layer.
    */
   async _processQuery(queryText, params = {}) {
-    const query = typeof queryText === "string" ? queryText.toLowerCase() : "";
+    // "price of SOL in euros": quote in EUR and route on the rest
+    const quoted = typeof queryText === "string" ? parseCurrency(queryText, this.intel.assets) : null;
+    const query = typeof queryText === "string" ? (quoted ? quoted.text : queryText).toLowerCase() : "";
+    const currency = quoted?.currency.code || params.currency;
 
     // Route based on intent detection
     if (
@@ -445,16 +423,39 @@ class OpenConvAIAgent {
       const report = await this.intel.generateReport({
         assets,
         focus: "prices",
+        currency,
       });
       return {
         type: "price_check",
         summary: report.summary,
+        currency: report.currency,
         assets: report.assets,
         confidence: report.confidence,
         generatedAt: report.generatedAt,
       };
     }
 
+    if (
+      query.includes("risk") ||
+      query.includes("volatil") ||
+      query.includes("drawdown") ||
+      query.includes("beta")
+    ) {
+      const report = await this.intel.generateReport({
+        assets: this._extractAssets(query) || undefined,
+        focus: "risk",
+      });
+      return {
+        type: "risk_report",
+        summary: report.summary,
+        risk: report.risk || null,
+        signals: report.signals,
+        actionItems: report.actionItems,
+        confidence: report.confidence,
+        generatedAt: report.generatedAt,
+      };
+    }
+
     if (
       query.includes("narrative") ||
       query.includes("trend") ||
@@ -484,11 +485,13 @@ class OpenConvAIAgent {
       const marketReport = await this.intel.generateReport({
         assets: ["HBAR"],
         focus: "hedera",
+        currency,
       });
       return {
         type: "hedera_intelligence",
         summary: `Hedera network health: ${networkReport.healthScore}/100. ${marketReport.summary}`,
         networkHealth: networkReport,
+        currency: marketReport.currency,
         marketData: marketReport.assets,
         signals: marketReport.signals,
         generatedAt: new Date().toISOString(),
@@ -507,8 +510,9 @@ class OpenConvAIAgent {
         description: AGENT_DESCRIPTION,
         capabilities: AGENT_CAPABILITIES,
         usage: [
-          "Ask about prices: 'What's the price of BTC and ETH?'",
+          "Ask about prices: 'What's the price of BTC and ETH?' or 'Price of SOL in euros'",
           "Detect narratives: 'What are the current market trends?'",
+          "Risk metrics: 'How volatile is SOL?'",
           "Hedera intel: 'How is the Hedera network doing?'",
           "Full report: 'Give me a market intelligence report'",
         ],
@@ -523,47 +527,27 @@ class OpenConvAIAgent {
       "SOL",
       "HBAR",
     ];
-    const report = await this.intel.generateReport({ assets, focus: "general" });
+    const report = await this.intel.generateReport({ assets, focus: "general", currency });
     return {
       type: "market_report",
       title: report.title,
       summary: report.summary,
+      currency: report.currency,
       assets: report.assets,
       signals: report.signals,
       actionItems: report.actionItems,
+      risk: report.risk || null,
       confidence: report.confidence,
       generatedAt: report.generatedAt,
     };
   }
 
   /**
-   * Extract asset symbols from natural language query.
+   * Extract asset symbols from natural language query, using the
+   * engine's asset registry.
    */
   _extractAssets(query) {
-    const assetMap = {
-      bitcoin: "BTC",
-      btc: "BTC",
-      ethereum: "ETH",
-      eth: "ETH",
-      solana: "SOL",
-      sol: "SOL",
-      hedera: "HBAR",
-      hbar: "HBAR",
-      avalanche: "AVAX",
-      avax: "AVAX",
-      near: "NEAR",
-      polkadot: "DOT",
-      dot: "DOT",
-    };
-
-    const found = [];
-    for (const [keyword, symbol] of Object.entries(assetMap)) {
-      if (query.includes(keyword)) {
-        if (!found.includes(symbol)) found.push(symbol);
-      }
-    }
-
-    return found.length > 0 ? found : null;
+    return this.intel.assets.findInText(query);
   }
 
   /**
@@ -583,13 +567,10 @@ class OpenConvAIAgent {
 
     try {
       // Handle messages > 1024 bytes with chunking
-      if (Buffer.byteLength(message) > 1024) {
+      if (Buffer.byteLength(message) > MAX_MESSAGE_BYTES) {
         await this._publishChunked(this.outboundTopicId, message);
       } else {
-        await new TopicMessageSubmitTransaction()
-          .setTopicId(this.outboundTopicId)
-          .setMessage(message)
-          .execute(this.client);
+        await this.transport.submitMessage(this.outboundTopicId, message);
       }
     } catch (err) {
       console.error(`[HCS-10] Outbound publish error: ${err.message}`);
@@ -600,20 +581,8 @@ class OpenConvAIAgent {
    * Publish chunked message for large payloads.
    */
   async _publishChunked(topicId, message) {
-    const chunkSize = 900;
-    const totalChunks = Math.ceil(message.length / chunkSize);
-
-    for (let i = 0; i < totalChunks; i++) {
-      const chunk = message.slice(i * chunkSize, (i + 1) * chunkSize);
-      const chunkMsg = JSON.stringify({
-        _chunk: { index: i, total: totalChunks, id: `${Date.now()}` },
-        data: chunk,
-      });
-
-      await new TopicMessageSubmitTransaction()
-        .setTopicId(topicId)
-        .setMessage(chunkMsg)
-        .execute(this.client);
+    for (const chunkMsg of splitMessage(message, `${Date.now()}`)) {
+      await this.transport.submitMessage(topicId, chunkMsg);
     }
   }
 
@@ -654,18 +623,13 @@ class OpenConvAIAgent {
       m: `Query from ${AGENT_NAME}`,
     });
 
-    const tx = await new TopicMessageSubmitTransaction()
-      .setTopicId(targetInboundTopicId)
-      .setMessage(message)
-      .execute(this.client);
-
-    const receipt = await tx.getReceipt(this.client);
+    const { sequenceNumber, transactionId } = await this.transport.submitMessage(
+      targetInboundTopicId,
+      message
+    );
 
     console.log(`[HCS-10] Query sent to ${targetInboundTopicId}`);
-    return {
-      transactionId: tx.transactionId.toString(),
-      sequenceNumber: receipt.topicSequenceNumber.toString(),
-    };
+    return { transactionId, sequenceNumber };
   }
 
   /**
@@ -686,6 +650,7 @@ class OpenConvAIAgent {
     console.log("║  Try:                                            ║");
     console.log("║    • What's the price of BTC?                    ║");
     console.log("║    • What are the current market narratives?     ║");
+    console.log("║    • How risky is SOL right now?                 ║");
     console.log("║    • How is the Hedera network doing?            ║");
     console.log("║    • Give me a full market report                ║");
     console.log("║    • What can you do?                            ║");
@@ -742,21 +707,23 @@ class OpenConvAIAgent {
     } else if (response.type === "price_check") {
       console.log(`\n  📊 ${response.summary}\n`);
       if (response.assets) {
-        for (const asset of response.assets) {
-          console.log(
-            `  ${asset.symbol.padEnd(6)} ${asset.price.padStart(12)} | 24h: ${asset.change24h.padStart(8)} | MCap: ${asset.marketCap}`
-          );
-        }
+        for (const line of renderAssets(response)) console.log(line);
         console.log();
       }
     } else if (response.type === "narrative_detection") {
       console.log(`\n  📡 ${response.summary}\n`);
       if (response.narratives) {
         console.log("  Active Narratives:");
-        for (const n of response.narratives) {
-          const bar = "█".repeat(Math.round(n.score * 10)).padEnd(10, "░");
-          console.log(`    [${bar}] ${n.narrative}`);
-          console.log(`             ${n.evidence}`);
+        for (const line of renderSignals(response.narratives, { indent: "    " })) console.log(line);
+        console.log();
+      }
+    } else if (response.type === "risk_report") {
+      console.log(`\n  🛡️  ${response.summary}\n`);
+      this._displayRisk(response.risk);
+      if (response.signals && response.signals.length > 0) {
+        console.log("  Risk Signals:");
+        for (const s of response.signals) {
+          console.log(`    → ${s.narrative}: ${s.evidence}`);
         }
         console.log();
       }
@@ -780,11 +747,7 @@ class OpenConvAIAgent {
 
       if (response.assets) {
         console.log("  Assets:");
-        for (const asset of response.assets) {
-          console.log(
-            `    ${asset.symbol.padEnd(6)} ${asset.price.padStart(12)} | 24h: ${asset.change24h.padStart(8)} | MCap: ${asset.marketCap}`
-          );
-        }
+        for (const line of renderAssets(response, { indent: "    " })) console.log(line);
         console.log();
       }
 
@@ -796,6 +759,8 @@ class OpenConvAIAgent {
         console.log();
       }
 
+      this._displayRisk(response.risk);
+
       if (response.actionItems && response.actionItems.length > 0) {
         console.log("  Actions:");
         for (const a of response.actionItems) {
@@ -808,6 +773,15 @@ class OpenConvAIAgent {
     console.log("───────────────────────────────────────────────────\n");
   }
 
+  /**
+   * Per-asset risk lines for chat responses.
+   */
+  _displayRisk(risk) {
+    if (!risk) return;
+    for (const line of renderRisk(risk, { brief: true })) console.log(`  ${line}`);
+    console.log();
+  }
+
   /**
    * Get agent status summary.
    */
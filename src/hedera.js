@@ -5,71 +5,113 @@
  * reports. Every report published by the agent is verifiable on-chain.
  */
 
+const { KeyList, PrivateKey, PublicKey } = require("@hashgraph/sdk");
+const crypto = require("crypto");
+const { createTransport } = require("./transport");
+const { ChunkAssembler, splitMessage, MAX_MESSAGE_BYTES } = require("./chunks");
 const {
-  Client,
-  TopicCreateTransaction,
-  TopicMessageSubmitTransaction,
-  TopicMessageQuery,
-  TopicInfoQuery,
-  AccountBalanceQuery,
-  Hbar,
-} = require("@hashgraph/sdk");
+  HASH_ALGORITHM,
+  CANONICALIZATION,
+  hashCanonical,
+  buildManifest,
+  buildIntegrity,
+  verifySection,
+} = require("./canonical");
+const {
+  toPrivateKey,
+  signReport,
+  verifyReportSignature,
+  matchesAccountKey,
+} = require("./signing");
+const { encryptReport, decryptReport } = require("./encryption");
+const { verifyProof } = require("./merkle");
+const { validateReport, assertValidReport } = require("./schema");
 
 class HederaService {
-  constructor() {
-    this.client = null;
+  /**
+   * `transport` overrides the one picked from the network name on
+   * initialize() (see ./transport.js).
+   */
+  constructor(transport = null) {
+    this.transport = transport;
     this.topicId = null;
     this.accountId = null;
+    this.operatorKey = null;
+    this.network = "testnet";
+
+    // Extra signing keys for restricted topics (null = operator signs alone)
+    this.submitKey = null;
+    this.adminKey = null;
+
+    // Durable publish queue (null = submit directly)
+    this.outbox = null;
   }
 
   /**
-   * Initialize the Hedera client with testnet or mainnet credentials.
+   * Initialize the Hedera client with testnet, mainnet or local-sim credentials.
    */
   async initialize(accountId, privateKey, network = "testnet") {
     this.accountId = accountId;
+    this.operatorKey = toPrivateKey(privateKey);
+    this.network = network;
 
-    if (network === "testnet") {
-      this.client = Client.forTestnet();
-    } else if (network === "mainnet") {
-      this.client = Client.forMainnet();
-    } else {
-      throw new Error(`Unknown network: ${network}`);
+    if (!this.transport || this.transport.network !== network) {
+      this.transport = createTransport(network);
     }
 
-    this.client.setOperator(accountId, privateKey);
-    this.client.setDefaultMaxTransactionFee(new Hbar(2));
-    this.client.setDefaultMaxQueryPayment(new Hbar(1));
-
     // Verify connection
-    const balance = await new AccountBalanceQuery()
-      .setAccountId(accountId)
-      .execute(this.client);
+    const { balance } = await this.transport.connect(accountId, this.operatorKey);
 
     console.log(`[Hedera] Connected to ${network}`);
     console.log(`[Hedera] Account: ${accountId}`);
-    console.log(`[Hedera] Balance: ${balance.hbars.toString()}`);
+    console.log(`[Hedera] Balance: ${balance}`);
 
-    return { accountId, balance: balance.hbars.toString(), network };
+    return { accountId, balance, network };
   }
 
   /**
    * Create a new HCS topic for publishing intelligence reports.
    * Topics are permanent, append-only logs — perfect for provenance.
+   *
+   * `submitKey` restricts who may post and `adminKey` who may update the
+   * topic. Each is a public key string, a PublicKey, or "operator".
+   * Without them the topic is open and immutable.
    */
-  async createTopic(memo = "HederaIntel Agent - Market Intelligence Feed") {
-    const tx = await new TopicCreateTransaction()
-      .setTopicMemo(memo)
-      .execute(this.client);
-
-    const receipt = await tx.getReceipt(this.client);
-    this.topicId = receipt.topicId.toString();
+  async createTopic(
+    memo = "HederaIntel Agent - Market Intelligence Feed",
+    { submitKey, adminKey } = {}
+  ) {
+    const { topicId } = await this.transport.createTopic(
+      {
+        memo,
+        submitKey: submitKey ? this._resolvePublicKey(submitKey) : null,
+        adminKey: adminKey ? this._resolvePublicKey(adminKey) : null,
+      },
+      { signers: [this.adminKey] }
+    );
+    this.topicId = topicId;
 
     console.log(`[Hedera] Created topic: ${this.topicId}`);
-    console.log(`[Hedera] View at: https://hashscan.io/testnet/topic/${this.topicId}`);
+    if (submitKey || adminKey) {
+      console.log(
+        `[Hedera] Access: submit key ${submitKey ? "set" : "none"}, admin key ${adminKey ? "set" : "none"}`
+      );
+    }
+    if (this._hashscanUrl()) console.log(`[Hedera] View at: ${this._hashscanUrl()}`);
 
     return this.topicId;
   }
 
+  /**
+   * Load private keys for a restricted topic: the submit key signs every
+   * message, the admin key signs topic updates. The operator key is used
+   * when either matches it, so only keys other than the operator's are needed.
+   */
+  setTopicKeys({ submitKey, adminKey } = {}) {
+    if (submitKey) this.submitKey = toPrivateKey(submitKey);
+    if (adminKey) this.adminKey = toPrivateKey(adminKey);
+  }
+
   /**
    * Set an existing topic ID (for resuming sessions).
    */
@@ -81,149 +123,918 @@ class HederaService {
   /**
    * Publish a market intelligence report to HCS.
    * Returns the transaction ID and sequence number for verification.
+   *
+   * Pass `recipients` (subscriber secp256k1 public keys) to publish an
+   * encrypted premium report instead of plaintext.
+   *
+   * Reports with a `schemaVersion` are checked against that schema (see
+   * ./schema.js) first and never published when they fail it.
    */
-  async publishReport(report) {
+  async publishReport(report, { recipients } = {}) {
     if (!this.topicId) {
       throw new Error("No topic ID set. Call createTopic() or setTopicId() first.");
     }
+    if (report?.schemaVersion !== undefined) assertValidReport(report);
 
-    const message = JSON.stringify({
-      type: "market_intelligence",
+    const message = JSON.stringify(this._buildEnvelope(report, { recipients }));
+    const encrypted = Boolean(recipients && recipients.length > 0);
+    // The same report in plaintext, or for other recipients, is a separate publish
+    const digest = encrypted
+      ? hashCanonical({ report: hashCanonical(report), recipients: [...recipients].sort() })
+      : hashCanonical(report);
+    return await this._publishMessage(message, "report", { digest, report, encrypted });
+  }
+
+  /**
+   * Publish a Merkle batch anchor (root + metadata) to HCS.
+   * The anchor body is signed like a report when an operator key is loaded.
+   */
+  async publishAnchor(anchor) {
+    if (!this.topicId) {
+      throw new Error("No topic ID set. Call createTopic() or setTopicId() first.");
+    }
+
+    const envelope = {
+      type: "merkle_anchor",
       version: "1.0",
       agent: "HederaIntel",
       timestamp: new Date().toISOString(),
-      report: {
-        title: report.title,
-        summary: report.summary,
-        signals: report.signals || [],
-        confidence: report.confidence || "medium",
-        hash: this._hashContent(report.summary),
+      anchor: {
+        ...anchor,
+        algorithm: HASH_ALGORITHM,
+        canonicalization: CANONICALIZATION,
+        leaf: "sha256(0x00 || reportDigest)",
+        node: "sha256(0x01 || left || right)",
       },
-    });
+    };
 
-    // HCS messages max 1024 bytes. If larger, chunk it.
-    if (Buffer.byteLength(message) > 1024) {
-      return await this._publishChunked(message);
+    if (this.operatorKey) {
+      envelope.signature = signReport(envelope.anchor, this.operatorKey, this.accountId);
     }
 
-    const tx = await new TopicMessageSubmitTransaction()
-      .setTopicId(this.topicId)
-      .setMessage(message)
-      .execute(this.client);
+    return await this._publishMessage(JSON.stringify(envelope), "anchor");
+  }
 
-    const receipt = await tx.getReceipt(this.client);
+  /**
+   * Publish only a signed digest of a report (a commitment), keeping its
+   * content private. Whoever holds the local report can later prove it
+   * is the one committed to with verifyReport(). Schema-checked like
+   * publishReport().
+   */
+  async publishCommitment(report) {
+    if (!this.topicId) {
+      throw new Error("No topic ID set. Call createTopic() or setTopicId() first.");
+    }
+    if (report?.schemaVersion !== undefined) assertValidReport(report);
 
-    const result = {
-      topicId: this.topicId,
-      sequenceNumber: receipt.topicSequenceNumber.toString(),
-      transactionId: tx.transactionId.toString(),
+    const digest = hashCanonical(report);
+    const envelope = {
+      type: "report_commitment",
+      version: "1.0",
+      agent: "HederaIntel",
       timestamp: new Date().toISOString(),
-      hashscanUrl: `https://hashscan.io/testnet/topic/${this.topicId}`,
+      commitment: {
+        digest,
+        algorithm: HASH_ALGORITHM,
+        canonicalization: CANONICALIZATION,
+        focus: report.focus || null,
+        generatedAt: report.generatedAt,
+      },
     };
 
-    console.log(`[Hedera] Published report #${result.sequenceNumber}`);
-    console.log(`[Hedera] TX: ${result.transactionId}`);
+    if (this.operatorKey) {
+      envelope.signature = signReport(envelope.commitment, this.operatorKey, this.accountId);
+    }
 
-    return result;
+    return await this._publishMessage(JSON.stringify(envelope), "commitment", { digest, report });
   }
 
   /**
-   * Publish a chunked message for reports exceeding 1024 bytes.
+   * Publish a signal scorecard (see ./scorecard.js) for an earlier report.
+   * Signed like a report; the outbox digest covers the report and horizon,
+   * so retrying never publishes a second scorecard for the same pair.
    */
-  async _publishChunked(message) {
-    const chunkSize = 900; // Leave room for metadata
-    const chunks = [];
-    const totalChunks = Math.ceil(message.length / chunkSize);
+  async publishScorecard(scorecard) {
+    if (!this.topicId) {
+      throw new Error("No topic ID set. Call createTopic() or setTopicId() first.");
+    }
+
+    const envelope = {
+      type: "signal_scorecard",
+      version: "1.0",
+      agent: "HederaIntel",
+      timestamp: new Date().toISOString(),
+      scorecard,
+    };
 
-    for (let i = 0; i < message.length; i += chunkSize) {
-      chunks.push(message.slice(i, i + chunkSize));
+    if (this.operatorKey) {
+      envelope.signature = signReport(scorecard, this.operatorKey, this.accountId);
     }
 
-    const results = [];
-    for (let i = 0; i < chunks.length; i++) {
-      const chunkMsg = JSON.stringify({
-        _chunk: { index: i, total: totalChunks },
-        data: chunks[i],
-      });
+    const digest = hashCanonical({
+      scorecard: scorecard.report.digest,
+      sequenceNumber: scorecard.report.sequenceNumber,
+      horizon: scorecard.horizon,
+    });
+    return await this._publishMessage(JSON.stringify(envelope), "scorecard", { digest });
+  }
 
-      const tx = await new TopicMessageSubmitTransaction()
-        .setTopicId(this.topicId)
-        .setMessage(chunkMsg)
-        .execute(this.client);
+  /**
+   * Submit a serialized envelope, chunking it when it exceeds one message.
+   *
+   * With an outbox and a content `digest`, the publish is queued to disk
+   * first and delivered with retries; a digest that was already published
+   * returns its stored receipt instead of publishing again.
+   */
+  async _publishMessage(message, label, { digest, report, encrypted = false } = {}) {
+    const plan = this._planMessage(message);
 
-      const receipt = await tx.getReceipt(this.client);
-      results.push({
-        sequenceNumber: receipt.topicSequenceNumber.toString(),
-        transactionId: tx.transactionId.toString(),
-      });
+    if (!this.outbox || !digest) {
+      const confirmed = [];
+      for (const part of plan.parts) {
+        confirmed.push(await this._submitMessage(part));
+      }
+      return this._publishResult(this.topicId, plan.chunkId, confirmed, label);
     }
 
-    console.log(`[Hedera] Published chunked report (${totalChunks} parts)`);
+    const item = this.outbox.enqueue({ topicId: this.topicId, digest, label, ...plan, report, encrypted });
+    if (item.status === "published") {
+      console.log(`[Hedera] ${label} ${digest.slice(0, 16)}… already published; not resubmitting`);
+      return item.result;
+    }
+    return await this._deliverOutboxItem(item);
+  }
+
+  /**
+   * Split a message into the HCS messages to submit. HCS messages max
+   * 1024 bytes; larger ones are chunked.
+   */
+  _planMessage(message) {
+    if (Buffer.byteLength(message) <= MAX_MESSAGE_BYTES) {
+      return { chunkId: null, parts: [message] };
+    }
+    const chunkId = crypto.randomBytes(8).toString("hex");
+    return { chunkId, parts: splitMessage(message, chunkId) };
+  }
+
+  /**
+   * Publish receipt for a set of confirmed messages.
+   */
+  _publishResult(topicId, chunkId, confirmed, label) {
+    if (!chunkId) {
+      const [{ sequenceNumber, transactionId }] = confirmed;
+      console.log(`[Hedera] Published ${label} #${sequenceNumber}`);
+      console.log(`[Hedera] TX: ${transactionId}`);
+
+      return {
+        topicId,
+        sequenceNumber,
+        transactionId,
+        timestamp: new Date().toISOString(),
+        hashscanUrl: this._hashscanUrl(topicId),
+      };
+    }
+
+    console.log(`[Hedera] Published chunked ${label} (${confirmed.length} parts)`);
     return {
-      topicId: this.topicId,
-      chunks: results,
-      totalChunks,
-      hashscanUrl: `https://hashscan.io/testnet/topic/${this.topicId}`,
+      topicId,
+      chunkId,
+      chunks: confirmed,
+      totalChunks: confirmed.length,
+      hashscanUrl: this._hashscanUrl(topicId),
+    };
+  }
+
+  /**
+   * Route publishes through a durable outbox (see ./outbox.js).
+   */
+  setOutbox(outbox) {
+    this.outbox = outbox;
+  }
+
+  /**
+   * Submit an outbox item's unconfirmed messages and record the receipt.
+   */
+  async _deliverOutboxItem(item) {
+    const confirmed = await this.outbox.deliver(item, (part) =>
+      this.transport.submitMessage(item.topicId, part, { signers: [this.submitKey] })
+    );
+    const result = this._publishResult(item.topicId, item.chunkId, confirmed, item.label);
+    this.outbox.markPublished(item, result);
+    return result;
+  }
+
+  /**
+   * Retry every queued publish, oldest first. Returns one
+   * `{ item, result }` or `{ item, error }` per item.
+   */
+  async flushOutbox() {
+    if (!this.outbox) {
+      throw new Error("No outbox configured. Call setOutbox() first.");
+    }
+
+    const outcomes = [];
+    for (const item of this.outbox.unpublished()) {
+      try {
+        outcomes.push({ item, result: await this._deliverOutboxItem(item) });
+      } catch (error) {
+        outcomes.push({ item, error });
+      }
+    }
+    return outcomes;
+  }
+
+  /**
+   * Build the on-chain envelope for a report.
+   *
+   * The full report is published alongside an integrity block holding the
+   * SHA-256 digest of its canonical form and a per-section manifest. When
+   * an operator key is loaded the report is also signed with it.
+   */
+  _buildEnvelope(report, { recipients } = {}) {
+    const envelope = {
+      type: "market_intelligence",
+      version: "2.0",
+      agent: "HederaIntel",
+      timestamp: new Date().toISOString(),
+      report,
+      integrity: buildIntegrity(report),
     };
+
+    if (recipients && recipients.length > 0) {
+      // Only the digest stays public; section hashes could leak guessable content
+      const { manifest, ...integrity } = envelope.integrity;
+      delete envelope.report;
+      envelope.integrity = integrity;
+      envelope.encrypted = encryptReport(report, recipients, integrity.digest);
+    }
+
+    if (this.operatorKey) {
+      envelope.signature = signReport(report, this.operatorKey, this.accountId);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Decrypt an encrypted envelope with a subscriber key. Returns the
+   * envelope with `report` filled in, or null if the key is not a
+   * recipient. Throws if the plaintext does not match the public digest.
+   */
+  openEnvelope(envelope, privateKey) {
+    if (!envelope?.encrypted) return envelope;
+
+    const report = decryptReport(envelope.encrypted, privateKey, envelope.integrity.digest);
+    if (!report) return null;
+
+    if (hashCanonical(report) !== envelope.integrity.digest) {
+      throw new Error("Decrypted report does not match its public digest.");
+    }
+
+    return { ...envelope, report };
+  }
+
+  /**
+   * Submit one HCS message, signed with the topic's submit key if one is loaded.
+   */
+  async _submitMessage(message) {
+    return await this.transport.submitMessage(this.topicId, message, {
+      signers: [this.submitKey],
+    });
+  }
+
+  /**
+   * HashScan link for the topic (local-sim topics have none).
+   */
+  _hashscanUrl(topicId = this.topicId) {
+    return this.network === "testnet" || this.network === "mainnet"
+      ? `https://hashscan.io/${this.network}/topic/${topicId}`
+      : null;
+  }
+
+  /**
+   * Resolve "operator", a PublicKey or a key string (DER or raw) to a PublicKey.
+   */
+  _resolvePublicKey(key) {
+    if (key === "operator" || key === true) {
+      if (!this.operatorKey) throw new Error("No operator key loaded. Call initialize() first.");
+      return this.operatorKey.publicKey;
+    }
+    if (key instanceof PublicKey) return key;
+    if (key instanceof PrivateKey) return key.publicKey;
+    return PublicKey.fromString(String(key).replace(/^0x/, ""));
+  }
+
+  /**
+   * Human-readable description of a topic key for auditing.
+   */
+  _describeKey(key) {
+    if (!key) return { type: "none", description: "none (open)" };
+
+    if (key instanceof KeyList) {
+      const keys = key.toArray();
+      const threshold = key.threshold || keys.length;
+      return {
+        type: "KeyList",
+        threshold,
+        keys: keys.map((k) => this._describeKey(k)),
+        description: `KeyList (${threshold} of ${keys.length})`,
+      };
+    }
+
+    if (key instanceof PublicKey) {
+      const isOperator =
+        this.operatorKey && this.operatorKey.publicKey.toStringRaw() === key.toStringRaw();
+      const type = key.type === "ED25519" ? "ED25519" : "ECDSA_SECP256K1";
+      return {
+        type,
+        publicKey: key.toStringRaw(),
+        isOperator: Boolean(isOperator),
+        description: `${type} ${key.toStringRaw().slice(0, 16)}…${isOperator ? " (operator)" : ""}`,
+      };
+    }
+
+    return { type: key.constructor?.name || "unknown", description: String(key) };
   }
 
   /**
    * Subscribe to topic messages (live feed of intelligence reports).
+   *
+   * Chunked reports are reassembled before the callback fires, so each
+   * call receives one complete message. Incomplete chunk sets are
+   * expired after `timeoutMs` and passed to `onError`. With a
+   * `decryptionKey`, encrypted reports addressed to it arrive decrypted.
+   *
+   * Reports that declare a `schemaVersion` are validated on arrival; the
+   * result is passed as `schema` (`{ valid, version, errors }`, null for
+   * untyped messages). Invalid reports are still delivered.
+   * Unsubscribing also stops the chunk expiry timer.
    */
-  async subscribe(callback) {
+  async subscribe(callback, { onError, timeoutMs, decryptionKey } = {}) {
     if (!this.topicId) {
       throw new Error("No topic ID set.");
     }
 
-    new TopicMessageQuery()
-      .setTopicId(this.topicId)
-      .subscribe(this.client, null, (message) => {
-        const content = Buffer.from(message.contents).toString("utf-8");
+    const reportError = onError || ((err) => console.warn(`[Hedera] ${err.message}`));
+    const assembler = new ChunkAssembler({ onError: reportError, timeoutMs });
+    const sweeper = setInterval(() => assembler.sweep(), 30 * 1000).unref();
+
+    const subscription = this.transport.subscribe(this.topicId, (message) => {
+      const raw = message.contents.toString("utf-8");
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        parsed = raw;
+      }
+
+      const complete = assembler.push(parsed, {
+        sequenceNumber: message.sequenceNumber,
+        timestamp: message.consensusTimestamp.toISOString(),
+      });
+      if (!complete) return;
+
+      const { parts } = complete;
+      let content = complete.content;
+      if (content?.encrypted && decryptionKey) {
         try {
-          const parsed = JSON.parse(content);
-          callback({
-            sequenceNumber: message.sequenceNumber.toString(),
-            timestamp: message.consensusTimestamp.toDate().toISOString(),
-            content: parsed,
-          });
-        } catch {
-          callback({
-            sequenceNumber: message.sequenceNumber.toString(),
-            timestamp: message.consensusTimestamp.toDate().toISOString(),
-            content: content,
-          });
+          content = this.openEnvelope(content, decryptionKey) || content;
+        } catch (err) {
+          reportError(
+            new Error(`Could not decrypt report #${parts[0].sequenceNumber}: ${err.message}`)
+          );
         }
+      }
+
+      return callback({
+        sequenceNumber: parts[0].sequenceNumber,
+        timestamp: parts[parts.length - 1].timestamp,
+        sequenceNumbers: parts.map((p) => p.sequenceNumber),
+        content,
+        schema: content?.report?.schemaVersion !== undefined ? validateReport(content.report) : null,
       });
+    });
+
+    const unsubscribe = subscription.unsubscribe.bind(subscription);
+    subscription.unsubscribe = () => {
+      clearInterval(sweeper);
+      return unsubscribe();
+    };
 
     console.log(`[Hedera] Subscribed to topic: ${this.topicId}`);
+    return subscription;
   }
 
   /**
-   * Get topic info (message count, memo, etc).
+   * Get topic info (message count, memo, expiry and key configuration).
    */
   async getTopicInfo() {
     if (!this.topicId) {
       throw new Error("No topic ID set.");
     }
 
-    const info = await new TopicInfoQuery()
-      .setTopicId(this.topicId)
-      .execute(this.client);
+    const info = await this.transport.getTopicInfo(this.topicId);
+
+    const { autoRenewAccountId } = info;
+    let autoRenewBalance = null;
+    if (autoRenewAccountId) {
+      try {
+        autoRenewBalance = await this.transport.getBalance(autoRenewAccountId);
+      } catch (err) {
+        console.warn(`[Hedera] Auto-renew balance check failed: ${err.message}`);
+      }
+    }
 
     return {
       topicId: this.topicId,
       memo: info.topicMemo,
-      sequenceNumber: info.sequenceNumber.toString(),
-      expirationTime: info.expirationTime?.toDate()?.toISOString(),
+      sequenceNumber: info.sequenceNumber,
+      expirationTime: info.expirationTime?.toISOString(),
+      adminKey: this._describeKey(info.adminKey),
+      submitKey: this._describeKey(info.submitKey),
+      autoRenewAccountId,
+      autoRenewBalance,
+      autoRenewPeriodDays: info.autoRenewPeriodSeconds
+        ? Math.round(info.autoRenewPeriodSeconds / 86400)
+        : null,
     };
   }
 
   /**
-   * Simple hash for content fingerprinting.
+   * Update the topic memo. Requires the topic's admin key.
+   */
+  async updateTopicMemo(memo) {
+    return await this._updateTopic({ memo }, "memo updated");
+  }
+
+  /**
+   * Rotate the topic's submit key. Requires the topic's admin key.
+   *
+   * `newKey` is "operator", a private key string, or omitted to generate
+   * a fresh ED25519 key. The new key is loaded for subsequent publishes;
+   * a generated private key is returned so it can be stored.
+   */
+  async rotateSubmitKey(newKey = null) {
+    let privateKey = null;
+    let generated = false;
+
+    if (newKey === "operator") {
+      privateKey = null; // operator signs submissions on its own
+    } else if (newKey) {
+      privateKey = toPrivateKey(newKey);
+    } else {
+      privateKey = PrivateKey.generateED25519();
+      generated = true;
+    }
+
+    const publicKey = privateKey ? privateKey.publicKey : this._resolvePublicKey("operator");
+    const result = await this._updateTopic({ submitKey: publicKey }, "submit key rotated");
+
+    this.submitKey = privateKey;
+
+    return {
+      ...result,
+      publicKey: publicKey.toStringRaw(),
+      privateKey: generated ? privateKey.toStringDer() : null,
+    };
+  }
+
+  /**
+   * Push the topic's expiration time out by `days`. Hedera caps how far
+   * ahead expiry can be set (roughly the maximum auto-renew period).
+   */
+  async extendTopicExpiry(days) {
+    const info = await this.transport.getTopicInfo(this.topicId);
+
+    const current = info.expirationTime || new Date();
+    const next = new Date(current.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const result = await this._updateTopic(
+      { expirationTime: next },
+      `expiry extended to ${next.toISOString()}`
+    );
+
+    return { ...result, previousExpiration: current.toISOString(), expirationTime: next.toISOString() };
+  }
+
+  /**
+   * Apply a topic update (memo, submitKey, expirationTime), signed with
+   * the admin key when one is loaded.
+   */
+  async _updateTopic(changes, label) {
+    if (!this.topicId) {
+      throw new Error("No topic ID set.");
+    }
+
+    const { transactionId } = await this.transport.updateTopic(this.topicId, changes, {
+      signers: [this.adminKey],
+    });
+
+    console.log(`[Hedera] Topic ${this.topicId}: ${label}`);
+    return { topicId: this.topicId, transactionId };
+  }
+
+  /**
+   * Verify a published report end-to-end using the Mirror Node.
+   *
+   * Fetches the message at `sequenceNumber` (plus any following chunks),
+   * reassembles the envelope, recomputes the content hash and, when a
+   * local report is given, checks it against the on-chain record.
+   * Needs no operator credentials. Encrypted reports are checked against
+   * their public digest; pass `decryptionKey` to check the ciphertext too.
+   * The section manifest is not signed (`manifestSigned: false`).
+   */
+  async verifyReport(topicId, sequenceNumber, localReport = null, { decryptionKey } = {}) {
+    const fetched = await this._fetchEnvelope(topicId, sequenceNumber);
+    const { messages } = fetched;
+
+    if (fetched.envelope.type === "report_commitment" && fetched.envelope.commitment) {
+      return this._verifyCommitment(topicId, sequenceNumber, fetched, localReport);
+    }
+
+    if (
+      fetched.envelope.type !== "market_intelligence" ||
+      (!fetched.envelope.report && !fetched.envelope.encrypted)
+    ) {
+      throw new Error(
+        `Message #${sequenceNumber} on ${topicId} is not a market intelligence report.`
+      );
+    }
+
+    let envelope = fetched.envelope;
+    if (envelope.encrypted && decryptionKey) {
+      envelope = this.openEnvelope(envelope, decryptionKey) || envelope;
+    }
+
+    // Encrypted reports without a key can only be checked via the local copy
+    const onChain = envelope.report || null;
+    const { integrity } = envelope;
+    const checks = [];
+    let onChainHash;
+    let computedHash = null;
+
+    if (integrity) {
+      if (
+        integrity.algorithm !== HASH_ALGORITHM ||
+        integrity.canonicalization !== CANONICALIZATION
+      ) {
+        throw new Error(
+          `Unsupported integrity scheme: ${integrity.algorithm} / ${integrity.canonicalization}`
+        );
+      }
+
+      onChainHash = integrity.digest;
+      if (onChain) {
+        checks.push({
+          name: "on-chain digest matches on-chain report",
+          passed: hashCanonical(onChain) === onChainHash,
+        });
+      }
+      // The signature covers the report only, so the manifest is checked
+      // against the signed report rather than trusted on its own
+      if (onChain && integrity.manifest) {
+        checks.push({
+          name: "on-chain manifest matches on-chain report (manifest is unsigned)",
+          passed: hashCanonical(buildManifest(onChain)) === hashCanonical(integrity.manifest),
+        });
+      }
+
+      if (localReport) {
+        computedHash = hashCanonical(localReport);
+        checks.push({
+          name: "local report digest matches on-chain digest",
+          passed: computedHash === onChainHash,
+        });
+        for (const section of Object.keys(integrity.manifest || {})) {
+          checks.push({
+            name: `local ${section} section matches manifest`,
+            passed: verifySection(section, localReport[section], integrity),
+          });
+        }
+      }
+    } else {
+      // v1.0 envelopes hashed only the summary, truncated to 16 hex chars
+      onChainHash = onChain.hash;
+      checks.push({
+        name: "on-chain hash matches on-chain summary",
+        passed: this._hashContent(onChain.summary).slice(0, 16) === onChainHash,
+      });
+
+      if (localReport) {
+        computedHash = this._hashContent(localReport.summary).slice(0, 16);
+        checks.push({
+          name: "local report hash matches on-chain hash",
+          passed: computedHash === onChainHash,
+        });
+        checks.push({
+          name: "local report title matches on-chain title",
+          passed: localReport.title === onChain.title,
+        });
+      }
+    }
+
+    if (!onChain && !localReport) {
+      checks.push({
+        name: "report content available (decryption key or local report)",
+        passed: false,
+      });
+    }
+
+    const signedReport = onChain || localReport;
+    const signature =
+      envelope.signature && signedReport
+        ? await this.verifySignature({ ...envelope, report: signedReport })
+        : null;
+    if (signature) {
+      checks.push({
+        name: "signature matches report payload",
+        passed: signature.signatureValid,
+      });
+      checks.push({
+        name: `signing key is the current key of ${signature.accountId}`,
+        passed: signature.keyMatchesAccount,
+      });
+    }
+
+    const last = messages[messages.length - 1];
+
+    return {
+      valid: checks.every((c) => c.passed),
+      topicId,
+      sequenceNumber: String(sequenceNumber),
+      sequenceNumbers: messages.map((m) => String(m.sequence_number)),
+      consensusTimestamp: this._mirrorTimestampToIso(last.consensus_timestamp),
+      envelopeVersion: envelope.version,
+      algorithm: integrity?.algorithm || HASH_ALGORITHM,
+      canonicalization: integrity?.canonicalization || null,
+      onChainHash,
+      computedHash,
+      title: onChain?.title || localReport?.title || "(encrypted)",
+      encrypted: Boolean(fetched.envelope.encrypted),
+      signedBy: signature?.valid ? signature.accountId : null,
+      manifestSigned: integrity?.manifest ? false : null,
+      checks,
+    };
+  }
+
+  /**
+   * Check a local report against a published commitment: only its
+   * digest is on-chain, so the local copy is required.
+   */
+  async _verifyCommitment(topicId, sequenceNumber, { envelope, messages }, localReport) {
+    const { commitment } = envelope;
+    if (commitment.algorithm !== HASH_ALGORITHM || commitment.canonicalization !== CANONICALIZATION) {
+      throw new Error(`Unsupported integrity scheme: ${commitment.algorithm} / ${commitment.canonicalization}`);
+    }
+
+    const computedHash = localReport ? hashCanonical(localReport) : null;
+    const checks = [
+      localReport
+        ? { name: "local report digest matches committed digest", passed: computedHash === commitment.digest }
+        : { name: "local report available (commitments carry no content)", passed: false },
+    ];
+
+    const signature = envelope.signature ? await this.verifySignature(envelope) : null;
+    if (signature) {
+      checks.push({ name: "signature matches commitment", passed: signature.signatureValid });
+      checks.push({
+        name: `signing key is the current key of ${signature.accountId}`,
+        passed: signature.keyMatchesAccount,
+      });
+    }
+
+    const last = messages[messages.length - 1];
+    return {
+      valid: checks.every((c) => c.passed),
+      topicId,
+      sequenceNumber: String(sequenceNumber),
+      sequenceNumbers: messages.map((m) => String(m.sequence_number)),
+      consensusTimestamp: this._mirrorTimestampToIso(last.consensus_timestamp),
+      envelopeVersion: envelope.version,
+      algorithm: commitment.algorithm,
+      canonicalization: commitment.canonicalization,
+      onChainHash: commitment.digest,
+      computedHash,
+      title: localReport?.title || "(commitment)",
+      encrypted: false,
+      commitment: true,
+      signedBy: signature?.valid ? signature.accountId : null,
+      checks,
+    };
+  }
+
+  /**
+   * Verify an envelope's signature and that the signing key is the
+   * account's current public key according to the Mirror Node.
+   */
+  async verifySignature(envelope) {
+    const sig = envelope?.signature;
+    if (!sig) {
+      return { signed: false, valid: false, reason: "Envelope is not signed" };
+    }
+
+    const signatureValid = verifyReportSignature(this._signedPayload(envelope), sig);
+
+    let keyMatchesAccount = false;
+    let reason = null;
+    if (!sig.accountId) {
+      reason = "Signature does not name an account";
+    } else {
+      const account = await this._mirrorGet(`/api/v1/accounts/${sig.accountId}`);
+      if (!account) {
+        reason = `Account ${sig.accountId} not found`;
+      } else {
+        keyMatchesAccount = matchesAccountKey(sig, account.key);
+        if (!keyMatchesAccount) {
+          reason = `Signing key is not the current key of ${sig.accountId}`;
+        }
+      }
+    }
+    if (!signatureValid) reason = "Signature does not match signed payload";
+
+    return {
+      signed: true,
+      accountId: sig.accountId,
+      publicKey: sig.publicKey,
+      keyType: sig.keyType,
+      signatureValid,
+      keyMatchesAccount,
+      valid: signatureValid && keyMatchesAccount,
+      reason,
+    };
+  }
+
+  /**
+   * The part of an envelope covered by its signature.
+   */
+  _signedPayload(envelope) {
+    if (envelope.type === "merkle_anchor") return envelope.anchor;
+    if (envelope.type === "signal_scorecard") return envelope.scorecard;
+    if (envelope.type === "report_commitment") return envelope.commitment;
+    return envelope.report;
+  }
+
+  /**
+   * Verify a batched report against its locally stored inclusion proof
+   * and the Merkle root anchored on HCS.
+   */
+  async verifyBatchedReport(report, proofRecord) {
+    const { topicId, sequenceNumber } = proofRecord.anchor;
+    const { envelope, messages } = await this._fetchEnvelope(topicId, sequenceNumber);
+
+    if (envelope.type !== "merkle_anchor" || !envelope.anchor) {
+      throw new Error(
+        `Message #${sequenceNumber} on ${topicId} is not a Merkle batch anchor.`
+      );
+    }
+
+    const digest = hashCanonical(report);
+    const checks = [
+      {
+        name: "report digest matches proof",
+        passed: digest === proofRecord.digest,
+      },
+      {
+        name: "inclusion proof leads to proof root",
+        passed: verifyProof(digest, proofRecord.proof, proofRecord.root),
+      },
+      {
+        name: "proof root matches anchored root",
+        passed: proofRecord.root === envelope.anchor.root,
+      },
+    ];
+
+    const signature = envelope.signature
+      ? await this.verifySignature(envelope)
+      : null;
+    if (signature) {
+      checks.push({
+        name: "anchor signature matches anchor",
+        passed: signature.signatureValid,
+      });
+      checks.push({
+        name: `signing key is the current key of ${signature.accountId}`,
+        passed: signature.keyMatchesAccount,
+      });
+    }
+
+    const last = messages[messages.length - 1];
+
+    return {
+      valid: checks.every((c) => c.passed),
+      topicId,
+      sequenceNumber: String(sequenceNumber),
+      consensusTimestamp: this._mirrorTimestampToIso(last.consensus_timestamp),
+      root: envelope.anchor.root,
+      batchSize: envelope.anchor.count,
+      leafIndex: proofRecord.leafIndex,
+      digest,
+      signedBy: signature?.valid ? signature.accountId : null,
+      checks,
+    };
+  }
+
+  /**
+   * Fetch a published envelope from the Mirror Node, reassembling
+   * chunked messages that start at `sequenceNumber`.
+   */
+  async _fetchEnvelope(topicId, sequenceNumber) {
+    const first = await this._mirrorGet(
+      `/api/v1/topics/${topicId}/messages/${sequenceNumber}`
+    );
+    if (!first || !first.message) {
+      throw new Error(`Message #${sequenceNumber} not found on topic ${topicId}.`);
+    }
+
+    const content = this._decodeMirrorMessage(first);
+    if (!content?._chunk) {
+      return { envelope: content, messages: [first] };
+    }
+
+    const { id, index, total } = content._chunk;
+    if (index !== 0) {
+      throw new Error(
+        `Message #${sequenceNumber} is chunk ${index + 1}/${total}; pass the sequence number of the first chunk.`
+      );
+    }
+
+    // Chunks are submitted in order, but other messages may interleave.
+    const parts = new Map([[0, { data: content.data, message: first }]]);
+    let cursor = Number(sequenceNumber);
+
+    while (parts.size < total) {
+      const page = await this._mirrorGet(
+        `/api/v1/topics/${topicId}/messages?sequencenumber=gt:${cursor}&limit=25&order=asc`
+      );
+      if (!page?.messages || page.messages.length === 0) break;
+
+      for (const msg of page.messages) {
+        cursor = Number(msg.sequence_number);
+        const part = this._decodeMirrorMessage(msg);
+        if (
+          part?._chunk?.total === total &&
+          part._chunk.id === id &&
+          !parts.has(part._chunk.index)
+        ) {
+          parts.set(part._chunk.index, { data: part.data, message: msg });
+        }
+        if (parts.size === total) break;
+      }
+    }
+
+    if (parts.size < total) {
+      throw new Error(
+        `Only found ${parts.size}/${total} chunks for report #${sequenceNumber}.`
+      );
+    }
+
+    const ordered = [...parts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, part]) => part);
+
+    return {
+      envelope: JSON.parse(ordered.map((p) => p.data).join("")),
+      messages: ordered.map((p) => p.message),
+    };
+  }
+
+  /**
+   * Decode a Mirror Node topic message into parsed JSON (or null).
+   */
+  _decodeMirrorMessage(msg) {
+    try {
+      return JSON.parse(Buffer.from(msg.message, "base64").toString("utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Convert a Mirror Node "seconds.nanos" timestamp to ISO 8601.
+   */
+  _mirrorTimestampToIso(timestamp) {
+    if (!timestamp) return null;
+    const [seconds, nanos = "0"] = String(timestamp).split(".");
+    const millis = Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, "0")) / 1e6);
+    return new Date(millis).toISOString();
+  }
+
+  /**
+   * Mirror Node REST lookup through the transport for `this.network`.
+   * Works without initialize(), so reports can be verified without credentials.
+   */
+  _mirrorGet(path) {
+    if (!this.transport || this.transport.network !== this.network) {
+      this.transport = createTransport(this.network);
+    }
+    return this.transport.mirrorGet(path);
+  }
+
+  /**
+   * SHA-256 content fingerprint (canonical JSON for objects).
    */
   _hashContent(content) {
-    const crypto = require("crypto");
-    return crypto.createHash("sha256").update(content).digest("hex").slice(0, 16);
+    return hashCanonical(content);
   }
 }
 
@@ -0,0 +1,235 @@
+/**
+ * Technical indicators for HederaIntel Agent.
+ *
+ * Pure functions over price series. Series-valued indicators return an
+ * array aligned with their input, holding `null` until enough points
+ * exist. `analyze()` runs the full set over OHLC candles and returns
+ * the latest values plus the crossover and squeeze flags that narrative
+ * detection works from.
+ */
+
+/**
+ * Simple moving average.
+ */
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period`
+ * values. Leading nulls in the input are skipped.
+ */
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const start = values.findIndex((v) => v !== null && v !== undefined);
+  if (start < 0 || values.length - start < period) return out;
+
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+
+  for (let i = start + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing (0–100).
+ */
+function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  out[period] = toRsi(gain, loss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = toRsi(gain, loss);
+  }
+  return out;
+}
+
+function toRsi(gain, loss) {
+  if (loss === 0) return gain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * MACD line (fast EMA − slow EMA), its signal EMA and the histogram.
+ */
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) =>
+    fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]
+  );
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Bollinger bands: SMA ± `multiplier` population standard deviations.
+ * `bandwidth` is the band width as a fraction of the middle band.
+ */
+function bollinger(values, period = 20, multiplier = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  const bandwidth = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((acc, v) => acc + (v - middle[i]) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+    bandwidth[i] = middle[i] === 0 ? null : (upper[i] - lower[i]) / middle[i];
+  }
+  return { middle, upper, lower, bandwidth };
+}
+
+/**
+ * Average True Range over `{ high, low, close }` candles (Wilder smoothing).
+ */
+function atr(candles, period = 14) {
+  const out = new Array(candles.length).fill(null);
+  const ranges = candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+  if (ranges.length < period) return out;
+
+  let prev = ranges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = prev;
+  for (let i = period; i < ranges.length; i++) {
+    prev = (prev * (period - 1) + ranges[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Most recent crossing of `fast` over `slow`: `{ direction, barsAgo }`
+ * where direction is "up" or "down", or null if they never crossed.
+ */
+function crossover(fast, slow) {
+  let last = null;
+  let lastIndex = -1;
+  let crossing = null;
+
+  for (let i = 0; i < fast.length; i++) {
+    if (fast[i] === null || slow[i] === null) continue;
+    const side = Math.sign(fast[i] - slow[i]);
+    if (side === 0) continue;
+    if (last !== null && side !== last) {
+      crossing = { direction: side > 0 ? "up" : "down", barsAgo: fast.length - 1 - i };
+    }
+    last = side;
+    lastIndex = i;
+  }
+
+  return lastIndex < 0 ? null : crossing;
+}
+
+const DEFAULTS = {
+  rsiPeriod: 14,
+  fastSma: 20,
+  slowSma: 50,
+  bollingerPeriod: 20,
+  atrPeriod: 14,
+  squeezeLookback: 60,
+};
+
+/**
+ * Latest indicator readings for a candle series, or null if there are
+ * too few candles for the longest indicator window.
+ *
+ * `squeeze` is set when Bollinger bandwidth is within 10% of its lowest
+ * reading over `squeezeLookback` candles.
+ */
+function analyze(candles, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (candles.length < Math.max(opts.slowSma, 26 + 9, opts.bollingerPeriod + 1)) return null;
+
+  const closes = candles.map((c) => c.close);
+  const last = closes.length - 1;
+  const close = closes[last];
+
+  const rsiSeries = rsi(closes, opts.rsiPeriod);
+  const macdSeries = macd(closes);
+  const fast = sma(closes, opts.fastSma);
+  const slow = sma(closes, opts.slowSma);
+  const bands = bollinger(closes, opts.bollingerPeriod);
+  const atrSeries = atr(candles, opts.atrPeriod);
+
+  const recentWidths = bands.bandwidth.slice(-opts.squeezeLookback).filter((v) => v !== null);
+  const minWidth = Math.min(...recentWidths);
+
+  return {
+    candles: candles.length,
+    close,
+    rsi: round(rsiSeries[last]),
+    macd: {
+      macd: precise(macdSeries.macd[last]),
+      signal: precise(macdSeries.signal[last]),
+      histogram: precise(macdSeries.histogram[last]),
+      cross: crossover(macdSeries.macd, macdSeries.signal),
+    },
+    sma: {
+      fastPeriod: opts.fastSma,
+      slowPeriod: opts.slowSma,
+      fast: precise(fast[last]),
+      slow: precise(slow[last]),
+      cross: crossover(fast, slow),
+    },
+    bollinger: {
+      upper: precise(bands.upper[last]),
+      middle: precise(bands.middle[last]),
+      lower: precise(bands.lower[last]),
+      bandwidthPct: round(bands.bandwidth[last] * 100),
+      minBandwidthPct: round(minWidth * 100),
+      squeeze: recentWidths.length >= opts.squeezeLookback / 2 && bands.bandwidth[last] <= minWidth * 1.1,
+    },
+    atr: precise(atrSeries[last]),
+    atrPct: round((atrSeries[last] / close) * 100),
+  };
+}
+
+// Price-scaled values keep significant digits, so sub-dollar assets
+// are not flattened to zero
+function precise(value) {
+  if (value === null || value === undefined) return null;
+  return Number(value.toPrecision(10));
+}
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { sma, ema, rsi, macd, bollinger, atr, crossover, analyze };
@@ -6,91 +6,219 @@
  * for timestamped provenance.
  */
 
+const crypto = require("crypto");
 const https = require("https");
+const { PriceHistory, DEFAULT_DIR: DEFAULT_HISTORY_DIR } = require("./price-history");
+const indicators = require("./indicators");
+const crossAsset = require("./cross-asset");
+const risk = require("./risk");
+const { scoreConfidence } = require("./confidence");
+const { getProfile, profileAssets, selectSignals } = require("./focus");
+const { analyzePortfolio } = require("./portfolio");
+const { resolveCurrency, formatMoney, formatPercent, ExchangeRates, DEFAULT_CURRENCY } = require("./currency");
+const { PriceAggregator, createProviders, DEFAULT_CHAIN } = require("./price-providers");
+const { AssetRegistry } = require("./assets");
+const { NewsIngestor, loadFeeds, summarizeNews } = require("./news");
+const { NarrativeRules } = require("./rules");
+const { REPORT_SCHEMA_VERSION } = require("./schema");
+
+const USD_QUOTE = { currency: resolveCurrency("USD"), perUsd: 1, change24h: 0, source: null };
 
 class IntelEngine {
-  constructor() {
+  /**
+   * Options: `assets` (AssetRegistry, default config/assets.json),
+   * `history` (PriceHistory), `prices` (an aggregator with fetchPrices),
+   * or `priceProviders` — the provider chain as names
+   * ("coingecko,binance,...") — and `minPriceSources`, `news`
+   * (NewsIngestor) or `feeds` (default config/feeds.json), `rules`
+   * (NarrativeRules, default config/narratives.json), `network`
+   * (NetworkAnalytics, for rules that read network metrics), and the
+   * default quote `currency` and `locale` with `fx` (ExchangeRates).
+   * `httpGet(url)` (JSON) and `fetchText(url)` replace the HTTPS fetches
+   * behind the default providers, history, rates and feeds.
+   */
+  constructor(options = {}) {
     this.reportCount = 0;
+    this.assets = options.assets || AssetRegistry.load();
+    const httpGet = options.httpGet || ((url) => this._httpGet(url));
+    const providerIds = Object.fromEntries(
+      DEFAULT_CHAIN.map((name) => [name, this.assets.providerIds(name)])
+    );
+    this.history =
+      options.history ||
+      new PriceHistory(DEFAULT_HISTORY_DIR, { httpGet });
+    this.prices =
+      options.prices ||
+      new PriceAggregator(
+        createProviders(options.priceProviders || DEFAULT_CHAIN, httpGet, providerIds),
+        { minSources: options.minPriceSources }
+      );
+    this.news =
+      options.news ||
+      new NewsIngestor(options.feeds || loadFeeds(), {
+        fetchText: options.fetchText || ((url) => this._httpGetText(url)),
+        assets: this.assets,
+      });
+    this.rules = options.rules || NarrativeRules.load();
+    this.network = options.network || null;
+    this.currency = options.currency || DEFAULT_CURRENCY;
+    this.locale = options.locale || null;
+    this.fx = options.fx || new ExchangeRates(httpGet);
+    this.scorecards = null;
+  }
+
+  /**
+   * Feed the scorecard track record (see ./scorecard.js) into report
+   * confidence.
+   */
+  setScorecards(scorecards) {
+    this.scorecards = scorecards;
   }
 
   /**
    * Generate a comprehensive market intelligence report.
    * Combines price data, news signals, and on-chain metrics.
+   *
+   * `focus` picks a profile (see ./focus.js) that sets the default
+   * assets, which sources are fetched, and which sections, signals and
+   * action items the report keeps. Unknown names get the general profile.
+   *
+   * With `portfolio` (a Portfolio, see ./portfolio.js) the report values
+   * the holdings against live prices; the `portfolio` focus covers just
+   * those holdings.
+   *
+   * `currency` (a fiat code or tracked asset, default USD) and `locale`
+   * set how the asset section and summary quote prices (see
+   * ./currency.js). Analysis, signals and the portfolio stay in USD.
+   *
+   * The report follows the versioned schema in schema/ (see
+   * ./schema.js): values are raw numbers, formatted by ./render.js.
    */
   async generateReport(options = {}) {
-    const {
-      assets = ["BTC", "ETH", "SOL", "HBAR"],
-      focus = "general",
-    } = options;
-
-    console.log(`[Intel] Generating ${focus} report for: ${assets.join(", ")}`);
-
-    // Gather signals from multiple sources
-    const [priceData, newsSignals] = await Promise.allSettled([
-      this._fetchPriceData(assets),
-      this._fetchNewsSignals(assets),
+    const profile = this._profileFor(options.focus || "general");
+    const { portfolio = null } = options;
+    if (profile.name === "portfolio" && !portfolio) {
+      throw new Error("The portfolio focus needs holdings (options.portfolio)");
+    }
+    const assets =
+      options.assets ||
+      (profile.name === "portfolio" ? portfolio.symbols() : profileAssets(profile, this.assets));
+    const focus = profile.name;
+    const { sources } = profile;
+    const currency = resolveCurrency(options.currency || this.currency, this.assets, options.locale || this.locale);
+
+    console.log(`[Intel] Generating ${focus} report for: ${assets.join(", ")}${currency.code === "USD" ? "" : ` in ${currency.code}`}`);
+
+    // Gather signals from the sources this profile uses; a crypto quote
+    // currency needs its own USD price too
+    const quoteAsset = currency.kind === "crypto" ? [currency.code] : [];
+    const [priceData, newsSignals, historyData, networkData] = await Promise.allSettled([
+      this._fetchPriceData([...assets, ...quoteAsset]),
+      sources.news ? this._fetchNewsSignals(assets) : [],
+      sources.history ? this._fetchHistory(assets) : {},
+      this._fetchNetworkMetrics(sources.network),
     ]);
 
-    const prices = priceData.status === "fulfilled" ? priceData.value : {};
+    const allPrices = priceData.status === "fulfilled" ? priceData.value : {};
+    const quote = await this._quoteIn(currency, allPrices);
+    const prices = Object.fromEntries(
+      Object.entries(allPrices).filter(([symbol]) => assets.some((a) => a.toUpperCase() === symbol))
+    );
     const news = newsSignals.status === "fulfilled" ? newsSignals.value : [];
+    const history = historyData.status === "fulfilled" ? historyData.value : {};
+    const network = networkData.status === "fulfilled" ? networkData.value : null;
+    const technicals = this._computeIndicators(Object.keys(history));
+    const relations = this._analyzeCrossAsset(prices, history);
+    const riskMetrics = this._analyzeRisk(Object.keys(history));
+
+    // Analyze and score narratives, keeping the ones this profile is about
+    const narratives = selectSignals(
+      profile,
+      this._detectNarratives(prices, news, focus, history, technicals, network, relations, riskMetrics, quote),
+      this.assets
+    );
 
-    // Analyze and score narratives
-    const narratives = this._detectNarratives(prices, news, focus);
+    const confidence = this._calculateConfidence(assets, prices);
 
     // Generate actionable intelligence
     const report = {
-      title: `Market Intelligence Brief #${++this.reportCount}`,
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      title: `${profile.title} #${++this.reportCount}`,
       generatedAt: new Date().toISOString(),
       focus,
-      summary: this._generateSummary(prices, narratives),
-      assets: this._formatAssetData(prices),
+      currency: quote.currency.code,
+      ...(quote.currency.code === "USD" ? {} : { exchangeRate: { perUsd: quote.perUsd, source: quote.source } }),
+      summary: this._generateSummary(prices, narratives, quote),
+      assets: this._assetData(prices, quote),
       signals: narratives,
-      confidence: this._calculateConfidence(prices, narratives),
-      actionItems: this._generateActions(narratives, prices),
+      confidence: confidence.label,
+      confidenceScore: confidence.score,
+      confidenceComponents: confidence.components,
+      actionItems: this._generateActions(narratives, prices, profile.actions),
+    };
+
+    const sections = {
+      priceHistory: Object.keys(history).length > 0 ? history : null,
+      indicators: Object.keys(technicals).length > 0 ? technicals : null,
+      news: news.length > 0 ? summarizeNews(news) : null,
+      crossAsset: relations,
+      risk: riskMetrics,
+      network,
     };
+    for (const section of profile.sections) {
+      if (sections[section]) report[section] = sections[section];
+    }
+    if (portfolio) {
+      report.portfolio = analyzePortfolio(portfolio, prices, narratives, { registry: this.assets });
+      // Random salt so a commitment to a small portfolio cannot be guessed
+      report.salt = crypto.randomBytes(16).toString("hex");
+    }
 
     console.log(`[Intel] Report generated: ${report.title}`);
     return report;
   }
 
   /**
-   * Fetch price data from CoinGecko public API.
+   * How to convert USD prices into `currency`: units per dollar, the
+   * quote asset's 24h change (crypto only) and where the rate came
+   * from. Falls back to USD when no rate is available.
    */
-  async _fetchPriceData(assets) {
-    const cgIds = {
-      BTC: "bitcoin",
-      ETH: "ethereum",
-      SOL: "solana",
-      HBAR: "hedera-hashgraph",
-      AVAX: "avalanche-2",
-      NEAR: "near",
-      DOT: "polkadot",
-    };
-
-    const ids = assets
-      .map((a) => cgIds[a.toUpperCase()])
-      .filter(Boolean)
-      .join(",");
+  async _quoteIn(currency, prices) {
+    if (currency.kind === "crypto") {
+      const base = prices[currency.code];
+      if (base?.price) {
+        return { currency, perUsd: 1 / base.price, change24h: base.change24h || 0, source: `${currency.code}/USD aggregate` };
+      }
+    } else {
+      try {
+        return { currency, perUsd: await this.fx.perUsd(currency.code), change24h: 0, source: currency.code === "USD" ? null : "coingecko" };
+      } catch (error) {
+        console.warn(`[Intel] Exchange rate fetch failed: ${error.message}`);
+      }
+    }
 
-    if (!ids) return {};
+    if (currency.code !== "USD") console.warn(`[Intel] No ${currency.code} rate; quoting in USD`);
+    return USD_QUOTE;
+  }
 
+  _profileFor(focus) {
     try {
-      const data = await this._httpGet(
-        `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`
-      );
+      return getProfile(focus);
+    } catch (error) {
+      console.warn(`[Intel] ${error.message}; using general`);
+      return getProfile("general");
+    }
+  }
 
-      const result = {};
-      for (const [symbol, cgId] of Object.entries(cgIds)) {
-        if (data[cgId]) {
-          result[symbol] = {
-            price: data[cgId].usd,
-            change24h: data[cgId].usd_24h_change,
-            marketCap: data[cgId].usd_market_cap,
-          };
-        }
-      }
+  /**
+   * Fetch spot prices through the provider chain, aggregated per asset.
+   */
+  async _fetchPriceData(assets) {
+    const symbols = [...new Set(assets.map((a) => a.toUpperCase()))];
+    if (symbols.length === 0) return {};
 
-      return result;
+    try {
+      return await this.prices.fetchPrices(symbols);
     } catch (error) {
       console.warn(`[Intel] Price fetch failed: ${error.message}`);
       return {};
@@ -98,81 +226,388 @@ class IntelEngine {
   }
 
   /**
-   * Fetch news signals (simplified — uses public APIs).
+   * Refresh cached price history and summarize each asset's timeframes
+   * (1h, 7d, 30d, 90d). Assets whose refresh fails fall back to whatever
+   * is already cached; assets with no history at all are left out.
+   */
+  async _fetchHistory(assets) {
+    const result = {};
+
+    // One asset at a time to stay inside CoinGecko's public rate limit
+    for (const asset of assets) {
+      const symbol = asset.toUpperCase();
+      const id = this.assets.get(symbol)?.providers.coingecko;
+      if (!id) continue;
+
+      try {
+        await this.history.refresh(symbol, id);
+      } catch (error) {
+        console.warn(`[Intel] History refresh failed for ${symbol}: ${error.message}`);
+      }
+
+      const summary = this.history.summarizeAll(symbol);
+      if (Object.keys(summary).length > 0) result[symbol] = summary;
+    }
+
+    return result;
+  }
+
+  /**
+   * Network health metrics: always (`true`), never (`false`) or, for
+   * "rules", only when a narrative rule reads them.
+   */
+  async _fetchNetworkMetrics(when = "rules") {
+    if (!this.network || !when || (when === "rules" && !this.rules.usesNetwork())) return null;
+    return this.network.generateNetworkReport();
+  }
+
+  /**
+   * Indicator readings on daily candles from the cached 90-day history.
+   * Assets without enough candles yet are skipped.
+   */
+  _computeIndicators(symbols, history = this.history) {
+    const result = {};
+    for (const symbol of symbols) {
+      const reading = indicators.analyze(history.getCandles(symbol, "90d"));
+      if (reading) result[symbol] = reading;
+    }
+    return result;
+  }
+
+  /**
+   * Correlations, BTC dominance, relative strength and decoupling
+   * across the assets in this report (see ./cross-asset.js).
+   */
+  _analyzeCrossAsset(prices, summaries, history = this.history) {
+    const candles = {};
+    for (const symbol of Object.keys(summaries)) {
+      candles[symbol] = history.getCandles(symbol, "30d");
+    }
+    return crossAsset.analyze({ candles, prices, summaries });
+  }
+
+  /**
+   * Volatility, drawdown, VaR/CVaR and beta to BTC from the cached
+   * 90-day history (see ./risk.js).
+   */
+  _analyzeRisk(symbols, history = this.history) {
+    const candles = {};
+    const series = {};
+    for (const symbol of symbols) {
+      candles[symbol] = history.getCandles(symbol, "90d");
+      series[symbol] = history.getSeries(symbol, "90d");
+    }
+    return risk.analyze({ candles, series, benchmarkCandles: history.getCandles("BTC", "90d") });
+  }
+
+  /**
+   * Recent headlines from the configured feeds that mention `assets`,
+   * tagged, scored and de-duplicated.
    */
   async _fetchNewsSignals(assets) {
-    // In production, this would integrate CryptoCompare, Messari, etc.
-    // For the hackathon demo, we generate signals from price movements.
-    return assets.map((asset) => ({
-      asset,
-      source: "market_data",
-      signal: "monitored",
-      timestamp: new Date().toISOString(),
-    }));
+    try {
+      return await this.news.fetch(assets);
+    } catch (error) {
+      console.warn(`[Intel] News fetch failed: ${error.message}`);
+      return [];
+    }
   }
 
   /**
-   * Detect market narratives from data signals.
+   * Detect market narratives from data signals. Each narrative names its
+   * `type`, the `asset` it is about and its `direction` (bullish,
+   * bearish or neutral) so calls can be scored against outcomes later.
+   * Price levels in evidence and actions are quoted like the report
+   * (`quote`, see _quoteIn); the analysis itself runs in USD.
    */
-  _detectNarratives(prices, news, focus) {
+  _detectNarratives(prices, news, focus, history = {}, technicals = {}, network = null, relations = null, riskMetrics = null, quote = USD_QUOTE) {
     const narratives = [];
+    const coverage = summarizeNews(news);
+    const money = (usd) => formatMoney(usd * quote.perUsd, quote.currency);
 
-    // Analyze price momentum
+    // Analyze price momentum, confirmed against longer timeframes when
+    // history is available
     for (const [symbol, data] of Object.entries(prices)) {
       if (!data.change24h) continue;
 
+      const windows = history[symbol] || {};
+      const weekly = windows["7d"]?.changePct;
+      const evidence = this._timeframeEvidence(symbol, data.change24h, windows);
+
       if (data.change24h > 5) {
-        narratives.push({
-          narrative: `${symbol} Bullish Momentum`,
-          score: Math.min(data.change24h / 10, 1),
-          evidence: `${symbol} up ${data.change24h.toFixed(1)}% in 24h`,
-          action: `Monitor ${symbol} for continuation above $${data.price.toLocaleString()}`,
-        });
+        const confirmed = weekly === undefined || weekly > 0;
+        narratives.push(this._withNews({
+          narrative: confirmed ? `${symbol} Bullish Momentum` : `${symbol} Relief Bounce`,
+          type: confirmed ? "bullish-momentum" : "relief-bounce",
+          asset: symbol,
+          direction: confirmed ? "bullish" : "neutral",
+          score: Math.min(data.change24h / 10, 1) * (weekly === undefined ? 1 : confirmed ? 1 : 0.5),
+          evidence,
+          action: confirmed
+            ? `Monitor ${symbol} for continuation above ${money(data.price)}`
+            : `${symbol} is bouncing inside a weekly downtrend. Wait for the 7d trend to turn before chasing.`,
+        }, coverage[symbol], 1));
       } else if (data.change24h < -5) {
-        narratives.push({
-          narrative: `${symbol} Correction`,
-          score: Math.min(Math.abs(data.change24h) / 15, 1),
-          evidence: `${symbol} down ${Math.abs(data.change24h).toFixed(1)}% in 24h`,
-          action: `Watch for support at lower levels. Potential accumulation zone.`,
-        });
+        const confirmed = weekly === undefined || weekly < 0;
+        narratives.push(this._withNews({
+          narrative: confirmed ? `${symbol} Correction` : `${symbol} Pullback in Uptrend`,
+          type: confirmed ? "correction" : "pullback-in-uptrend",
+          asset: symbol,
+          direction: confirmed ? "bearish" : "bullish",
+          score: Math.min(Math.abs(data.change24h) / 15, 1) * (weekly === undefined ? 1 : confirmed ? 1 : 0.5),
+          evidence,
+          action: confirmed
+            ? `Watch for support at lower levels. Potential accumulation zone.`
+            : `${symbol} weekly trend is still up. Watch whether the dip holds above the 7d low.`,
+        }, coverage[symbol], -1));
       }
     }
 
-    // Add ecosystem-specific narratives
-    if (prices.HBAR) {
+    // News flow on its own, for assets without a price move to attach it to
+    for (const [symbol, flow] of Object.entries(coverage)) {
+      if (flow.count < 3 || flow.label === "neutral") continue;
+      if (Math.abs(prices[symbol]?.change24h || 0) > 5) continue;
+
+      const bullish = flow.label === "bullish";
+      const top = flow.headlines[0];
       narratives.push({
-        narrative: "Hedera Enterprise Adoption",
-        score: 0.7,
-        evidence: `HBAR at $${prices.HBAR.price}. Hedera Consensus Service sees growing usage for tokenization, supply chain, and AI agent coordination.`,
-        action: "Monitor Hedera DeFi TVL and enterprise partnership announcements.",
+        narrative: `${symbol} ${bullish ? "Bullish" : "Bearish"} News Flow`,
+        type: "news-flow",
+        asset: symbol,
+        direction: flow.label,
+        score: Math.min(0.3 + flow.count * 0.05 + Math.abs(flow.sentiment) * 0.3, 0.85),
+        evidence: `${flow.count} headlines mention ${symbol}, mean sentiment ${signed(flow.sentiment)}. Latest: "${top.title}" (${top.source})`,
+        action: bullish
+          ? `News is running ahead of price on ${symbol}; watch for the move to follow.`
+          : `Negative coverage is building on ${symbol}; check for price weakness before adding.`,
       });
     }
 
-    if (prices.SOL) {
-      narratives.push({
-        narrative: "Solana AI Agent Economy",
-        score: 0.8,
-        evidence: `SOL at $${prices.SOL.price}. Solana's agent ecosystem (Superteam, Virtuals) drives $470M+ in agent GDP.`,
-        action: "Track agent-eligible bounties and x402 payment integration on Solana.",
-      });
+    // Flag assets pressing against their 90-day range
+    for (const [symbol, windows] of Object.entries(history)) {
+      const quarter = windows["90d"];
+      if (!quarter?.complete) continue;
+
+      const range = quarter.high - quarter.low;
+      if (range <= 0) continue;
+
+      const position = (quarter.close - quarter.low) / range;
+      if (position >= 0.95) {
+        narratives.push({
+          narrative: `${symbol} Testing 90-Day High`,
+          type: "range-high",
+          asset: symbol,
+          direction: "neutral",
+          score: 0.6,
+          evidence: `${symbol} at ${money(quarter.close)} vs 90d high ${money(quarter.high)} (${quarter.changePct > 0 ? "+" : ""}${quarter.changePct.toFixed(1)}% over 90d)`,
+          action: `Watch for a breakout above ${money(quarter.high)} or rejection at the range top.`,
+        });
+      } else if (position <= 0.05) {
+        narratives.push({
+          narrative: `${symbol} Testing 90-Day Low`,
+          type: "range-low",
+          asset: symbol,
+          direction: "neutral",
+          score: 0.6,
+          evidence: `${symbol} at ${money(quarter.close)} vs 90d low ${money(quarter.low)} (${quarter.changePct.toFixed(1)}% over 90d)`,
+          action: `Watch whether ${money(quarter.low)} holds as support.`,
+        });
+      }
     }
 
+    narratives.push(...this._indicatorNarratives(technicals, money));
+    narratives.push(...this._decouplingNarratives(relations));
+    narratives.push(...this._riskNarratives(riskMetrics));
+
+    // Analyst-defined narratives from the rule file
+    narratives.push(
+      ...this.rules.evaluate({
+        prices,
+        history,
+        technicals,
+        news: coverage,
+        network,
+        crossAsset: relations,
+        risk: riskMetrics,
+        registry: this.assets,
+        quote,
+      })
+    );
+
     // Sort by score descending
     narratives.sort((a, b) => b.score - a.score);
 
     return narratives;
   }
 
+  /**
+   * Append news coverage to a price narrative. Coverage that agrees with
+   * the move (`direction` 1 up, -1 down) raises the score; coverage
+   * against it lowers it.
+   */
+  _withNews(narrative, flow, direction) {
+    if (!flow) return narrative;
+
+    const agreement = flow.label === "neutral" ? 0 : (flow.label === "bullish" ? 1 : -1) * direction;
+    return {
+      ...narrative,
+      score: Math.min(narrative.score * (1 + 0.15 * agreement), 1),
+      evidence: `${narrative.evidence}; news: ${flow.count} headline${flow.count === 1 ? "" : "s"}, sentiment ${signed(flow.sentiment)} (${flow.label})`,
+    };
+  }
+
+  /**
+   * Signals from daily indicator readings: RSI extremes, moving-average
+   * and MACD crossovers, and Bollinger squeezes. `money` formats a USD
+   * price level for the text.
+   */
+  _indicatorNarratives(technicals, money = (usd) => formatMoney(usd, USD_QUOTE.currency)) {
+    const narratives = [];
+    // MACD scales with price, so show it to significant digits
+    const sig = (value) => Number(value.toPrecision(4));
+
+    for (const [symbol, t] of Object.entries(technicals)) {
+      if (t.rsi !== null && t.rsi <= 30) {
+        narratives.push({
+          narrative: `${symbol} Oversold`,
+          type: "oversold",
+          asset: symbol,
+          direction: "bullish",
+          score: Math.min(0.5 + (30 - t.rsi) / 40, 1),
+          evidence: `${symbol} daily RSI(14) at ${t.rsi.toFixed(1)} (below 30)`,
+          action: `Watch ${symbol} for a bounce or bullish divergence before adding exposure.`,
+        });
+      } else if (t.rsi !== null && t.rsi >= 70) {
+        narratives.push({
+          narrative: `${symbol} Overbought`,
+          type: "overbought",
+          asset: symbol,
+          direction: "bearish",
+          score: Math.min(0.5 + (t.rsi - 70) / 40, 1),
+          evidence: `${symbol} daily RSI(14) at ${t.rsi.toFixed(1)} (above 70)`,
+          action: `Tighten stops on ${symbol}; stretched momentum often mean-reverts.`,
+        });
+      }
+
+      const cross = t.sma.cross;
+      if (cross && cross.barsAgo <= 3) {
+        // SMA 20/50 on the 90-day cache, not the classic 50/200 golden cross
+        const up = cross.direction === "up";
+        narratives.push({
+          narrative: `${symbol} SMA(${t.sma.fastPeriod}/${t.sma.slowPeriod}) ${up ? "Bullish" : "Bearish"} Cross`,
+          type: up ? "sma-cross-up" : "sma-cross-down",
+          asset: symbol,
+          direction: up ? "bullish" : "bearish",
+          score: 0.75,
+          evidence: `${symbol} SMA(${t.sma.fastPeriod}) ${money(t.sma.fast)} crossed ${up ? "above" : "below"} SMA(${t.sma.slowPeriod}) ${money(t.sma.slow)} ${daysAgo(cross.barsAgo)}`,
+          action: up
+            ? `Trend turning up on ${symbol}; pullbacks toward the SMA(${t.sma.slowPeriod}) are the level to watch.`
+            : `Trend turning down on ${symbol}; rallies toward the SMA(${t.sma.slowPeriod}) may meet selling.`,
+        });
+      }
+
+      const macdCross = t.macd.cross;
+      if (macdCross && macdCross.barsAgo <= 1) {
+        const bullish = macdCross.direction === "up";
+        narratives.push({
+          narrative: `${symbol} MACD ${bullish ? "Bullish" : "Bearish"} Crossover`,
+          type: "macd-crossover",
+          asset: symbol,
+          direction: bullish ? "bullish" : "bearish",
+          score: 0.55,
+          evidence: `${symbol} MACD ${sig(t.macd.macd)} crossed ${bullish ? "above" : "below"} signal ${sig(t.macd.signal)} ${daysAgo(macdCross.barsAgo)} (histogram ${sig(t.macd.histogram)})`,
+          action: `Confirm ${symbol} ${bullish ? "upside" : "downside"} follow-through on volume.`,
+        });
+      }
+
+      if (t.bollinger.squeeze) {
+        narratives.push({
+          narrative: `${symbol} Volatility Squeeze`,
+          type: "volatility-squeeze",
+          asset: symbol,
+          direction: "neutral",
+          score: 0.65,
+          evidence: `${symbol} Bollinger bandwidth ${t.bollinger.bandwidthPct.toFixed(1)}% (60-day low ${t.bollinger.minBandwidthPct.toFixed(1)}%), ATR(14) ${t.atrPct.toFixed(1)}% of price`,
+          action: `Expect a larger move in ${symbol}; watch for a close outside ${money(t.bollinger.lower)}–${money(t.bollinger.upper)}.`,
+        });
+      }
+    }
+
+    return narratives;
+  }
+
+  /**
+   * Signals for assets that stopped tracking BTC: a collapse in their
+   * recent correlation, pointed by how they moved relative to it.
+   */
+  _decouplingNarratives(relations) {
+    return (relations?.decoupling || []).map((event) => {
+      const { asset, benchmark, longCorrelation, recentCorrelation, relative7d } = event;
+      const relative = relative7d === null ? "" : `; ${signed(relative7d)}% vs ${benchmark} over 7d`;
+      return {
+        narrative: `${asset} Decoupling from ${benchmark}`,
+        type: "decoupling",
+        asset,
+        direction: event.direction === "outperforming" ? "bullish" : event.direction === "underperforming" ? "bearish" : "neutral",
+        score: Math.min(0.4 + (longCorrelation - recentCorrelation) / 2 + Math.abs(relative7d || 0) / 50, 0.9),
+        evidence: `${asset} correlation with ${benchmark} fell from ${longCorrelation.toFixed(2)} (30d) to ${recentCorrelation.toFixed(2)} (7d)${relative}`,
+        action: `Look for an ${asset}-specific catalyst before reading the move as a market signal.`,
+      };
+    });
+  }
+
+  /**
+   * Signals for assets whose short-term volatility has broken away from
+   * its 90-day level, in either direction.
+   */
+  _riskNarratives(riskMetrics) {
+    return (riskMetrics?.regimeChanges || []).map((event) => {
+      const { asset, shortWindow, longWindow, shortVolatility, longVolatility, ratio } = event;
+      const expansion = event.regime === "expansion";
+      return {
+        narrative: `${asset} Volatility Regime Change`,
+        type: "volatility-regime",
+        asset,
+        direction: "neutral",
+        score: expansion ? Math.min(0.45 + (ratio - 1) / 5, 0.85) : Math.min(0.45 + (1 - ratio) / 2, 0.75),
+        evidence: `${asset} ${shortWindow} realized volatility ${shortVolatility.toFixed(0)}% annualized vs ${longVolatility.toFixed(0)}% over ${longWindow} (${ratio.toFixed(2)}x, ${event.regime})`,
+        action: expansion
+          ? `Volatility in ${asset} has stepped up; size positions down and widen stops accordingly.`
+          : `${asset} has gone unusually quiet; calm stretches tend to end in sharp moves, so keep stops in place.`,
+      };
+    });
+  }
+
+  /**
+   * Evidence line citing the 24h move alongside the longer timeframes.
+   */
+  _timeframeEvidence(symbol, change24h, windows) {
+    const dir = change24h > 0 ? "up" : "down";
+    const parts = [`${symbol} ${dir} ${Math.abs(change24h).toFixed(1)}% in 24h`];
+
+    for (const timeframe of ["7d", "30d", "90d"]) {
+      const summary = windows[timeframe];
+      if (!summary) continue;
+      const sign = summary.changePct > 0 ? "+" : "";
+      parts.push(`${sign}${summary.changePct.toFixed(1)}% over ${timeframe}${summary.complete ? "" : " (partial)"}`);
+    }
+
+    return parts.join(", ");
+  }
+
   /**
    * Generate a human-readable summary.
    */
-  _generateSummary(prices, narratives) {
+  _generateSummary(prices, narratives, quote = USD_QUOTE) {
     const parts = [];
 
-    if (prices.BTC) {
-      const dir = prices.BTC.change24h > 0 ? "up" : "down";
+    // Summarizing BTC in BTC says nothing, so lead with ETH instead
+    const lead = ["BTC", "ETH"].find((s) => prices[s] && s !== quote.currency.code);
+    if (lead) {
+      const change = quotedChange(prices[lead].change24h, quote);
+      const dir = change > 0 ? "up" : "down";
       parts.push(
-        `BTC ${dir} ${Math.abs(prices.BTC.change24h || 0).toFixed(1)}% at $${(prices.BTC.price || 0).toLocaleString()}.`
+        `${lead} ${dir} ${formatPercent(Math.abs(change), quote.currency, { signed: false })} at ${formatMoney((prices[lead].price || 0) * quote.perUsd, quote.currency)}.`
       );
     }
 
@@ -190,48 +625,90 @@ class IntelEngine {
   }
 
   /**
-   * Format asset data for the report.
+   * Asset section of the report as raw numbers in the quote currency
+   * (see schema/report-1.0.json); ./render.js formats them for display.
    */
-  _formatAssetData(prices) {
+  _assetData(prices, quote = USD_QUOTE) {
     return Object.entries(prices).map(([symbol, data]) => ({
       symbol,
-      price: `$${(data.price || 0).toLocaleString()}`,
-      change24h: `${(data.change24h || 0).toFixed(1)}%`,
-      marketCap: data.marketCap
-        ? `$${(data.marketCap / 1e9).toFixed(1)}B`
-        : "N/A",
+      price: precise((data.price || 0) * quote.perUsd),
+      change24h: data.change24h === null || data.change24h === undefined ? null : precise(quotedChange(data.change24h, quote)),
+      marketCap: data.marketCap ? precise(data.marketCap * quote.perUsd) : null,
+      sources: data.sources || [],
+      dispersionPct: data.dispersionPct || 0,
+      ...(data.rejected?.length
+        ? { rejected: data.rejected.map((q) => ({ provider: q.provider, price: precise(q.price * quote.perUsd) })) }
+        : {}),
     }));
   }
 
   /**
-   * Calculate overall confidence level.
+   * Score confidence from data quality (see ./confidence.js): freshness,
+   * provider agreement, price dispersion, track record and coverage of
+   * the requested `assets`.
    */
-  _calculateConfidence(prices, narratives) {
-    const hasData = Object.keys(prices).length > 0;
-    const hasSignals = narratives.length > 0;
+  _calculateConfidence(assets, prices) {
+    const historyUpdatedAt = {};
+    for (const asset of assets) {
+      const last = this.history.getSeries(asset.toUpperCase()).slice(-1)[0];
+      if (last) historyUpdatedAt[asset.toUpperCase()] = last[0];
+    }
 
-    if (hasData && hasSignals) return "high";
-    if (hasData || hasSignals) return "medium";
-    return "low";
+    return scoreConfidence({
+      requested: assets,
+      prices,
+      historyUpdatedAt,
+      trackRecord: this.scorecards ? this.scorecards.trackRecord() : null,
+      minSources: this.prices.minSources,
+      maxDeviationPct: this.prices.maxDeviationPct,
+    });
   }
 
   /**
    * Generate actionable items based on analysis.
    */
-  _generateActions(narratives, prices) {
+  _generateActions(narratives, prices, { max = 3, fallback = "Continue monitoring. No strong signals detected." } = {}) {
     const actions = [];
 
-    for (const n of narratives.slice(0, 3)) {
+    for (const n of narratives.slice(0, max)) {
       if (n.action) actions.push(n.action);
     }
 
-    if (actions.length === 0) {
-      actions.push("Continue monitoring. No strong signals detected.");
+    if (actions.length === 0 && max > 0 && fallback) {
+      actions.push(fallback);
     }
 
     return actions;
   }
 
+  /**
+   * HTTP GET returning the raw body (for RSS/Atom feeds). Follows a few
+   * redirects and gives up after 10 seconds.
+   */
+  _httpGetText(url, redirects = 3) {
+    return new Promise((resolve, reject) => {
+      const req = https.get(url, { headers: { "User-Agent": "HederaIntel/2.0" } }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+          res.resume();
+          resolve(this._httpGetText(new URL(res.headers.location, url).toString(), redirects - 1));
+          return;
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+          return;
+        }
+        let data = "";
+        res.setEncoding("utf-8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => resolve(data));
+        res.on("error", reject);
+      });
+      req.setTimeout(10000, () => req.destroy(new Error(`Timed out fetching ${url}`)));
+      req.on("error", reject);
+    });
+  }
+
   /**
    * HTTP GET helper (no external deps needed).
    */
@@ -253,4 +730,27 @@ class IntelEngine {
   }
 }
 
+/**
+ * A USD 24h change restated against the quote currency's own move.
+ */
+function quotedChange(change24h, quote) {
+  return ((1 + (change24h || 0) / 100) / (1 + quote.change24h / 100) - 1) * 100;
+}
+
+/**
+ * Ten significant digits: enough for any price, without the float noise
+ * that currency conversion leaves behind.
+ */
+function precise(value) {
+  return Number(value.toPrecision(10));
+}
+
+function signed(value) {
+  return `${value > 0 ? "+" : ""}${value.toFixed(2)}`;
+}
+
+function daysAgo(bars) {
+  return bars === 0 ? "today" : `${bars} day${bars === 1 ? "" : "s"} ago`;
+}
+
 module.exports = { IntelEngine };
@@ -0,0 +1,88 @@
+/**
+ * Merkle trees for batch anchoring.
+ *
+ * Leaves are report digests (hex). Leaf and interior hashes are domain
+ * separated (0x00 / 0x01 prefixes) so an interior node can never be
+ * passed off as a leaf. An odd node at the end of a level is promoted
+ * unchanged rather than duplicated.
+ */
+
+const crypto = require("crypto");
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...buffers) {
+  return crypto.createHash("sha256").update(Buffer.concat(buffers)).digest();
+}
+
+/**
+ * Hash a leaf (a hex digest) into its tree node.
+ */
+function hashLeaf(digest) {
+  return sha256(LEAF_PREFIX, Buffer.from(digest, "hex")).toString("hex");
+}
+
+/**
+ * Hash two child nodes (hex) into their parent.
+ */
+function hashNode(left, right) {
+  return sha256(NODE_PREFIX, Buffer.from(left, "hex"), Buffer.from(right, "hex")).toString("hex");
+}
+
+/**
+ * Build a tree from leaf digests. Returns every level, leaves first.
+ */
+function buildTree(digests) {
+  if (!digests || digests.length === 0) {
+    throw new Error("Cannot build a Merkle tree with no leaves.");
+  }
+
+  const levels = [digests.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return { root: levels[levels.length - 1][0], levels };
+}
+
+/**
+ * Inclusion proof for the leaf at `index`: the sibling at each level
+ * and which side it sits on.
+ */
+function getProof(tree, index) {
+  const proof = [];
+  let idx = index;
+
+  for (let l = 0; l < tree.levels.length - 1; l++) {
+    const level = tree.levels[l];
+    const siblingIdx = idx % 2 === 0 ? idx + 1 : idx - 1;
+    if (siblingIdx < level.length) {
+      proof.push({
+        side: idx % 2 === 0 ? "right" : "left",
+        hash: level[siblingIdx],
+      });
+    }
+    idx = Math.floor(idx / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Recompute the root from a leaf digest and its proof.
+ */
+function verifyProof(digest, proof, root) {
+  let node = hashLeaf(digest);
+  for (const step of proof) {
+    node = step.side === "left" ? hashNode(step.hash, node) : hashNode(node, step.hash);
+  }
+  return node === root;
+}
+
+module.exports = { hashLeaf, hashNode, buildTree, getProof, verifyProof };
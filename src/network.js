@@ -7,13 +7,23 @@
  */
 
 const https = require("https");
+const { createTransport, LOCAL_SIM } = require("./transport");
 
 class NetworkAnalytics {
   constructor(network = "testnet") {
+    this.network = network === "mainnet" || network === LOCAL_SIM ? network : "testnet";
     this.baseUrl =
       network === "mainnet"
         ? "https://mainnet-public.mirrornode.hedera.com"
         : "https://testnet.mirrornode.hedera.com";
+
+    // local-sim answers Mirror Node queries from the in-process simulator
+    if (network === LOCAL_SIM) {
+      this.baseUrl = null;
+      this.transport = createTransport(LOCAL_SIM);
+    } else {
+      this.transport = null;
+    }
   }
 
   /**
@@ -163,7 +173,7 @@ class NetworkAnalytics {
     const report = {
       type: "hedera_network_health",
       timestamp: new Date().toISOString(),
-      network: this.baseUrl.includes("mainnet") ? "mainnet" : "testnet",
+      network: this.network,
       supply: supply.status === "fulfilled" ? supply.value : null,
       hcsActivity:
         hcsActivity.status === "fulfilled" ? hcsActivity.value : null,
@@ -199,6 +209,8 @@ class NetworkAnalytics {
    * HTTP GET helper for Mirror Node API.
    */
   _get(path) {
+    if (this.transport) return this.transport.mirrorGet(path);
+
     return new Promise((resolve, reject) => {
       const url = `${this.baseUrl}${path}`;
       https
@@ -0,0 +1,266 @@
+/**
+ * News ingestion for HederaIntel Agent.
+ *
+ * Pulls RSS 2.0 and Atom feeds from a configurable list
+ * (`config/feeds.json` or NEWS_FEEDS_FILE), tags each item with the
+ * assets it mentions using the asset registry's aliases, scores its
+ * sentiment with a small crypto-market lexicon and folds near-identical
+ * headlines from different outlets into one item.
+ *
+ * The feed parser is deliberately minimal (no XML dependency): it reads
+ * `<item>`/`<entry>` blocks and their title, link, date and summary.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FEEDS_FILE = path.join(__dirname, "..", "config", "feeds.json");
+
+const POSITIVE = new Set([
+  "adopt", "adoption", "approve", "approved", "approval", "bull", "bullish", "boost", "breakout",
+  "gain", "gains", "growth", "inflow", "inflows", "integrate", "integration", "launch",
+  "launches", "partner", "partnership", "rally", "rallies", "record", "recover", "recovery",
+  "rise", "rises", "soar", "soars", "support", "surge", "surges", "upgrade", "win", "wins",
+]);
+const NEGATIVE = new Set([
+  "ban", "bans", "bear", "bearish", "breach", "crash", "crashes", "decline", "declines", "delay",
+  "delayed", "drop", "drops", "dump", "exploit", "exploited", "fall", "falls", "fraud", "hack",
+  "hacked", "lawsuit", "liquidation", "liquidations", "loss", "losses", "outage", "outflow",
+  "outflows", "plunge", "plunges", "reject", "rejected", "selloff", "slump", "sue", "sued", "warn",
+  "warning",
+]);
+const NEGATORS = new Set(["no", "not", "never", "without", "fails", "failed"]);
+const STOPWORDS = new Set([
+  "a", "an", "and", "as", "at", "by", "for", "from", "in", "is", "its", "of", "on", "or", "the",
+  "to", "with", "after", "amid", "over", "says", "this", "that",
+]);
+
+/**
+ * Feed list from a JSON config file: `{ "feeds": [{ name, url }] }`.
+ */
+function loadFeeds(file = process.env.NEWS_FEEDS_FILE || DEFAULT_FEEDS_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf-8")).feeds || [];
+}
+
+/**
+ * Parse an RSS or Atom document into `{ title, link, publishedAt, summary }`.
+ */
+function parseFeed(xml) {
+  const blocks = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) || [];
+
+  return blocks
+    .map((block) => {
+      const link =
+        tagText(block, "link") ||
+        (block.match(/<link[^>]*rel=["']alternate["'][^>]*href=["']([^"']+)["']/i) ||
+          block.match(/<link[^>]*href=["']([^"']+)["']/i) ||
+          [])[1] ||
+        null;
+      const date = tagText(block, "pubDate") || tagText(block, "published") || tagText(block, "updated") || tagText(block, "dc:date");
+      const parsed = date ? new Date(date) : null;
+
+      return {
+        title: tagText(block, "title"),
+        link,
+        publishedAt: parsed && !isNaN(parsed) ? parsed.toISOString() : null,
+        summary: (tagText(block, "description") || tagText(block, "summary") || tagText(block, "content") || "").slice(0, 500),
+      };
+    })
+    .filter((item) => item.title);
+}
+
+function tagText(block, tag) {
+  const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i"));
+  if (!match) return null;
+  const text = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1");
+  // Summaries often carry escaped HTML, so strip tags again after decoding
+  const plain = decodeEntities(text.replace(/<[^>]+>/g, " ")).replace(/<[^>]+>/g, " ");
+  return plain.replace(/\s+/g, " ").trim() || null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (raw, n) => fromCodePoint(Number(n), raw))
+    .replace(/&#x([0-9a-f]+);/gi, (raw, n) => fromCodePoint(parseInt(n, 16), raw))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * The character for a numeric reference; out-of-range code points and
+ * lone surrogates are left as the raw reference.
+ */
+function fromCodePoint(code, raw) {
+  if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return raw;
+  return String.fromCodePoint(code);
+}
+
+function words(text) {
+  return String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Lexicon sentiment in [-1, 1]: (positive − negative) over matched
+ * words. A negator within the two preceding words flips a match.
+ */
+function scoreSentiment(text) {
+  const tokens = words(text);
+  let positive = 0;
+  let negative = 0;
+
+  tokens.forEach((word, i) => {
+    let polarity = POSITIVE.has(word) ? 1 : NEGATIVE.has(word) ? -1 : 0;
+    if (polarity === 0) return;
+    if (NEGATORS.has(tokens[i - 1]) || NEGATORS.has(tokens[i - 2])) polarity = -polarity;
+    if (polarity > 0) positive++;
+    else negative++;
+  });
+
+  const matched = positive + negative;
+  return matched === 0 ? 0 : Math.round(((positive - negative) / matched) * 100) / 100;
+}
+
+function sentimentLabel(score) {
+  if (score >= 0.2) return "bullish";
+  if (score <= -0.2) return "bearish";
+  return "neutral";
+}
+
+/**
+ * Jaccard similarity of two headlines' content words.
+ */
+function headlineSimilarity(a, b) {
+  const setA = new Set(words(a).filter((w) => !STOPWORDS.has(w)));
+  const setB = new Set(words(b).filter((w) => !STOPWORDS.has(w)));
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let shared = 0;
+  for (const w of setA) if (setB.has(w)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Fold near-identical headlines into the earliest one, which keeps a
+ * list of the other outlets that ran it.
+ */
+function dedupeHeadlines(items, threshold = 0.6) {
+  const sorted = [...items].sort((a, b) => (a.publishedAt || "").localeCompare(b.publishedAt || ""));
+  const kept = [];
+
+  for (const item of sorted) {
+    const original = kept.find((k) => headlineSimilarity(k.title, item.title) >= threshold);
+    if (original) {
+      if (!original.alsoIn.includes(item.source)) original.alsoIn.push(item.source);
+      continue;
+    }
+    kept.push({ ...item, alsoIn: [] });
+  }
+  return kept;
+}
+
+class NewsIngestor {
+  /**
+   * `fetchText(url)` resolves to the feed body. `assets` is the
+   * AssetRegistry used for tagging.
+   */
+  constructor(feeds, { fetchText, assets, maxAgeMs = 48 * 60 * 60 * 1000, now = () => Date.now() } = {}) {
+    this.feeds = feeds;
+    this.fetchText = fetchText;
+    this.assets = assets;
+    this.maxAgeMs = maxAgeMs;
+    this.now = now;
+  }
+
+  /**
+   * Recent, tagged, de-duplicated items mentioning any of `symbols`,
+   * newest first. Feeds that fail to load or parse are logged and
+   * skipped.
+   */
+  async fetch(symbols) {
+    const wanted = new Set(symbols.map((s) => s.toUpperCase()));
+    const cutoff = this.now() - this.maxAgeMs;
+    const items = [];
+
+    const results = await Promise.allSettled(this.feeds.map((feed) => this.fetchText(feed.url)));
+    results.forEach((result, i) => {
+      const feed = this.feeds[i];
+      if (result.status === "rejected") {
+        console.warn(`[News] ${feed.name} failed: ${result.reason.message}`);
+        return;
+      }
+
+      let entries;
+      try {
+        entries = parseFeed(result.value);
+      } catch (err) {
+        console.warn(`[News] ${feed.name} could not be parsed: ${err.message}`);
+        return;
+      }
+
+      for (const entry of entries) {
+        if (entry.publishedAt && new Date(entry.publishedAt).getTime() < cutoff) continue;
+
+        const tagged = (this.assets.findInText(`${entry.title} ${entry.summary}`) || []).filter((s) => wanted.has(s));
+        if (tagged.length === 0) continue;
+
+        const sentiment = scoreSentiment(`${entry.title} ${entry.summary}`);
+        items.push({
+          title: entry.title,
+          link: entry.link,
+          source: feed.name,
+          publishedAt: entry.publishedAt,
+          assets: tagged,
+          sentiment,
+          label: sentimentLabel(sentiment),
+        });
+      }
+    });
+
+    return dedupeHeadlines(items).sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""));
+  }
+}
+
+/**
+ * Per-asset headline count, mean sentiment and top headlines.
+ */
+function summarizeNews(items, limit = 3) {
+  const byAsset = {};
+  for (const item of items) {
+    for (const symbol of item.assets) {
+      (byAsset[symbol] = byAsset[symbol] || []).push(item);
+    }
+  }
+
+  const summary = {};
+  for (const [symbol, list] of Object.entries(byAsset)) {
+    const mean = list.reduce((acc, i) => acc + i.sentiment, 0) / list.length;
+    summary[symbol] = {
+      count: list.length,
+      sentiment: Math.round(mean * 100) / 100,
+      label: sentimentLabel(mean),
+      headlines: list.slice(0, limit).map((i) => ({
+        title: i.title,
+        source: i.source,
+        link: i.link,
+        publishedAt: i.publishedAt,
+        sentiment: i.sentiment,
+      })),
+    };
+  }
+  return summary;
+}
+
+module.exports = {
+  NewsIngestor,
+  loadFeeds,
+  parseFeed,
+  scoreSentiment,
+  sentimentLabel,
+  headlineSimilarity,
+  dedupeHeadlines,
+  summarizeNews,
+};
@@ -0,0 +1,214 @@
+/**
+ * Durable publish outbox.
+ *
+ * Every report is written to disk (one `<id>.json` per item) before it is
+ * submitted, already serialized and split into its HCS messages. Each
+ * confirmed message is recorded as soon as its receipt arrives, so a
+ * chunked publish that fails or crashes partway resumes from the next
+ * unconfirmed chunk instead of starting over. Transient errors (BUSY,
+ * timeouts, dropped connections) are retried with exponential backoff.
+ *
+ * Items are keyed by topic and content digest: queueing a report that is
+ * already pending resumes it, and one that was already published returns
+ * the stored receipt instead of publishing it again. A crash between a
+ * submit succeeding and its receipt being recorded can still repeat that
+ * one message; readers ignore duplicate chunk indices.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hashCanonical } = require("./canonical");
+
+const TRANSIENT_STATUSES = new Set([
+  "BUSY",
+  "PLATFORM_TRANSACTION_NOT_CREATED",
+  "PLATFORM_NOT_ACTIVE",
+  "TRANSACTION_EXPIRED",
+]);
+const TRANSIENT_MESSAGE = /timeout|timed out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|UNAVAILABLE/i;
+
+/**
+ * Whether a submit error is worth retrying.
+ */
+function isTransient(err) {
+  if (err?.status && TRANSIENT_STATUSES.has(String(err.status))) return true;
+  return TRANSIENT_MESSAGE.test(`${err?.name || ""} ${err?.message || ""}`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class PublishOutbox {
+  constructor(dir = path.join(process.cwd(), "data", "outbox"), options = {}) {
+    this.dir = dir;
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30 * 1000;
+    // Published items are kept this long so re-queued reports are recognised
+    this.retainMs = options.retainMs ?? 7 * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Queue a serialized publish. `parts` are the exact HCS messages to
+   * submit; `encrypted` marks a report published only to its
+   * recipients. Returns the stored item, which may be an existing pending or
+   * published one for the same topic and digest.
+   */
+  enqueue({ topicId, digest, label, chunkId = null, parts, report = null, encrypted = false }) {
+    const id = hashCanonical(`${topicId}:${digest}`);
+    const existing = this.get(id);
+    if (existing) return existing;
+
+    const item = {
+      id,
+      topicId,
+      digest,
+      label,
+      title: report?.title || null,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      chunkId,
+      parts,
+      confirmed: [],
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      result: null,
+      report,
+      encrypted,
+    };
+    this._save(item);
+    return item;
+  }
+
+  /**
+   * Submit the item's remaining messages in order via `submit(part)`,
+   * which resolves to `{ sequenceNumber, transactionId }`. Transient
+   * failures are retried with backoff; once retries run out (or on a
+   * permanent error) the item stays queued and the error is rethrown
+   * with `outboxId` set.
+   */
+  async deliver(item, submit) {
+    let tries = 0;
+
+    while (item.confirmed.length < item.parts.length) {
+      const index = item.confirmed.length;
+      try {
+        const { sequenceNumber, transactionId } = await submit(item.parts[index], index);
+        item.confirmed.push({ sequenceNumber, transactionId });
+        item.lastError = null;
+        item.nextAttemptAt = null;
+        this._save(item);
+      } catch (err) {
+        tries++;
+        item.attempts++;
+        item.lastError = err.message;
+
+        const transient = isTransient(err);
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (tries - 1));
+        item.status = transient ? "pending" : "failed";
+        item.nextAttemptAt = transient ? new Date(Date.now() + delay).toISOString() : null;
+        this._save(item);
+
+        if (!transient || tries >= this.maxAttempts) {
+          err.outboxId = item.id;
+          throw err;
+        }
+
+        console.warn(
+          `[Outbox] ${item.label} part ${index + 1}/${item.parts.length} failed (${err.message}); retrying in ${delay}ms`
+        );
+        await sleep(delay);
+      }
+    }
+
+    return item.confirmed;
+  }
+
+  /**
+   * Record the publish receipt once every part is confirmed.
+   */
+  markPublished(item, result) {
+    item.status = "published";
+    item.publishedAt = new Date().toISOString();
+    item.result = result;
+    item.nextAttemptAt = null;
+    this._save(item);
+    return item;
+  }
+
+  /**
+   * Items oldest first; pass `status` to filter. Expired published
+   * items are pruned along the way.
+   */
+  list({ status } = {}) {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const cutoff = Date.now() - this.retainMs;
+    const items = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith(".json")) continue;
+      const item = this._read(path.join(this.dir, file));
+      if (!item) continue;
+
+      if (item.status === "published" && new Date(item.publishedAt).getTime() < cutoff) {
+        this.remove(item.id);
+        continue;
+      }
+      if (!status || item.status === status) items.push(item);
+    }
+
+    return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Items still waiting to be published (pending or failed).
+   */
+  unpublished() {
+    return this.list().filter((item) => item.status !== "published");
+  }
+
+  /**
+   * Look up an item by id or unique id prefix.
+   */
+  get(id) {
+    const exact = this._read(this._file(id));
+    if (exact) return exact;
+    if (!fs.existsSync(this.dir) || String(id).length < 6) return null;
+
+    const matches = fs.readdirSync(this.dir).filter((f) => f.startsWith(id) && f.endsWith(".json"));
+    return matches.length === 1 ? this._read(path.join(this.dir, matches[0])) : null;
+  }
+
+  remove(id) {
+    const file = this._file(id);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  _file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write via a temp file and rename, so a crash never leaves a torn item.
+   */
+  _save(item) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this._file(item.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(item, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+}
+
+module.exports = { PublishOutbox, isTransient };
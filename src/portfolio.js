@@ -0,0 +1,188 @@
+/**
+ * Portfolio holdings and analysis.
+ *
+ * Holdings come from a JSON file (`data/portfolio.json` or
+ * PORTFOLIO_FILE, kept out of git) and can be topped up with the live
+ * balances of a Hedera account from the Mirror Node:
+ *
+ *   {
+ *     "account": "0.0.1234",          // optional, read via the Mirror Node
+ *     "holdings": [
+ *       { "symbol": "HBAR", "amount": 25000, "costBasis": 0.065 },
+ *       { "symbol": "BTC", "amount": 0.5, "costBasis": 42000 }
+ *     ]
+ *   }
+ *
+ * `costBasis` is the average price paid per unit in USD. Account
+ * balances replace the file's amounts; the file still supplies the cost
+ * basis. The analysis values each position, works out P&L and weights,
+ * warns about concentration and lists the active signals that touch
+ * each holding.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PORTFOLIO_FILE = path.join(__dirname, "..", "data", "portfolio.json");
+
+const LIMITS = {
+  maxPositionPct: 40,
+  maxCategoryPct: 60,
+};
+
+class Portfolio {
+  constructor(holdings = [], { account = null } = {}) {
+    this.account = account;
+    this.holdings = holdings.map((h, i) => {
+      const symbol = String(h.symbol || "").toUpperCase();
+      if (!symbol) throw new Error(`Portfolio holding ${i + 1}: missing symbol`);
+      if (!(Number(h.amount) >= 0)) throw new Error(`Portfolio holding ${symbol}: amount must be a number`);
+      if (h.costBasis !== undefined && h.costBasis !== null && !(Number(h.costBasis) >= 0)) {
+        throw new Error(`Portfolio holding ${symbol}: costBasis must be a number`);
+      }
+      return {
+        symbol,
+        amount: Number(h.amount),
+        costBasis: h.costBasis === undefined || h.costBasis === null ? null : Number(h.costBasis),
+        source: h.source || "file",
+      };
+    });
+  }
+
+  /**
+   * Load holdings from a JSON file.
+   */
+  static load(file = process.env.PORTFOLIO_FILE || DEFAULT_PORTFOLIO_FILE) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No portfolio file at ${file}; see config/portfolio.example.json`);
+    }
+    const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return new Portfolio(config.holdings || [], { account: config.account || null });
+  }
+
+  symbols() {
+    return this.holdings.map((h) => h.symbol);
+  }
+
+  /**
+   * A copy with the amounts held by `account` (default: the file's
+   * account) according to the Mirror Node. HBAR comes from the account
+   * balance, HTS tokens are matched to the registry by token id; tokens
+   * the registry does not know are skipped.
+   */
+  async withAccountBalances(mirrorGet, registry, account = this.account) {
+    if (!account) return this;
+
+    const info = await mirrorGet(`/api/v1/accounts/${account}`);
+    if (!info) throw new Error(`Account ${account} not found on the Mirror Node`);
+
+    const amounts = { HBAR: Number(info.balance?.balance || 0) / 1e8 };
+    for (const token of info.balance?.tokens || []) {
+      const asset = registry.list().find((a) => a.htsTokenId === token.token_id);
+      if (!asset) continue;
+
+      const meta = await mirrorGet(`/api/v1/tokens/${token.token_id}`);
+      if (!meta) {
+        console.warn(`[Portfolio] No token info for ${token.token_id}; skipping ${asset.symbol}`);
+        continue;
+      }
+      amounts[asset.symbol] = Number(token.balance) / 10 ** Number(meta.decimals || 0);
+    }
+
+    const holdings = this.holdings.map((h) =>
+      h.symbol in amounts ? { ...h, amount: amounts[h.symbol], source: `account ${account}` } : h
+    );
+    for (const [symbol, amount] of Object.entries(amounts)) {
+      if (amount > 0 && !holdings.some((h) => h.symbol === symbol)) {
+        holdings.push({ symbol, amount, costBasis: null, source: `account ${account}` });
+      }
+    }
+    return new Portfolio(holdings, { account });
+  }
+}
+
+/**
+ * Value the holdings at `prices` (aggregated quotes) and relate them to
+ * `signals`. `registry` supplies categories for concentration checks.
+ */
+function analyzePortfolio(portfolio, prices, signals = [], { registry = null, limits = LIMITS } = {}) {
+  const positions = [];
+  const unpriced = [];
+
+  for (const holding of portfolio.holdings) {
+    const price = prices[holding.symbol]?.price;
+    if (!price) {
+      unpriced.push(holding.symbol);
+      continue;
+    }
+
+    const value = holding.amount * price;
+    const cost = holding.costBasis === null ? null : holding.amount * holding.costBasis;
+    positions.push({
+      symbol: holding.symbol,
+      amount: holding.amount,
+      price,
+      value: round(value),
+      costBasis: holding.costBasis,
+      cost: cost === null ? null : round(cost),
+      pnl: cost === null ? null : round(value - cost),
+      pnlPct: cost ? round(((value - cost) / cost) * 100) : null,
+      source: holding.source,
+      signals: signals
+        .filter((s) => s.asset === holding.symbol)
+        .map((s) => ({ narrative: s.narrative, type: s.type, direction: s.direction, score: s.score })),
+    });
+  }
+
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0);
+  const costed = positions.filter((p) => p.cost !== null);
+  const totalCost = costed.reduce((sum, p) => sum + p.cost, 0);
+  const costedValue = costed.reduce((sum, p) => sum + p.value, 0);
+
+  for (const position of positions) {
+    position.weightPct = totalValue ? round((position.value / totalValue) * 100) : 0;
+  }
+  positions.sort((a, b) => b.value - a.value);
+
+  return {
+    account: portfolio.account,
+    currency: "USD",
+    totalValue: round(totalValue),
+    totalCost: costed.length ? round(totalCost) : null,
+    pnl: costed.length ? round(costedValue - totalCost) : null,
+    pnlPct: totalCost ? round(((costedValue - totalCost) / totalCost) * 100) : null,
+    positions,
+    unpriced,
+    warnings: concentrationWarnings(positions, registry, limits),
+  };
+}
+
+function concentrationWarnings(positions, registry, limits) {
+  const warnings = [];
+  for (const p of positions) {
+    if (p.weightPct > limits.maxPositionPct) {
+      warnings.push(`${p.symbol} is ${p.weightPct.toFixed(1)}% of the portfolio (limit ${limits.maxPositionPct}%)`);
+    }
+  }
+
+  if (registry) {
+    const byCategory = {};
+    for (const p of positions) {
+      for (const category of registry.get(p.symbol)?.categories || []) {
+        byCategory[category] = (byCategory[category] || 0) + p.weightPct;
+      }
+    }
+    for (const [category, weight] of Object.entries(byCategory)) {
+      if (weight > limits.maxCategoryPct && positions.length > 1) {
+        warnings.push(`${category} assets are ${weight.toFixed(1)}% of the portfolio (limit ${limits.maxCategoryPct}%)`);
+      }
+    }
+  }
+  return warnings;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { Portfolio, analyzePortfolio, LIMITS };
@@ -0,0 +1,258 @@
+/**
+ * Multi-timeframe price history with a local cache.
+ *
+ * Price series come from CoinGecko's `market_chart` endpoints and are
+ * kept per asset in `<dir>/<SYMBOL>.json`. The first refresh backfills
+ * 90 days; later refreshes only request the range since the newest
+ * cached point, and nothing at all inside `refreshMs`. Points older
+ * than a day are thinned to one per hour so the cache stays small.
+ *
+ * Window summaries (1h, 7d, 30d, 90d) and OHLC candles are derived from
+ * the cached series. Candles are built from sampled prices, so their
+ * highs and lows are those of the samples, not of every trade.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Window length and candle size for each timeframe
+const TIMEFRAMES = {
+  "1h": { windowMs: HOUR, candleMs: 5 * 60 * 1000 },
+  "7d": { windowMs: 7 * DAY, candleMs: HOUR },
+  "30d": { windowMs: 30 * DAY, candleMs: 4 * HOUR },
+  "90d": { windowMs: 90 * DAY, candleMs: DAY },
+};
+
+const BACKFILL_DAYS = 90;
+const FINE_RESOLUTION_MS = DAY; // keep 5-minute points for the last day
+
+const COINGECKO_API = "https://api.coingecko.com/api/v3";
+
+// Next to the agent's other data, wherever it is run from
+const DEFAULT_DIR = path.join(__dirname, "..", "data", "prices");
+
+class PriceHistory {
+  constructor(dir = DEFAULT_DIR, options = {}) {
+    this.dir = dir;
+    this.httpGet = options.httpGet;
+    this.refreshMs = options.refreshMs ?? 15 * 60 * 1000;
+    this.now = options.now || (() => Date.now());
+    // Points after `until` are invisible (used to replay history)
+    this.until = options.until ?? null;
+    this.cache = options.cache || new Map();
+  }
+
+  /**
+   * Read-only view of the cache as it stood at `time`: windows end
+   * there and later points are hidden.
+   */
+  asOf(time) {
+    return new PriceHistory(this.dir, { now: () => time, until: time, cache: this.cache });
+  }
+
+  /**
+   * Bring an asset's cached series up to date and return it.
+   * `coingeckoId` is the provider id (e.g. "bitcoin").
+   */
+  async refresh(symbol, coingeckoId) {
+    if (this.until !== null) throw new Error("A historical view cannot be refreshed");
+    const now = this.now();
+    const entry = this._load(symbol);
+    const last = entry.series[entry.series.length - 1];
+
+    if (entry.updatedAt && now - entry.updatedAt < this.refreshMs) {
+      return entry.series;
+    }
+
+    const fetched = [];
+    if (!last || last[0] < now - BACKFILL_DAYS * DAY) {
+      // Cold cache: hourly backfill, then 5-minute points for the last day
+      fetched.push(...(await this._fetchChart(coingeckoId, BACKFILL_DAYS)));
+      fetched.push(...(await this._fetchChart(coingeckoId, 1)));
+    } else {
+      const from = Math.max(last[0], now - DAY);
+      // The range endpoint returns 5-minute points for spans under a day
+      if (last[0] < from) {
+        fetched.push(...(await this._fetchRange(coingeckoId, last[0], from)));
+      }
+      fetched.push(...(await this._fetchRange(coingeckoId, from, now)));
+    }
+
+    entry.series = this._merge(entry.series, fetched, now);
+    entry.updatedAt = now;
+    entry.source = "coingecko";
+    this._save(symbol, entry);
+
+    return entry.series;
+  }
+
+  /**
+   * Cached `[timestamp, price]` points inside a timeframe (all if omitted).
+   */
+  getSeries(symbol, timeframe = null) {
+    const series = this._points(symbol);
+    if (!timeframe) return series;
+
+    const start = this._windowStart(timeframe);
+    return series.filter(([t]) => t >= start);
+  }
+
+  /**
+   * OHLC candles for a timeframe, bucketed by its candle size.
+   */
+  getCandles(symbol, timeframe) {
+    const { candleMs } = this._timeframe(timeframe);
+    const candles = [];
+
+    for (const [t, price] of this.getSeries(symbol, timeframe)) {
+      const time = Math.floor(t / candleMs) * candleMs;
+      const current = candles[candles.length - 1];
+      if (current && current.time === time) {
+        current.high = Math.max(current.high, price);
+        current.low = Math.min(current.low, price);
+        current.close = price;
+      } else {
+        candles.push({ time, open: price, high: price, low: price, close: price });
+      }
+    }
+
+    return candles;
+  }
+
+  /**
+   * Change, range and coverage for one timeframe, or null without data.
+   * The change is measured from the last point at or before the window
+   * start when there is one.
+   */
+  summarize(symbol, timeframe) {
+    const { windowMs } = this._timeframe(timeframe);
+    const series = this._points(symbol);
+    const start = this._windowStart(timeframe);
+
+    const inWindow = series.filter(([t]) => t >= start);
+    if (inWindow.length === 0) return null;
+
+    const before = series.filter(([t]) => t <= start).pop();
+    const base = before || inWindow[0];
+    const close = inWindow[inWindow.length - 1][1];
+    const prices = inWindow.map(([, p]) => p);
+    const covered = inWindow[inWindow.length - 1][0] - base[0];
+
+    return {
+      open: base[1],
+      close,
+      high: Math.max(...prices),
+      low: Math.min(...prices),
+      changePct: round(((close - base[1]) / base[1]) * 100, 2),
+      points: inWindow.length,
+      complete: covered >= windowMs * 0.9,
+    };
+  }
+
+  /**
+   * Summaries for every timeframe that has data.
+   */
+  summarizeAll(symbol) {
+    const result = {};
+    for (const timeframe of Object.keys(TIMEFRAMES)) {
+      const summary = this.summarize(symbol, timeframe);
+      if (summary) result[timeframe] = summary;
+    }
+    return result;
+  }
+
+  async _fetchChart(id, days) {
+    const data = await this.httpGet(
+      `${COINGECKO_API}/coins/${id}/market_chart?vs_currency=usd&days=${days}`
+    );
+    return this._pricesFrom(data, id);
+  }
+
+  async _fetchRange(id, fromMs, toMs) {
+    const data = await this.httpGet(
+      `${COINGECKO_API}/coins/${id}/market_chart/range?vs_currency=usd&from=${Math.floor(fromMs / 1000)}&to=${Math.ceil(toMs / 1000)}`
+    );
+    return this._pricesFrom(data, id);
+  }
+
+  _pricesFrom(data, id) {
+    if (!Array.isArray(data?.prices)) {
+      const reason = data?.status?.error_message || data?.error || "no price data";
+      throw new Error(`CoinGecko history for ${id}: ${reason}`);
+    }
+    return data.prices.filter(([t, p]) => Number.isFinite(t) && Number.isFinite(p));
+  }
+
+  /**
+   * Merge new points in time order, dropping duplicates, trimming to
+   * the backfill horizon and thinning old points to hourly.
+   */
+  _merge(series, fetched, now) {
+    const byTime = new Map(series.map((p) => [p[0], p]));
+    for (const point of fetched) byTime.set(point[0], [point[0], point[1]]);
+
+    const horizon = now - BACKFILL_DAYS * DAY - DAY;
+    const merged = [];
+    let lastHour = null;
+    for (const point of [...byTime.values()].sort((a, b) => a[0] - b[0])) {
+      if (point[0] < horizon) continue;
+      if (point[0] < now - FINE_RESOLUTION_MS) {
+        const hour = Math.floor(point[0] / HOUR);
+        if (hour === lastHour) continue;
+        lastHour = hour;
+      }
+      merged.push(point);
+    }
+    return merged;
+  }
+
+  _points(symbol) {
+    const { series } = this._load(symbol);
+    return this.until === null ? series : series.filter(([t]) => t <= this.until);
+  }
+
+  _windowStart(timeframe) {
+    return this.now() - this._timeframe(timeframe).windowMs;
+  }
+
+  _timeframe(timeframe) {
+    const spec = TIMEFRAMES[timeframe];
+    if (!spec) {
+      throw new Error(`Unknown timeframe: ${timeframe} (use ${Object.keys(TIMEFRAMES).join(", ")})`);
+    }
+    return spec;
+  }
+
+  _file(symbol) {
+    return path.join(this.dir, `${symbol.toUpperCase()}.json`);
+  }
+
+  _load(symbol) {
+    const key = symbol.toUpperCase();
+    if (!this.cache.has(key)) {
+      let entry = { series: [], updatedAt: null };
+      try {
+        entry = JSON.parse(fs.readFileSync(this._file(key), "utf-8"));
+      } catch {
+        // No cache yet
+      }
+      this.cache.set(key, entry);
+    }
+    return this.cache.get(key);
+  }
+
+  _save(symbol, entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this._file(symbol), JSON.stringify(entry));
+  }
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { PriceHistory, TIMEFRAMES, DEFAULT_DIR };
@@ -0,0 +1,272 @@
+/**
+ * Spot price providers and cross-source aggregation.
+ *
+ * A provider has a `name` and `fetchPrices(symbols)` resolving to
+ * `{ SYMBOL: { price, change24h?, marketCap? } }` for the symbols it
+ * could quote. Symbols it does not list are left out rather than
+ * failing the whole call. Per-symbol providers keep the quotes they
+ * got when one symbol errors, and reject only when nothing was quoted.
+ *
+ * Binance has no USD pairs, so its USDT pairs stand in for USD. A
+ * tether depeg would show up as that provider drifting from the others
+ * and be rejected as an outlier.
+ *
+ * `PriceAggregator` walks a fallback chain of providers in order until
+ * every symbol has `minSources` quotes (or the chain runs out), then
+ * takes the median per symbol. With three or more quotes, any quote
+ * more than `maxDeviationPct` from the median is rejected and the median
+ * is recomputed from the rest. Each aggregated price records the
+ * providers that contributed, the rejected quotes and the dispersion
+ * (max − min over median, in percent) of the accepted ones. When no
+ * quote lies near the median, nothing is rejected.
+ */
+
+const COINGECKO_API = "https://api.coingecko.com/api/v3";
+
+class CoinGeckoProvider {
+  constructor(httpGet, ids = {}) {
+    this.name = "coingecko";
+    this.httpGet = httpGet;
+    this.ids = ids;
+  }
+
+  async fetchPrices(symbols) {
+    const wanted = symbols.filter((s) => this.ids[s]);
+    if (wanted.length === 0) return {};
+
+    const data = await this.httpGet(
+      `${COINGECKO_API}/simple/price?ids=${wanted.map((s) => this.ids[s]).join(",")}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`
+    );
+    if (data?.status?.error_message) {
+      throw new Error(`CoinGecko: ${data.status.error_message}`);
+    }
+
+    const result = {};
+    for (const symbol of wanted) {
+      const quote = data?.[this.ids[symbol]];
+      if (!quote || typeof quote.usd !== "number") continue;
+      result[symbol] = {
+        price: quote.usd,
+        change24h: quote.usd_24h_change,
+        marketCap: quote.usd_market_cap,
+      };
+    }
+    return result;
+  }
+}
+
+class BinanceProvider {
+  constructor(httpGet, pairs = {}) {
+    this.name = "binance";
+    this.httpGet = httpGet;
+    this.pairs = pairs;
+  }
+
+  // Quoted against USDT, taken as USD (see above)
+  async fetchPrices(symbols) {
+    return quoteEach(symbols, async (symbol) => {
+      const pair = this.pairs[symbol] || `${symbol}USDT`;
+      const data = await this.httpGet(`https://api.binance.com/api/v3/ticker/24hr?symbol=${pair}`);
+      if (data?.code === -1121) return null; // Invalid symbol: not listed
+      if (!data?.lastPrice) {
+        throw new Error(`Binance: ${data?.msg || "no ticker data"}`);
+      }
+      return {
+        price: Number(data.lastPrice),
+        change24h: Number(data.priceChangePercent),
+      };
+    });
+  }
+}
+
+class KrakenProvider {
+  constructor(httpGet, pairs = {}) {
+    this.name = "kraken";
+    this.httpGet = httpGet;
+    this.pairs = { BTC: "XBTUSD", ...pairs };
+  }
+
+  async fetchPrices(symbols) {
+    return quoteEach(symbols, async (symbol) => {
+      const pair = this.pairs[symbol] || `${symbol}USD`;
+      const data = await this.httpGet(`https://api.kraken.com/0/public/Ticker?pair=${pair}`);
+      const errors = data?.error || [];
+      if (errors.some((e) => e.includes("Unknown asset pair"))) return null;
+      if (errors.length > 0 || !data?.result) {
+        throw new Error(`Kraken: ${errors.join(", ") || "no ticker data"}`);
+      }
+
+      // Result is keyed by Kraken's own pair name (e.g. XXBTZUSD)
+      const ticker = Object.values(data.result)[0];
+      const last = Number(ticker?.c?.[0]);
+      return Number.isFinite(last) ? { price: last } : null;
+    });
+  }
+}
+
+class CoinbaseProvider {
+  constructor(httpGet, pairs = {}) {
+    this.name = "coinbase";
+    this.httpGet = httpGet;
+    this.pairs = pairs;
+  }
+
+  async fetchPrices(symbols) {
+    return quoteEach(symbols, async (symbol) => {
+      const pair = this.pairs[symbol] || `${symbol}-USD`;
+      const data = await this.httpGet(`https://api.coinbase.com/v2/prices/${pair}/spot`);
+      if (data?.errors?.some((e) => e.id === "not_found")) return null;
+      const amount = Number(data?.data?.amount);
+      if (!Number.isFinite(amount)) {
+        throw new Error(`Coinbase: ${data?.errors?.[0]?.message || "no price data"}`);
+      }
+      return { price: amount };
+    });
+  }
+}
+
+/**
+ * Quote symbols one at a time with `quoteOne` (null = not listed).
+ * A failing symbol is skipped; the call only rejects when some symbol
+ * failed and none was quoted.
+ */
+async function quoteEach(symbols, quoteOne) {
+  const result = {};
+  const failures = [];
+  for (const symbol of symbols) {
+    try {
+      const quote = await quoteOne(symbol);
+      if (quote) result[symbol] = quote;
+    } catch (error) {
+      failures.push(`${symbol}: ${error.message}`);
+    }
+  }
+  if (failures.length > 0 && Object.keys(result).length === 0) {
+    throw new Error(failures.join("; "));
+  }
+  return result;
+}
+
+const PROVIDERS = {
+  coingecko: CoinGeckoProvider,
+  binance: BinanceProvider,
+  kraken: KrakenProvider,
+  coinbase: CoinbaseProvider,
+};
+
+const DEFAULT_CHAIN = ["coingecko", "binance", "kraken", "coinbase"];
+
+/**
+ * Build a provider chain from names (array or comma-separated string).
+ * `ids` maps provider name to its symbol → id/pair table.
+ */
+function createProviders(names = DEFAULT_CHAIN, httpGet, ids = {}) {
+  const list = typeof names === "string" ? names.split(",") : names;
+  return list
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const Provider = PROVIDERS[name];
+      if (!Provider) {
+        throw new Error(`Unknown price provider: ${name} (use ${Object.keys(PROVIDERS).join(", ")})`);
+      }
+      return new Provider(httpGet, ids[name]);
+    });
+}
+
+class PriceAggregator {
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.minSources = options.minSources ?? 3;
+    this.maxDeviationPct = options.maxDeviationPct ?? 2;
+  }
+
+  /**
+   * Aggregated prices for `symbols`. Symbols no provider could quote are
+   * left out. Provider failures are logged and the chain moves on.
+   */
+  async fetchPrices(symbols) {
+    const quotes = Object.fromEntries(symbols.map((s) => [s, []]));
+
+    for (const provider of this.providers) {
+      const needed = symbols.filter((s) => quotes[s].length < this.minSources);
+      if (needed.length === 0) break;
+
+      try {
+        const prices = await provider.fetchPrices(needed);
+        for (const [symbol, quote] of Object.entries(prices)) {
+          if (quotes[symbol] && Number.isFinite(quote.price) && quote.price > 0) {
+            quotes[symbol].push({ provider: provider.name, ...quote });
+          }
+        }
+      } catch (error) {
+        console.warn(`[Prices] ${provider.name} failed: ${error.message}`);
+      }
+    }
+
+    const result = {};
+    for (const [symbol, list] of Object.entries(quotes)) {
+      if (list.length > 0) result[symbol] = this.aggregate(list);
+    }
+    return result;
+  }
+
+  /**
+   * Combine one symbol's quotes into a single price record.
+   */
+  aggregate(quotes) {
+    let accepted = quotes;
+    let rejected = [];
+
+    if (quotes.length >= 3) {
+      const center = median(quotes.map((q) => q.price));
+      accepted = quotes.filter((q) => deviationPct(q.price, center) <= this.maxDeviationPct);
+      rejected = quotes.filter((q) => deviationPct(q.price, center) > this.maxDeviationPct);
+
+      // No quote near the median: there is no consensus to reject against
+      if (accepted.length === 0) {
+        accepted = quotes;
+        rejected = [];
+      }
+    }
+
+    const prices = accepted.map((q) => q.price);
+    const price = median(prices);
+    const changes = accepted.map((q) => q.change24h).filter(Number.isFinite);
+
+    return {
+      price,
+      change24h: changes.length > 0 ? median(changes) : undefined,
+      marketCap: accepted.find((q) => q.marketCap)?.marketCap,
+      sources: accepted.map((q) => q.provider),
+      rejected: rejected.map((q) => ({ provider: q.provider, price: q.price })),
+      dispersionPct: round(((Math.max(...prices) - Math.min(...prices)) / price) * 100, 3),
+    };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function deviationPct(value, center) {
+  return (Math.abs(value - center) / center) * 100;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  CoinGeckoProvider,
+  BinanceProvider,
+  KrakenProvider,
+  CoinbaseProvider,
+  PriceAggregator,
+  createProviders,
+  DEFAULT_CHAIN,
+  median,
+};
@@ -0,0 +1,239 @@
+/**
+ * Report rendering for the CLI and chat.
+ *
+ * Reports hold raw numbers (see schema/report-1.0.json); this is where
+ * they become display text. Prices and market caps are formatted in the
+ * report's currency and the reader's locale (the currency's own unless
+ * `locale` is given). Every function returns lines for the caller to
+ * print.
+ */
+
+const { currencyForCode, formatMoney, formatPercent } = require("./currency");
+
+/**
+ * Display strings for one asset entry: price, 24h change, market cap
+ * and the spread between price sources.
+ */
+function formatAsset(asset, currency) {
+  return {
+    price: formatMoney(asset.price, currency),
+    change24h: asset.change24h === null ? "—" : formatPercent(asset.change24h, currency),
+    marketCap: asset.marketCap === null ? "N/A" : formatMoney(asset.marketCap, currency, { compact: true }),
+    dispersion: `${asset.dispersionPct.toFixed(2)}%`,
+  };
+}
+
+/**
+ * One line per asset. With `detail`, each is followed by its price
+ * sources (and rejected quotes) and its price history trend.
+ */
+function renderAssets(report, { locale = null, indent = "  ", detail = false } = {}) {
+  const currency = currencyForCode(report.currency, locale);
+  const lines = [];
+
+  for (const asset of report.assets || []) {
+    const shown = formatAsset(asset, currency);
+    lines.push(`${indent}${asset.symbol.padEnd(6)} ${shown.price.padStart(12)} | 24h: ${shown.change24h.padStart(8)} | MCap: ${shown.marketCap}`);
+    if (!detail) continue;
+
+    if (asset.sources?.length) {
+      const rejected = (asset.rejected || []).map((q) => `${q.provider} ${formatMoney(q.price, currency)}`);
+      lines.push(
+        `${indent}       via ${asset.sources.join(", ")} (spread ${shown.dispersion})${rejected.length ? ` — rejected ${rejected.join(", ")}` : ""}`
+      );
+    }
+    const windows = report.priceHistory?.[asset.symbol];
+    if (windows) {
+      const trend = Object.entries(windows).map(
+        ([timeframe, s]) => `${timeframe}: ${s.changePct > 0 ? "+" : ""}${s.changePct.toFixed(1)}%${s.complete ? "" : "*"}`
+      );
+      lines.push(`${indent}       ${trend.join(" | ")}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Cross-asset section: dominance, relative strength, the correlation
+ * matrix and any decoupling events.
+ */
+function renderCrossAsset({ correlation, dominance, relativeStrength, decoupling }) {
+  const signedPct = (v) => (v === undefined ? "—" : `${v > 0 ? "+" : ""}${v.toFixed(1)}%`);
+  const lines = ["Cross-Asset:"];
+
+  if (dominance) {
+    lines.push(`  BTC dominance ${dominance.btcPct.toFixed(1)}% of ${dominance.assets} tracked assets' market cap`);
+  }
+
+  const rows = Object.entries(relativeStrength);
+  if (rows.length > 0) {
+    lines.push("  Relative strength     vs BTC 24h / 7d / 30d        vs ETH 7d");
+    for (const [symbol, rs] of rows) {
+      const btc = rs.vsBTC ? ["24h", "7d", "30d"].map((tf) => signedPct(rs.vsBTC[tf])).join(" / ") : "—";
+      lines.push(`  ${symbol.padEnd(21)} ${btc.padEnd(28)} ${signedPct(rs.vsETH?.["7d"])}`);
+    }
+  }
+
+  const symbols = Object.keys(correlation.matrix);
+  if (symbols.length > 1) {
+    lines.push(`  Correlation (${correlation.interval} returns, ${correlation.window}; ${correlation.points} points)`);
+    lines.push(`  ${"".padEnd(7)}${symbols.map((s) => s.padStart(7)).join("")}`);
+    for (const a of symbols) {
+      const cells = symbols.map((b) => {
+        const r = correlation.matrix[a][b];
+        return (r === null ? "—" : r.toFixed(2)).padStart(7);
+      });
+      lines.push(`  ${a.padEnd(7)}${cells.join("")}`);
+    }
+  }
+
+  for (const event of decoupling) {
+    lines.push(
+      `  ⚡ ${event.asset} decoupling from ${event.benchmark}: correlation ${event.longCorrelation.toFixed(2)} → ${event.recentCorrelation.toFixed(2)} (7d)${event.relative7d === null ? "" : `, ${signedPct(event.relative7d)} vs ${event.benchmark}`}`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Risk section as a table: volatility, drawdown, VaR/CVaR and beta per
+ * asset, then any volatility regime changes. `brief` gives the one-line
+ * per asset form used in chat.
+ */
+function renderRisk({ confidenceLevel, benchmark, asOf, assets, regimeChanges }, { brief = false, indent = "  " } = {}) {
+  const pct = (v) => (v === null ? "—" : `${v.toFixed(1)}%`);
+  const beta = (v) => (v === null ? "—" : v.toFixed(2));
+
+  if (brief) {
+    const lines = [`Risk (as of ${asOf}):`];
+    for (const [symbol, m] of Object.entries(assets)) {
+      lines.push(
+        `${indent}${symbol.padEnd(6)} vol 30d ${pct(m.volatility["30d"])} | max DD ${pct(m.maxDrawdownPct)} | VaR ${pct(m.varPct)} / CVaR ${pct(m.cvarPct)} | β ${beta(m.beta)}`
+      );
+    }
+    for (const event of regimeChanges) {
+      lines.push(`${indent}⚡ ${event.asset} volatility ${event.regime} (${event.ratio.toFixed(2)}x its ${event.longWindow} level)`);
+    }
+    return lines;
+  }
+
+  const level = `${Math.round(confidenceLevel * 100)}%`;
+  const lines = [`Risk (daily returns, as of ${asOf}):`];
+  lines.push(`${indent}${"".padEnd(7)}${"Vol 7d / 30d / 90d".padEnd(27)}${"Max DD".padStart(8)}${`VaR ${level}`.padStart(9)}${"CVaR".padStart(8)}${`β ${benchmark}`.padStart(8)}`);
+  for (const [symbol, m] of Object.entries(assets)) {
+    const vol = ["7d", "30d", "90d"].map((w) => pct(m.volatility[w])).join(" / ");
+    lines.push(
+      `${indent}${symbol.padEnd(7)}${vol.padEnd(27)}${pct(m.maxDrawdownPct).padStart(8)}${pct(m.varPct).padStart(9)}${pct(m.cvarPct).padStart(8)}${beta(m.beta).padStart(8)}`
+    );
+  }
+
+  for (const event of regimeChanges) {
+    lines.push(
+      `${indent}⚡ ${event.asset} volatility ${event.regime}: ${event.shortWindow} ${pct(event.shortVolatility)} vs ${event.longWindow} ${pct(event.longVolatility)} (${event.ratio.toFixed(2)}x)`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Portfolio section: value and P&L, one row per position with the
+ * signals on it, then unpriced holdings and warnings. The section is in
+ * USD; it is shown in the report currency at the report's rate.
+ */
+function renderPortfolio(report, { locale = null, indent = "  " } = {}) {
+  const p = report.portfolio;
+  const currency = currencyForCode(report.currency, locale);
+  const perUsd = report.exchangeRate?.perUsd ?? 1;
+  const money = (usd) => formatMoney(usd * perUsd, currency);
+  const signedMoney = (usd) => `${usd < 0 ? "-" : "+"}${money(Math.abs(usd))}`;
+  const pct = (v) => `${v > 0 ? "+" : ""}${v.toFixed(1)}%`;
+
+  const lines = [`${indent}Value:  ${money(p.totalValue)}${p.account ? ` (account ${p.account})` : ""}`];
+  if (p.pnl !== null) {
+    lines.push(`${indent}P&L:    ${signedMoney(p.pnl)} (${pct(p.pnlPct)}) on ${money(p.totalCost)} cost`);
+  }
+  lines.push("", `${indent}Asset          Amount         Value   Weight          P&L`);
+  for (const pos of p.positions) {
+    const pnl = pos.pnl === null ? "—" : `${signedMoney(pos.pnl)} (${pct(pos.pnlPct)})`;
+    lines.push(
+      `${indent}${pos.symbol.padEnd(7)} ${pos.amount.toLocaleString(currency.locale).padStart(14)} ${money(pos.value).padStart(13)} ${`${pos.weightPct.toFixed(1)}%`.padStart(8)}  ${pnl}`
+    );
+    for (const signal of pos.signals) {
+      lines.push(`${indent}        ${signal.direction === "bullish" ? "▲" : signal.direction === "bearish" ? "▼" : "•"} ${signal.narrative}`);
+    }
+  }
+  if (p.unpriced.length > 0) {
+    lines.push("", `${indent}No price for: ${p.unpriced.join(", ")} (left out of totals)`);
+  }
+  for (const warning of p.warnings) {
+    lines.push(`${indent}⚠️  ${warning}`);
+  }
+  return lines;
+}
+
+/**
+ * Signals as score bars with their evidence.
+ */
+function renderSignals(signals, { indent = "  " } = {}) {
+  return signals.flatMap((signal) => {
+    const bar = "█".repeat(Math.round(signal.score * 10)).padEnd(10, "░");
+    return [`${indent}[${bar}] ${signal.narrative}`, `${indent}           ${signal.evidence}`];
+  });
+}
+
+/**
+ * The full report as shown by `node index.js report`.
+ */
+function renderReport(report, { locale = null } = {}) {
+  const lines = [
+    `Title:      ${report.title}`,
+    `Generated:  ${report.generatedAt}`,
+    `Focus:      ${report.focus}`,
+    `Currency:   ${report.currency}${report.exchangeRate ? ` (${report.exchangeRate.perUsd.toPrecision(6)} per USD via ${report.exchangeRate.source})` : ""}`,
+    `Confidence: ${report.confidence} (${report.confidenceScore.toFixed(2)})`,
+    `            ${Object.entries(report.confidenceComponents).map(([name, value]) => `${name} ${value.toFixed(2)}`).join(", ")}`,
+    `Summary:    ${report.summary}`,
+    "",
+    "Assets:",
+    ...renderAssets(report, { locale, detail: true }),
+  ];
+  if (report.priceHistory) {
+    lines.push("  (* partial window — cache still filling)");
+  }
+  if (report.crossAsset) {
+    lines.push("", ...renderCrossAsset(report.crossAsset));
+  }
+  if (report.risk) {
+    lines.push("", ...renderRisk(report.risk));
+  }
+  if (report.network) {
+    const hcs = report.network.hcsActivity;
+    lines.push("", "Network:", `  Hedera ${report.network.network} health ${report.network.healthScore}/100`);
+    if (hcs) lines.push(`  HCS: ${hcs.messageCount} recent message(s) across ${hcs.uniqueTopics || 0} topic(s)`);
+  }
+  if (report.signals.length > 0) {
+    lines.push("", "Active Signals:", ...renderSignals(report.signals));
+  }
+  if (report.news) {
+    lines.push("", "News:");
+    for (const [symbol, flow] of Object.entries(report.news)) {
+      const sign = flow.sentiment > 0 ? "+" : "";
+      lines.push(`  ${symbol.padEnd(6)} ${flow.count} headline(s), sentiment ${sign}${flow.sentiment.toFixed(2)} (${flow.label})`);
+      lines.push(`         "${flow.headlines[0].title}" — ${flow.headlines[0].source}`);
+    }
+  }
+  if (report.actionItems.length > 0) {
+    lines.push("", "Action Items:", ...report.actionItems.map((action) => `  → ${action}`));
+  }
+  return lines;
+}
+
+module.exports = {
+  formatAsset,
+  renderAssets,
+  renderCrossAsset,
+  renderRisk,
+  renderPortfolio,
+  renderSignals,
+  renderReport,
+};
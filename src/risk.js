@@ -0,0 +1,205 @@
+/**
+ * Risk metrics for HederaIntel Agent.
+ *
+ * Computed per asset from the cached price history:
+ *
+ *   volatility        annualized standard deviation of daily returns
+ *                     over the last 7, 30 and 90 days
+ *   maxDrawdownPct    deepest peak-to-trough fall over 90 days, and
+ *                     `currentDrawdownPct` below the 90-day peak
+ *   varPct / cvarPct  historical one-day Value at Risk and Conditional
+ *                     VaR (expected shortfall) at `confidenceLevel`
+ *   beta              sensitivity of daily returns to BTC's
+ *
+ * Losses are positive percentages. A volatility regime change is a
+ * 7-day volatility well above or below the 90-day level.
+ */
+
+const { returns, alignedReturns } = require("./cross-asset");
+
+const DEFAULTS = {
+  windows: { "7d": 7, "30d": 30, "90d": 90 }, // daily returns per window
+  minCoverage: 0.8, // share of a window's returns needed to report it
+  minPoints: 30, // daily returns needed for VaR, CVaR and beta
+  confidenceLevel: 0.95,
+  benchmark: "BTC",
+  expansionRatio: 1.75,
+  compressionRatio: 0.5,
+};
+
+/**
+ * Sample standard deviation, or null with fewer than two values.
+ */
+function stdev(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Annualized volatility (percent) of daily returns. Crypto trades every
+ * day, so a year is 365 of them.
+ */
+function realizedVolatility(dailyReturns) {
+  const sd = stdev(dailyReturns);
+  return sd === null ? null : sd * Math.sqrt(365) * 100;
+}
+
+/**
+ * Deepest peak-to-trough fall in a `[timestamp, price]` series, and how
+ * far the last price sits below the running peak.
+ */
+function maxDrawdown(series) {
+  if (series.length < 2) return null;
+
+  let peak = series[0];
+  let worst = { pct: 0, peakAt: series[0][0], troughAt: series[0][0] };
+  for (const point of series) {
+    if (point[1] > peak[1]) peak = point;
+    const pct = (1 - point[1] / peak[1]) * 100;
+    if (pct > worst.pct) worst = { pct, peakAt: peak[0], troughAt: point[0] };
+  }
+
+  const last = series[series.length - 1][1];
+  return {
+    maxDrawdownPct: round(worst.pct),
+    peakAt: new Date(worst.peakAt).toISOString(),
+    troughAt: new Date(worst.troughAt).toISOString(),
+    currentDrawdownPct: round((1 - last / peak[1]) * 100),
+  };
+}
+
+/**
+ * Historical VaR and CVaR of a return series at `level`: the loss of
+ * the worst (1 - level) share of days, and the average loss across
+ * them. Null with fewer than `minPoints` returns.
+ */
+function valueAtRisk(dailyReturns, level = DEFAULTS.confidenceLevel, minPoints = DEFAULTS.minPoints) {
+  if (dailyReturns.length < minPoints) return null;
+
+  const sorted = [...dailyReturns].sort((a, b) => a - b);
+  // The epsilon keeps 40 * (1 - 0.95) from rounding up to 3 days
+  const tail = sorted.slice(0, Math.max(1, Math.ceil(sorted.length * (1 - level) - 1e-9)));
+  return {
+    varPct: round(-tail[tail.length - 1] * 100),
+    cvarPct: round((-tail.reduce((s, r) => s + r, 0) / tail.length) * 100),
+  };
+}
+
+/**
+ * Beta of `asset` returns to `benchmark` returns (equal length), or
+ * null when there are too few points or the benchmark does not move.
+ */
+function beta(asset, benchmark, minPoints = DEFAULTS.minPoints) {
+  const n = Math.min(asset.length, benchmark.length);
+  if (n < minPoints) return null;
+
+  const meanA = asset.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  const meanB = benchmark.slice(0, n).reduce((s, v) => s + v, 0) / n;
+  let cov = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (asset[i] - meanA) * (benchmark[i] - meanB);
+    varB += (benchmark[i] - meanB) ** 2;
+  }
+  return varB === 0 ? null : cov / varB;
+}
+
+/**
+ * Assets whose short-window volatility has moved well away from the
+ * long-window level.
+ */
+function detectRegimeChanges(assets, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const [short, long] = [Object.keys(opts.windows)[0], Object.keys(opts.windows).pop()];
+
+  const events = [];
+  for (const [symbol, metrics] of Object.entries(assets)) {
+    const shortVol = metrics.volatility[short];
+    const longVol = metrics.volatility[long];
+    if (!shortVol || !longVol) continue;
+
+    const ratio = shortVol / longVol;
+    if (ratio < opts.expansionRatio && ratio > opts.compressionRatio) continue;
+    events.push({
+      asset: symbol,
+      shortWindow: short,
+      longWindow: long,
+      shortVolatility: shortVol,
+      longVolatility: longVol,
+      ratio: round(ratio),
+      regime: ratio >= opts.expansionRatio ? "expansion" : "compression",
+    });
+  }
+  return events;
+}
+
+/**
+ * Full risk reading from daily candles (per symbol, covering 90 days),
+ * the raw `[timestamp, price]` series for drawdowns, and the
+ * benchmark's daily candles for beta. Returns null without data.
+ */
+function analyze({ candles = {}, series = {}, benchmarkCandles = [] }, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const assets = {};
+  let asOf = 0;
+
+  for (const [symbol, symbolCandles] of Object.entries(candles)) {
+    if (symbolCandles.length < 2) continue;
+
+    const daily = returns(symbolCandles.map((c) => c.close));
+    const volatility = {};
+    for (const [window, length] of Object.entries(opts.windows)) {
+      const slice = daily.slice(-length);
+      volatility[window] = slice.length >= length * opts.minCoverage ? round(realizedVolatility(slice)) : null;
+    }
+
+    const aligned =
+      symbol === opts.benchmark
+        ? null
+        : alignedReturns({ [symbol]: symbolCandles, [opts.benchmark]: benchmarkCandles }).returns;
+
+    assets[symbol] = {
+      volatility,
+      ...(maxDrawdown(series[symbol] || []) || { maxDrawdownPct: null, currentDrawdownPct: null }),
+      ...(valueAtRisk(daily, opts.confidenceLevel, opts.minPoints) || { varPct: null, cvarPct: null }),
+      beta:
+        symbol === opts.benchmark
+          ? 1
+          : aligned?.[opts.benchmark]
+            ? round(beta(aligned[symbol], aligned[opts.benchmark], opts.minPoints))
+            : null,
+      points: daily.length,
+    };
+    const last = series[symbol]?.[series[symbol].length - 1]?.[0] ?? symbolCandles[symbolCandles.length - 1].time;
+    asOf = Math.max(asOf, last);
+  }
+  if (Object.keys(assets).length === 0) return null;
+
+  return {
+    interval: "1d",
+    window: "90d",
+    confidenceLevel: opts.confidenceLevel,
+    benchmark: opts.benchmark,
+    asOf: new Date(asOf).toISOString(),
+    assets,
+    regimeChanges: detectRegimeChanges(assets, opts),
+  };
+}
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  stdev,
+  realizedVolatility,
+  maxDrawdown,
+  valueAtRisk,
+  beta,
+  detectRegimeChanges,
+  analyze,
+};
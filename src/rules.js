@@ -0,0 +1,345 @@
+/**
+ * Declarative narrative rules.
+ *
+ * Analysts describe narratives in `config/narratives.json` (or
+ * NARRATIVE_RULES_FILE) instead of code:
+ *
+ *   {
+ *     "id": "hbar-enterprise-adoption",
+ *     "narrative": "Hedera Enterprise Adoption",
+ *     "assets": ["HBAR"],            // or "category": "DeFi", or "scope": "market"
+ *     "when": "news.count >= 2 && news.sentiment > 0",
+ *     "score": "clamp(0.4 + 0.1 * news.count, 0, 0.9)",
+ *     "evidence": "{{symbol}} at {{money(price)}} with {{news.count}} positive headlines",
+ *     "action": "Monitor Hedera enterprise announcements.",
+ *     "direction": "bullish"         // bullish, bearish or neutral (default)
+ *   }
+ *
+ * `when` and `score` are expressions; `narrative`, `evidence` and
+ * `action` are templates with `{{ expression }}` placeholders.
+ * Expressions support numbers, 'strings', metric paths, + - * /,
+ * comparisons, && || !, parentheses and the functions min, max, abs,
+ * round, clamp, fixed(value, digits) and money(usd), which formats a
+ * USD amount in the report's quote currency ("$68,450.00", "63.012,00 €").
+ *
+ * Per-asset rules see: symbol, name, price, change24h, marketCap,
+ * dispersionPct, history.<window>.*, indicators.*, news.*, network.*
+ * relative.vsBTC.<window> / relative.vsETH.<window> and risk.* (e.g.
+ * risk.volatility.30d, risk.maxDrawdownPct, risk.varPct, risk.beta).
+ * Market rules see `assets.<SYMBOL>.*`, `network.*` and `dominance.*`,
+ * and may name the `asset` their call is about. A rule whose
+ * expressions touch a metric that is not available does not fire.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { resolveCurrency, formatMoney } = require("./currency");
+
+const DEFAULT_RULES_FILE = path.join(__dirname, "..", "config", "narratives.json");
+
+const DIRECTIONS = ["bullish", "bearish", "neutral"];
+
+class MissingMetric extends Error {}
+
+// The report's quote currency, kept out of reach of metric paths
+const QUOTE = Symbol("quote");
+const USD_QUOTE = { currency: resolveCurrency("USD"), perUsd: 1 };
+
+// Called with the evaluation context as `this`
+const FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: (x) => Math.abs(x),
+  round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+  clamp: (x, lo, hi) => Math.min(Math.max(x, lo), hi),
+  fixed: (x, digits = 2) => Number(x).toFixed(digits),
+  money(usd) {
+    const quote = this[QUOTE] || USD_QUOTE;
+    return formatMoney(Number(usd) * quote.perUsd, quote.currency);
+  },
+};
+
+// ─── Expressions ────────────────────────────────────────────────────────────
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('[^']*'|"[^"]*")|([A-Za-z_][\w.]*)|(&&|\|\||[<>=!]=|[-+*/(),<>!]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`Unexpected character at ${start} in "${source}"`);
+    if (match[1]) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2]) tokens.push({ type: "string", value: match[2].slice(1, -1) });
+    else if (match[3]) tokens.push({ type: "name", value: match[3] });
+    else tokens.push({ type: "op", value: match[4] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree. Precedence, lowest first:
+ * ||, &&, comparisons, + -, * /, unary ! -.
+ */
+function parseExpression(source) {
+  const tokens = tokenize(String(source));
+  let pos = 0;
+
+  const peek = (value) => tokens[pos]?.type === "op" && tokens[pos].value === value;
+  const expect = (value) => {
+    if (!peek(value)) throw new Error(`Expected "${value}" in "${source}"`);
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (tokens[pos]?.type === "op" && ops.includes(tokens[pos].value)) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of "${source}"`);
+    if (token.type === "number" || token.type === "string") return { type: "literal", value: token.value };
+    if (token.type === "op" && token.value === "(") {
+      const inner = or();
+      expect(")");
+      return inner;
+    }
+    if (token.type === "op" && (token.value === "!" || token.value === "-")) {
+      return { type: "unary", op: token.value, operand: primary() };
+    }
+    if (token.type === "name") {
+      if (token.value === "true" || token.value === "false") return { type: "literal", value: token.value === "true" };
+      if (peek("(")) {
+        if (!FUNCTIONS[token.value]) throw new Error(`Unknown function ${token.value}() in "${source}"`);
+        pos++;
+        const args = [];
+        while (!peek(")")) {
+          args.push(or());
+          if (!peek(")")) expect(",");
+        }
+        pos++;
+        return { type: "call", name: token.value, args };
+      }
+      return { type: "metric", path: token.value.split(".") };
+    }
+    throw new Error(`Unexpected "${token.value}" in "${source}"`);
+  };
+
+  const product = binary(primary, ["*", "/"]);
+  const sum = binary(product, ["+", "-"]);
+  const comparison = binary(sum, ["<", "<=", ">", ">=", "==", "!="]);
+  const and = binary(comparison, ["&&"]);
+  const or = binary(and, ["||"]);
+
+  const tree = or();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in "${source}"`);
+  return tree;
+}
+
+/**
+ * Evaluate a parsed expression. Throws MissingMetric for paths that do
+ * not resolve to a value.
+ */
+function evaluate(node, context) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "metric": {
+      let value = context;
+      for (const key of node.path) value = value?.[key];
+      if (value === undefined || value === null) throw new MissingMetric(node.path.join("."));
+      return value;
+    }
+    case "unary": {
+      const value = evaluate(node.operand, context);
+      return node.op === "!" ? !value : -value;
+    }
+    case "call":
+      return FUNCTIONS[node.name].apply(context, node.args.map((arg) => evaluate(arg, context)));
+    case "binary": {
+      if (node.op === "&&") return evaluate(node.left, context) && evaluate(node.right, context);
+      if (node.op === "||") return evaluate(node.left, context) || evaluate(node.right, context);
+      const left = evaluate(node.left, context);
+      const right = evaluate(node.right, context);
+      switch (node.op) {
+        case "+": return left + right;
+        case "-": return left - right;
+        case "*": return left * right;
+        case "/": return left / right;
+        case "<": return left < right;
+        case "<=": return left <= right;
+        case ">": return left > right;
+        case ">=": return left >= right;
+        case "==": return left === right;
+        case "!=": return left !== right;
+      }
+    }
+  }
+  throw new Error(`Cannot evaluate ${node.type}`);
+}
+
+/**
+ * Split a template into literal text and parsed `{{ }}` expressions.
+ */
+function parseTemplate(template) {
+  const parts = [];
+  let last = 0;
+  for (const match of String(template).matchAll(/\{\{(.+?)\}\}/g)) {
+    parts.push(template.slice(last, match.index));
+    parts.push(parseExpression(match[1]));
+    last = match.index + match[0].length;
+  }
+  parts.push(template.slice(last));
+  return parts;
+}
+
+function renderTemplate(parts, context) {
+  return parts
+    .map((part) => (typeof part === "string" ? part : formatValue(evaluate(part, context))))
+    .join("");
+}
+
+function formatValue(value) {
+  if (typeof value !== "number") return String(value);
+  return value.toLocaleString("en-US", { maximumFractionDigits: Math.abs(value) < 1 ? 6 : 2 });
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────────────
+
+class NarrativeRules {
+  /**
+   * Compile rule definitions. Throws on the first rule that is
+   * malformed, naming it.
+   */
+  constructor(rules = []) {
+    this.rules = rules.map((rule, i) => {
+      const id = rule.id || `rule-${i + 1}`;
+      try {
+        if (!rule.narrative) throw new Error("missing narrative");
+        if (rule.when === undefined) throw new Error("missing when");
+        return {
+          id,
+          scope: rule.scope === "market" ? "market" : "asset",
+          assets: rule.assets ? rule.assets.map((a) => a.toUpperCase()) : null,
+          category: rule.category || null,
+          when: parseExpression(rule.when),
+          score: parseExpression(rule.score ?? 0.5),
+          narrative: parseTemplate(rule.narrative),
+          evidence: parseTemplate(rule.evidence || ""),
+          action: rule.action ? parseTemplate(rule.action) : null,
+          asset: rule.asset ? rule.asset.toUpperCase() : null,
+          direction: DIRECTIONS.includes(rule.direction) ? rule.direction : "neutral",
+        };
+      } catch (err) {
+        throw new Error(`Narrative rule ${id}: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Load rules from a JSON file: `{ "rules": [...] }`.
+   */
+  static load(file = process.env.NARRATIVE_RULES_FILE || DEFAULT_RULES_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return new NarrativeRules(config.rules || []);
+  }
+
+  /**
+   * Whether any rule reads network metrics (so callers can skip the
+   * Mirror Node round trip when none do).
+   */
+  usesNetwork() {
+    const touchesNetwork = (node) => {
+      if (!node || typeof node !== "object") return false;
+      if (node.type === "metric") {
+        return node.path[0] === "network" || (node.path[0] === "assets" && node.path[2] === "network");
+      }
+      return Object.values(node).some((child) =>
+        Array.isArray(child) ? child.some(touchesNetwork) : touchesNetwork(child)
+      );
+    };
+    return this.rules.some((rule) =>
+      [rule.when, rule.score, ...rule.narrative, ...rule.evidence, ...(rule.action || [])].some(touchesNetwork)
+    );
+  }
+
+  /**
+   * Evaluate every rule. `data` holds `prices`, `history`, `technicals`,
+   * `news` (per-asset summary), `network`, `crossAsset`, `risk`, the
+   * asset `registry` and the report's `quote` currency (for money()).
+   * Returns narratives tagged with the rule id that produced them.
+   */
+  evaluate({ prices = {}, history = {}, technicals = {}, news = {}, network = null, crossAsset = null, risk = null, registry = null, quote = USD_QUOTE }) {
+    const assetContexts = {};
+    for (const [symbol, data] of Object.entries(prices)) {
+      assetContexts[symbol] = {
+        symbol,
+        name: registry?.get(symbol)?.name || symbol,
+        ...data,
+        history: history[symbol],
+        indicators: technicals[symbol],
+        news: news[symbol] || { count: 0, sentiment: 0, label: "neutral", headlines: [] },
+        network,
+        relative: crossAsset?.relativeStrength[symbol],
+        risk: risk?.assets[symbol],
+        [QUOTE]: quote,
+      };
+    }
+
+    const narratives = [];
+    for (const rule of this.rules) {
+      const contexts =
+        rule.scope === "market"
+          ? [{ assets: assetContexts, network, dominance: crossAsset?.dominance, [QUOTE]: quote }]
+          : Object.values(assetContexts).filter((ctx) => this._applies(rule, ctx.symbol, registry));
+
+      for (const context of contexts) {
+        const narrative = this._fire(rule, context);
+        if (narrative) narratives.push(narrative);
+      }
+    }
+    return narratives;
+  }
+
+  _applies(rule, symbol, registry) {
+    if (rule.assets) return rule.assets.includes(symbol);
+    if (rule.category) {
+      return registry?.byCategory(rule.category).some((a) => a.symbol === symbol) || false;
+    }
+    return true;
+  }
+
+  _fire(rule, context) {
+    try {
+      if (!evaluate(rule.when, context)) return null;
+
+      const score = Number(evaluate(rule.score, context));
+      if (!Number.isFinite(score)) return null;
+
+      const narrative = {
+        narrative: renderTemplate(rule.narrative, context),
+        type: rule.id,
+        asset: context.symbol || rule.asset,
+        direction: rule.direction,
+        score: Math.round(Math.min(Math.max(score, 0), 1) * 1000) / 1000,
+        evidence: renderTemplate(rule.evidence, context),
+        rule: rule.id,
+      };
+      if (!narrative.asset) delete narrative.asset;
+      if (rule.action) narrative.action = renderTemplate(rule.action, context);
+      return narrative;
+    } catch (err) {
+      if (err instanceof MissingMetric) return null;
+      throw new Error(`Narrative rule ${rule.id}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { NarrativeRules, parseExpression, evaluate, parseTemplate, renderTemplate };
@@ -0,0 +1,159 @@
+/**
+ * Report schema validation.
+ *
+ * Reports carry a `schemaVersion` naming the JSON Schema they follow
+ * (schema/report-<version>.json). The schema keeps data and
+ * presentation apart: assets, signals, confidence and sources are typed
+ * raw values, and formatting is left to ./render.js.
+ *
+ * The validator covers the JSON Schema keywords the report schemas use
+ * (type, const, enum, properties, required, additionalProperties,
+ * items, minimum, maximum, exclusiveMinimum, minLength, pattern, the
+ * date-time format and local `$ref`s), so no dependency is needed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_DIR = path.join(__dirname, "..", "schema");
+const REPORT_SCHEMA_VERSION = "1.0";
+
+const schemas = {};
+
+/**
+ * The report schema for `version`, or null when there is none.
+ */
+function loadReportSchema(version = REPORT_SCHEMA_VERSION) {
+  if (!(version in schemas)) {
+    const file = path.join(SCHEMA_DIR, `report-${version}.json`);
+    schemas[version] = /^[0-9.]+$/.test(version) && fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, "utf-8"))
+      : null;
+  }
+  return schemas[version];
+}
+
+/**
+ * Validate `value` against `schema`. Returns the list of errors, each
+ * `"<path>: <problem>"`; empty when valid.
+ */
+function validate(value, schema, root = schema, at = "$") {
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) return [`${at}: unresolved $ref ${schema.$ref}`];
+    return validate(value, target, root, at);
+  }
+
+  const errors = [];
+  if (schema.type && !typesOf(value).some((t) => [].concat(schema.type).includes(t))) {
+    return [`${at}: expected ${[].concat(schema.type).join(" or ")}, got ${describe(value)}`];
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) errors.push(`${at}: must be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+    if (schema.format === "date-time" && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push(`${at}: must be an ISO 8601 date-time`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, root, `${at}[${i}]`)));
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}: missing ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const child = schema.properties?.[key];
+      if (child) {
+        errors.push(...validate(item, child, root, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property ${key}`);
+      } else if (isObject(schema.additionalProperties)) {
+        errors.push(...validate(item, schema.additionalProperties, root, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a report against the schema its `schemaVersion` names.
+ * Returns `{ valid, version, errors }`.
+ */
+function validateReport(report) {
+  if (!isObject(report)) return { valid: false, version: null, errors: ["$: report must be an object"] };
+
+  const version = report.schemaVersion;
+  if (version === undefined) return { valid: false, version: null, errors: ["$: missing schemaVersion"] };
+
+  const schema = loadReportSchema(String(version));
+  if (!schema) return { valid: false, version, errors: [`$: unknown schemaVersion ${version}`] };
+
+  const errors = validate(report, schema);
+  return { valid: errors.length === 0, version, errors };
+}
+
+/**
+ * Throw when `report` does not match its schema, listing the first few
+ * problems.
+ */
+function assertValidReport(report) {
+  const { valid, errors } = validateReport(report);
+  if (!valid) {
+    const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : "";
+    throw new Error(`Report fails schema validation: ${errors.slice(0, 5).join("; ")}${more}`);
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) return null;
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => (node ? node[key.replace(/~1/g, "/").replace(/~0/g, "~")] : null), root);
+}
+
+function typesOf(value) {
+  if (value === null) return ["null"];
+  if (Array.isArray(value)) return ["array"];
+  if (typeof value === "number") return Number.isInteger(value) ? ["number", "integer"] : ["number"];
+  return [typeof value];
+}
+
+function describe(value) {
+  return value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  loadReportSchema,
+  validate,
+  validateReport,
+  assertValidReport,
+};
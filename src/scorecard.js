@@ -0,0 +1,189 @@
+/**
+ * Signal scorecards.
+ *
+ * Revisits archived reports once their signals have had time to play
+ * out (24h and 7d by default) and compares each directional call with
+ * the realized price move of its asset: a bullish call is correct when
+ * the price rose, a bearish one when it fell. Neutral calls are listed
+ * but not scored.
+ *
+ * The scorecard names the report's topic, sequence number and digest,
+ * so once it is signed and published to HCS the agent's track record
+ * can be audited against the original on-chain calls. Published
+ * scorecards are kept in `scorecards.jsonl` so each report/horizon pair
+ * is only scored once.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const DEFAULT_HORIZONS = [
+  { label: "24h", ms: DAY },
+  { label: "7d", ms: 7 * DAY },
+];
+
+// How far a cached price may sit from the moment it stands in for
+const PRICE_TOLERANCE_MS = 2 * HOUR;
+
+class ScorecardTracker {
+  /**
+   * `archive` is the ReportArchive to revisit; `history` the
+   * PriceHistory that supplies realized prices.
+   */
+  constructor(archive, history, { dir = path.join(process.cwd(), "data", "scorecards"), horizons = DEFAULT_HORIZONS, now = () => Date.now() } = {}) {
+    this.archive = archive;
+    this.history = history;
+    this.horizons = horizons;
+    this.now = now;
+    this.dir = dir;
+    this.file = path.join(dir, "scorecards.jsonl");
+    this.records = null;
+  }
+
+  /**
+   * Published reports whose horizon has passed and that have no
+   * scorecard for it yet, oldest first: `[{ entry, horizon }]`.
+   * Commitments and encrypted reports are never scored: a public
+   * scorecard would reveal the content they keep private.
+   */
+  due() {
+    const done = new Set(this.list().map((r) => `${r.reportId}:${r.scorecard.horizon}`));
+    const due = [];
+
+    for (const entry of this.archive.list().reverse()) {
+      if (entry.sequenceNumbers.length === 0 || entry.kind === "commitment" || entry.encrypted) continue;
+      for (const horizon of this.horizons) {
+        if (done.has(`${entry.id}:${horizon.label}`)) continue;
+        if (new Date(entry.generatedAt).getTime() + horizon.ms > this.now()) continue;
+        due.push({ entry, horizon });
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Score one archived report over `horizon`. Returns null when none of
+   * its calls has cached prices at both ends yet.
+   */
+  build(entry, horizon) {
+    const record = this.archive.get(entry.id);
+    const start = new Date(record.generatedAt).getTime();
+
+    const calls = [];
+    for (const signal of record.report.signals || []) {
+      if (!signal.asset) continue;
+
+      const series = this.history.getSeries(signal.asset);
+      const entryPrice = priceNear(series, start);
+      const exitPrice = priceNear(series, start + horizon.ms);
+      if (!entryPrice || !exitPrice) continue;
+
+      const movePct = Math.round(((exitPrice - entryPrice) / entryPrice) * 10000) / 100;
+      calls.push({
+        asset: signal.asset,
+        type: signal.type || null,
+        narrative: signal.narrative,
+        direction: signal.direction || "neutral",
+        score: signal.score,
+        entryPrice,
+        exitPrice,
+        movePct,
+        outcome: classify(signal.direction, movePct),
+      });
+    }
+    if (calls.length === 0) return null;
+
+    const correct = calls.filter((c) => c.outcome === "correct").length;
+    const incorrect = calls.filter((c) => c.outcome === "incorrect").length;
+
+    return {
+      report: {
+        title: record.title,
+        generatedAt: record.generatedAt,
+        topicId: record.topicId,
+        sequenceNumber: record.sequenceNumbers[0],
+        digest: record.digest,
+      },
+      horizon: horizon.label,
+      evaluatedAt: new Date(this.now()).toISOString(),
+      calls,
+      correct,
+      incorrect,
+      accuracy: correct + incorrect > 0 ? Math.round((correct / (correct + incorrect)) * 1000) / 1000 : null,
+    };
+  }
+
+  /**
+   * Remember a published scorecard and its HCS receipt.
+   */
+  record(entry, scorecard, receipt = {}) {
+    const row = {
+      reportId: entry.id,
+      recordedAt: new Date(this.now()).toISOString(),
+      sequenceNumber: receipt.sequenceNumber || receipt.chunks?.[0]?.sequenceNumber || null,
+      transactionId: receipt.transactionId || receipt.chunks?.[0]?.transactionId || null,
+      scorecard,
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(row)}\n`);
+    this.list().push(row);
+    return row;
+  }
+
+  /**
+   * Every recorded scorecard, oldest first.
+   */
+  list() {
+    if (!this.records) {
+      this.records = fs.existsSync(this.file)
+        ? fs.readFileSync(this.file, "utf-8").split("\n").filter(Boolean).map((line) => JSON.parse(line))
+        : [];
+    }
+    return this.records;
+  }
+
+  /**
+   * Accuracy per horizon and per signal type across all scorecards.
+   */
+  trackRecord() {
+    const byHorizon = {};
+    const byType = {};
+    const tally = (groups, key, outcome) => {
+      const group = (groups[key] = groups[key] || { correct: 0, incorrect: 0, accuracy: null });
+      group[outcome]++;
+      group.accuracy = Math.round((group.correct / (group.correct + group.incorrect)) * 1000) / 1000;
+    };
+
+    for (const { scorecard } of this.list()) {
+      for (const call of scorecard.calls) {
+        if (call.outcome === "unscored") continue;
+        tally(byHorizon, scorecard.horizon, call.outcome);
+        tally(byType, `${call.type || "unknown"} (${scorecard.horizon})`, call.outcome);
+      }
+    }
+    return { scorecards: this.list().length, byHorizon, byType };
+  }
+}
+
+function classify(direction, movePct) {
+  if (direction === "bullish") return movePct > 0 ? "correct" : "incorrect";
+  if (direction === "bearish") return movePct < 0 ? "correct" : "incorrect";
+  return "unscored";
+}
+
+/**
+ * Cached price closest to `time`, or null if none is within tolerance.
+ */
+function priceNear(series, time, toleranceMs = PRICE_TOLERANCE_MS) {
+  let best = null;
+  for (const [t, price] of series) {
+    const gap = Math.abs(t - time);
+    if (gap <= toleranceMs && (!best || gap < best.gap)) best = { gap, price };
+  }
+  return best ? best.price : null;
+}
+
+module.exports = { ScorecardTracker, DEFAULT_HORIZONS, priceNear };
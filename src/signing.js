@@ -0,0 +1,90 @@
+/**
+ * Report signing with the operator's Hedera key.
+ *
+ * The canonical report payload is signed with the account's private key
+ * (ED25519 or ECDSA secp256k1) and the signature travels in the on-chain
+ * envelope next to the public key. A verifier checks the signature and
+ * then confirms the key is the account's current key on the Mirror Node,
+ * which ties the report to the account rather than merely to the topic.
+ */
+
+const { PrivateKey, PublicKey } = require("@hashgraph/sdk");
+const { canonicalize } = require("./canonical");
+
+const SIGNATURE_PAYLOAD = "canonical-report";
+
+// Mirror Node `_type` values -> key parsers
+const KEY_TYPES = {
+  ED25519: (raw) => PublicKey.fromStringED25519(raw),
+  ECDSA_SECP256K1: (raw) => PublicKey.fromStringECDSA(raw),
+};
+
+/**
+ * Parse a private key string (DER or raw) into a PrivateKey.
+ */
+function toPrivateKey(key) {
+  if (key instanceof PrivateKey) return key;
+  const str = String(key).replace(/^0x/, "");
+  return str.startsWith("30") ? PrivateKey.fromStringDer(str) : PrivateKey.fromString(str);
+}
+
+/**
+ * Mirror Node style name for a key's algorithm.
+ */
+function keyTypeOf(key) {
+  return key.type === "ED25519" ? "ED25519" : "ECDSA_SECP256K1";
+}
+
+/**
+ * Sign a report's canonical payload.
+ */
+function signReport(report, privateKey, accountId) {
+  const key = toPrivateKey(privateKey);
+  const payload = Buffer.from(canonicalize(report), "utf-8");
+
+  return {
+    accountId: accountId ? String(accountId) : null,
+    keyType: keyTypeOf(key),
+    publicKey: key.publicKey.toStringRaw(),
+    payload: SIGNATURE_PAYLOAD,
+    value: Buffer.from(key.sign(payload)).toString("base64"),
+  };
+}
+
+/**
+ * Check a signature against the public key embedded with it.
+ */
+function verifyReportSignature(report, signature) {
+  if (!signature || signature.payload !== SIGNATURE_PAYLOAD) return false;
+
+  const parse = KEY_TYPES[signature.keyType];
+  if (!parse) return false;
+
+  try {
+    const publicKey = parse(signature.publicKey);
+    const payload = Buffer.from(canonicalize(report), "utf-8");
+    return publicKey.verify(payload, Buffer.from(signature.value, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a Mirror Node account key (`{ _type, key }`) is the signing key.
+ * Threshold keys and key lists are not supported and never match.
+ */
+function matchesAccountKey(signature, accountKey) {
+  if (!signature || !accountKey || !KEY_TYPES[accountKey._type]) return false;
+  return (
+    accountKey._type === signature.keyType &&
+    String(accountKey.key).toLowerCase() === String(signature.publicKey).toLowerCase()
+  );
+}
+
+module.exports = {
+  SIGNATURE_PAYLOAD,
+  toPrivateKey,
+  signReport,
+  verifyReportSignature,
+  matchesAccountKey,
+};
@@ -0,0 +1,583 @@
+/**
+ * In-process HCS simulator for offline development and tests.
+ *
+ * Selected with `HEDERA_NETWORK=local-sim`. It implements the same
+ * transport interface as the SDK transport (see ./transport.js): topic
+ * creation, message submission, subscriptions, topic info/updates and a
+ * small slice of the Mirror Node REST API, so reports can be published,
+ * subscribed to and verified without a network connection.
+ *
+ * Behaviour is deterministic: topic ids are allocated in order from
+ * 0.0.1001, sequence numbers start at 1 per topic, and every transaction
+ * advances the consensus clock by exactly one second from 2026-01-01.
+ * Submit and admin keys are enforced against the keys that signed.
+ *
+ * State lives in memory. With a `statePath` it is also saved to a JSON
+ * file and reloaded when another process changes it, so separate CLI
+ * runs (`setup`, `report`, `subscribe`) share one simulated ledger.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Hbar, KeyList, PrivateKey, PublicKey } = require("@hashgraph/sdk");
+const { MAX_MESSAGE_BYTES } = require("./chunks");
+
+const LOCAL_SIM = "local-sim";
+const SIM_EPOCH_SECONDS = Date.UTC(2026, 0, 1) / 1000;
+const SIM_REGISTRY_TOPIC_ID = "0.0.1000";
+const FIRST_TOPIC_NUM = 1001;
+const DEFAULT_AUTO_RENEW_SECONDS = 7776000; // 90 days
+const MAX_EXPIRY_AHEAD_SECONDS = 8000001; // ~92.6 days, as on Hedera
+const STARTING_BALANCE_HBAR = 10000;
+const KEPT_TRANSACTIONS = 100;
+
+const SIM_OPERATOR_ID = "0.0.2";
+let simOperatorKey = null;
+
+/**
+ * Deterministic operator credentials for the simulator, so demos work
+ * without any `.env` setup.
+ */
+function getSimOperator() {
+  if (!simOperatorKey) {
+    simOperatorKey = PrivateKey.fromBytesED25519(
+      crypto.createHash("sha256").update("hedera-intel/local-sim/operator").digest()
+    );
+  }
+  return { accountId: SIM_OPERATOR_ID, privateKey: simOperatorKey.toStringDer() };
+}
+
+class SimulatorError extends Error {
+  constructor(status, detail) {
+    super(`${status}: ${detail}`);
+    this.name = "SimulatorError";
+    this.status = status;
+  }
+}
+
+/**
+ * Keys are stored as DER public keys; key lists as { threshold, keys }.
+ */
+function serializeKey(key) {
+  if (!key) return null;
+  if (key instanceof KeyList) {
+    return { threshold: key.threshold || null, keys: key.toArray().map(serializeKey) };
+  }
+  if (key instanceof PrivateKey) return key.publicKey.toStringDer();
+  return key.toStringDer();
+}
+
+function deserializeKey(stored) {
+  if (!stored) return null;
+  if (typeof stored === "string") return PublicKey.fromString(stored);
+  return new KeyList(stored.keys.map(deserializeKey), stored.threshold);
+}
+
+/**
+ * Whether the signing public keys (raw hex set) satisfy a stored key.
+ */
+function isSatisfied(stored, signers) {
+  if (!stored) return true;
+  if (typeof stored === "string") return signers.has(PublicKey.fromString(stored).toStringRaw());
+
+  const met = stored.keys.filter((k) => isSatisfied(k, signers)).length;
+  return met >= (stored.threshold || stored.keys.length);
+}
+
+function mirrorTimestamp(seconds) {
+  return `${seconds}.000000000`;
+}
+
+/**
+ * The simulated ledger shared by every transport in the process.
+ */
+class LocalLedger {
+  constructor({ statePath = null } = {}) {
+    this.statePath = statePath;
+    this.loadedMtime = null;
+    this.subscriptions = new Map(); // topicId -> Set<{ handler, delivered }>
+    this.watcher = null;
+    this.state = this._emptyState();
+    this._refresh();
+  }
+
+  _emptyState() {
+    return {
+      clock: 0,
+      nextTopicNum: FIRST_TOPIC_NUM,
+      accounts: {},
+      topics: {
+        [SIM_REGISTRY_TOPIC_ID]: {
+          memo: "hcs-2:0:0 local-sim HOL registry",
+          adminKey: null,
+          submitKey: null,
+          autoRenewAccountId: null,
+          autoRenewPeriod: DEFAULT_AUTO_RENEW_SECONDS,
+          expirationSeconds: SIM_EPOCH_SECONDS + DEFAULT_AUTO_RENEW_SECONDS,
+          messages: [],
+        },
+      },
+      transactions: [],
+    };
+  }
+
+  // ─── Accounts ───────────────────────────────────
+
+  /**
+   * Register an operator account on first use. Afterwards the account
+   * only accepts the key it was registered with.
+   */
+  openAccount(accountId, privateKey) {
+    this._refresh();
+    const publicKey = serializeKey(privateKey);
+    const account = this.state.accounts[accountId];
+
+    if (!account) {
+      this.state.accounts[accountId] = {
+        key: publicKey,
+        balance: new Hbar(STARTING_BALANCE_HBAR).toTinybars().toString(),
+      };
+      this._save();
+    } else if (account.key !== publicKey) {
+      throw new SimulatorError("INVALID_SIGNATURE", `key does not match account ${accountId}`);
+    }
+  }
+
+  getBalance(accountId) {
+    this._refresh();
+    const account = this.state.accounts[accountId];
+    if (!account) throw new SimulatorError("INVALID_ACCOUNT_ID", accountId);
+    return Hbar.fromTinybars(account.balance).toString();
+  }
+
+  // ─── Topics ─────────────────────────────────────
+
+  createTopic(payer, { memo = "", submitKey, adminKey } = {}, signers) {
+    this._refresh();
+    const stored = { submitKey: serializeKey(submitKey), adminKey: serializeKey(adminKey) };
+    if (!isSatisfied(stored.adminKey, signers)) {
+      throw new SimulatorError("INVALID_SIGNATURE", "topic admin key must sign topic creation");
+    }
+
+    const tx = this._transaction(payer, "CONSENSUSCREATETOPIC");
+    const topicId = `0.0.${this.state.nextTopicNum++}`;
+    this.state.topics[topicId] = {
+      memo,
+      ...stored,
+      autoRenewAccountId: payer,
+      autoRenewPeriod: DEFAULT_AUTO_RENEW_SECONDS,
+      expirationSeconds: tx.seconds + DEFAULT_AUTO_RENEW_SECONDS,
+      messages: [],
+    };
+    this._save();
+
+    return { topicId, transactionId: tx.transactionId };
+  }
+
+  submitMessage(payer, topicId, message, signers) {
+    this._refresh();
+    const topic = this._topic(topicId);
+    const contents = Buffer.from(message);
+
+    if (contents.length > MAX_MESSAGE_BYTES) {
+      throw new SimulatorError("MESSAGE_SIZE_TOO_LARGE", `${contents.length} bytes`);
+    }
+    if (!isSatisfied(topic.submitKey, signers)) {
+      throw new SimulatorError("INVALID_SIGNATURE", `submit key of ${topicId} did not sign`);
+    }
+
+    const tx = this._transaction(payer, "CONSENSUSSUBMITMESSAGE");
+    const sequenceNumber = topic.messages.length + 1;
+    topic.messages.push({
+      sequenceNumber,
+      seconds: tx.seconds,
+      payer,
+      contents: contents.toString("base64"),
+    });
+    this._save();
+    this._notify(topicId);
+
+    return { sequenceNumber: String(sequenceNumber), transactionId: tx.transactionId };
+  }
+
+  /**
+   * Deliver every message on the topic (existing and future) to the
+   * handler, asynchronously and in sequence order.
+   */
+  subscribe(topicId, handler) {
+    this._refresh();
+    this._topic(topicId);
+
+    const subscription = { handler, delivered: 0 };
+    if (!this.subscriptions.has(topicId)) this.subscriptions.set(topicId, new Set());
+    this.subscriptions.get(topicId).add(subscription);
+    this._watch();
+    this._notify(topicId);
+
+    return {
+      unsubscribe: () => {
+        const subscriptions = this.subscriptions.get(topicId);
+        if (!subscriptions?.delete(subscription)) return;
+        if (subscriptions.size === 0) this.subscriptions.delete(topicId);
+        if (this.subscriptions.size === 0) this._unwatch();
+      },
+    };
+  }
+
+  getTopicInfo(topicId) {
+    this._refresh();
+    const topic = this._topic(topicId);
+
+    return {
+      topicMemo: topic.memo,
+      sequenceNumber: String(topic.messages.length),
+      expirationTime: new Date(topic.expirationSeconds * 1000),
+      adminKey: deserializeKey(topic.adminKey),
+      submitKey: deserializeKey(topic.submitKey),
+      autoRenewAccountId: topic.autoRenewAccountId,
+      autoRenewPeriodSeconds: topic.autoRenewPeriod,
+    };
+  }
+
+  /**
+   * Apply a topic update. Extending expiry alone needs no admin key;
+   * anything else needs the admin key and fails on immutable topics.
+   */
+  updateTopic(payer, topicId, { memo, submitKey, expirationTime } = {}, signers) {
+    this._refresh();
+    const topic = this._topic(topicId);
+    const expiryOnly = memo === undefined && !submitKey;
+
+    if (!expiryOnly) {
+      if (!topic.adminKey) {
+        throw new SimulatorError("UNAUTHORIZED", `topic ${topicId} has no admin key`);
+      }
+      if (!isSatisfied(topic.adminKey, signers)) {
+        throw new SimulatorError("INVALID_SIGNATURE", `admin key of ${topicId} did not sign`);
+      }
+    }
+
+    const tx = this._transaction(payer, "CONSENSUSUPDATETOPIC");
+    if (expirationTime) {
+      const seconds = Math.floor(expirationTime.getTime() / 1000);
+      if (seconds <= topic.expirationSeconds || seconds > tx.seconds + MAX_EXPIRY_AHEAD_SECONDS) {
+        throw new SimulatorError("INVALID_EXPIRATION_TIME", expirationTime.toISOString());
+      }
+      topic.expirationSeconds = seconds;
+    }
+    if (memo !== undefined) topic.memo = memo;
+    if (submitKey) topic.submitKey = serializeKey(submitKey);
+    this._save();
+
+    return { transactionId: tx.transactionId };
+  }
+
+  // ─── Mirror Node ────────────────────────────────
+
+  /**
+   * Answer the Mirror Node REST paths the agent uses (null = 404).
+   */
+  mirrorGet(requestPath) {
+    this._refresh();
+    const url = new URL(requestPath, "http://local-sim");
+    const parts = url.pathname.replace(/^\/api\/v1\//, "").split("/");
+    const limit = Number(url.searchParams.get("limit")) || 25;
+    const order = url.searchParams.get("order") || "asc";
+
+    if (parts[0] === "topics" && parts[1] === "messages") {
+      const all = Object.entries(this.state.topics)
+        .flatMap(([topicId, topic]) => topic.messages.map((m) => this._mirrorMessage(topicId, m)))
+        .sort((a, b) => Number(b.consensus_timestamp) - Number(a.consensus_timestamp));
+      return { messages: all.slice(0, limit), links: { next: null } };
+    }
+
+    if (parts[0] === "topics" && parts[2] === "messages") {
+      const topic = this.state.topics[parts[1]];
+      if (!topic) return null;
+
+      if (parts[3]) {
+        const message = topic.messages[Number(parts[3]) - 1];
+        return message ? this._mirrorMessage(parts[1], message) : null;
+      }
+
+      const [op, value] = (url.searchParams.get("sequencenumber") || "gte:1").split(":");
+      const bound = Number(value);
+      const filter = { gt: (n) => n > bound, gte: (n) => n >= bound, lt: (n) => n < bound, lte: (n) => n <= bound }[op]
+        || ((n) => n === Number(op));
+      let messages = topic.messages.filter((m) => filter(m.sequenceNumber));
+      if (order === "desc") messages = messages.reverse();
+      return {
+        messages: messages.slice(0, limit).map((m) => this._mirrorMessage(parts[1], m)),
+        links: { next: null },
+      };
+    }
+
+    if (parts[0] === "topics" && parts[1]) {
+      const topic = this.state.topics[parts[1]];
+      if (!topic) return null;
+      return {
+        topic_id: parts[1],
+        memo: topic.memo,
+        admin_key: this._mirrorKey(topic.adminKey),
+        submit_key: this._mirrorKey(topic.submitKey),
+        auto_renew_account: topic.autoRenewAccountId,
+        auto_renew_period: topic.autoRenewPeriod,
+      };
+    }
+
+    if (parts[0] === "accounts" && parts[1]) {
+      const account = this.state.accounts[parts[1]];
+      if (!account) return null;
+      return {
+        account: parts[1],
+        key: this._mirrorKey(account.key),
+        balance: { balance: Number(account.balance), timestamp: this._now() },
+      };
+    }
+
+    if (parts[0] === "network" && parts[1] === "supply") {
+      return {
+        released_supply: "3800000000000000000",
+        total_supply: "5000000000000000000",
+        timestamp: this._now(),
+      };
+    }
+
+    if (parts[0] === "network" && parts[1] === "nodes") {
+      const nodes = [3, 4, 5, 6].map((n) => ({
+        node_id: n - 3,
+        node_account_id: `0.0.${n}`,
+        description: `local-sim node ${n - 3}`,
+        service_endpoints: [{ ip_address_v4: "127.0.0.1", port: 50211 + n - 3 }],
+      }));
+      return { nodes: nodes.slice(0, limit), links: { next: null } };
+    }
+
+    if (parts[0] === "transactions") {
+      const type = url.searchParams.get("transactiontype");
+      let transactions = this.state.transactions.filter((t) => !type || t.name === type);
+      if (order !== "asc") transactions = [...transactions].reverse();
+      return {
+        transactions: transactions.slice(0, limit).map((t) => ({
+          transaction_id: t.transactionId,
+          name: t.name,
+          consensus_timestamp: mirrorTimestamp(t.seconds),
+          result: "SUCCESS",
+          transfers: [],
+        })),
+        links: { next: null },
+      };
+    }
+
+    return null;
+  }
+
+  _mirrorMessage(topicId, message) {
+    return {
+      consensus_timestamp: mirrorTimestamp(message.seconds),
+      topic_id: topicId,
+      sequence_number: message.sequenceNumber,
+      payer_account_id: message.payer,
+      message: message.contents,
+      chunk_info: null,
+    };
+  }
+
+  _mirrorKey(stored) {
+    if (!stored) return null;
+    if (typeof stored !== "string") return { _type: "ProtobufEncoded", key: JSON.stringify(stored) };
+    const key = PublicKey.fromString(stored);
+    return { _type: key.type === "ED25519" ? "ED25519" : "ECDSA_SECP256K1", key: key.toStringRaw() };
+  }
+
+  // ─── Internals ──────────────────────────────────
+
+  _topic(topicId) {
+    const topic = this.state.topics[String(topicId)];
+    if (!topic) throw new SimulatorError("INVALID_TOPIC_ID", String(topicId));
+    return topic;
+  }
+
+  /**
+   * Advance the consensus clock by one second and record the transaction.
+   */
+  _transaction(payer, name) {
+    if (!payer) throw new SimulatorError("PAYER_ACCOUNT_NOT_FOUND", "call connect() first");
+
+    const seconds = SIM_EPOCH_SECONDS + ++this.state.clock;
+    const tx = { transactionId: `${payer}@${seconds}.000000000`, name, seconds };
+    this.state.transactions.push(tx);
+    if (this.state.transactions.length > KEPT_TRANSACTIONS) this.state.transactions.shift();
+    return tx;
+  }
+
+  _now() {
+    return mirrorTimestamp(SIM_EPOCH_SECONDS + this.state.clock);
+  }
+
+  /**
+   * Push undelivered messages to each subscriber on the next tick.
+   */
+  _notify(topicId) {
+    const subscriptions = this.subscriptions.get(topicId);
+    if (!subscriptions || subscriptions.size === 0) return;
+
+    setImmediate(() => {
+      const messages = this.state.topics[topicId]?.messages || [];
+      for (const sub of subscriptions) {
+        while (sub.delivered < messages.length) {
+          const message = messages[sub.delivered++];
+          this._deliver(sub.handler, message);
+        }
+      }
+    });
+  }
+
+  _deliver(handler, message) {
+    const report = (err) => console.error(`[Sim] Subscription handler failed: ${err.message}`);
+    try {
+      const result = handler({
+        sequenceNumber: String(message.sequenceNumber),
+        consensusTimestamp: new Date(message.seconds * 1000),
+        contents: Buffer.from(message.contents, "base64"),
+      });
+      if (result && typeof result.catch === "function") result.catch(report);
+    } catch (err) {
+      report(err);
+    }
+  }
+
+  /**
+   * Reload persisted state if another process has written it.
+   */
+  _refresh() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) return;
+
+    const mtime = fs.statSync(this.statePath).mtimeMs;
+    if (mtime === this.loadedMtime) return;
+
+    this.state = JSON.parse(fs.readFileSync(this.statePath, "utf-8"));
+    this.loadedMtime = mtime;
+  }
+
+  _save() {
+    if (!this.statePath) return;
+
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(this.state));
+    this.loadedMtime = fs.statSync(this.statePath).mtimeMs;
+  }
+
+  /**
+   * With a state file, poll it so subscribers see messages submitted
+   * by other processes.
+   */
+  _watch() {
+    if (!this.statePath || this.watcher) return;
+
+    this.watcher = () => {
+      this._refresh();
+      for (const topicId of this.subscriptions.keys()) this._notify(topicId);
+    };
+    fs.watchFile(this.statePath, { interval: 1000 }, this.watcher);
+  }
+
+  /**
+   * Stop polling once nothing is subscribed, so the process can exit.
+   */
+  _unwatch() {
+    if (!this.watcher) return;
+    fs.unwatchFile(this.statePath, this.watcher);
+    this.watcher = null;
+  }
+}
+
+/**
+ * One connection to the ledger with its own operator, mirroring a
+ * configured SDK client. Implements the transport interface.
+ */
+class SimulatorTransport {
+  constructor(ledger) {
+    this.ledger = ledger;
+    this.network = LOCAL_SIM;
+    this.client = null;
+    this.accountId = null;
+    this.operatorKey = null;
+  }
+
+  async connect(accountId, privateKey) {
+    this.ledger.openAccount(accountId, privateKey);
+    this.accountId = accountId;
+    this.operatorKey = privateKey;
+    return { balance: this.ledger.getBalance(accountId) };
+  }
+
+  async createTopic(options = {}, { signers = [] } = {}) {
+    return this.ledger.createTopic(this.accountId, options, this._signers(signers));
+  }
+
+  async submitMessage(topicId, message, { signers = [] } = {}) {
+    return this.ledger.submitMessage(this.accountId, String(topicId), message, this._signers(signers));
+  }
+
+  subscribe(topicId, handler) {
+    return this.ledger.subscribe(String(topicId), handler);
+  }
+
+  async getTopicInfo(topicId) {
+    return this.ledger.getTopicInfo(String(topicId));
+  }
+
+  async updateTopic(topicId, changes = {}, { signers = [] } = {}) {
+    return this.ledger.updateTopic(this.accountId, String(topicId), changes, this._signers(signers));
+  }
+
+  async getBalance(accountId) {
+    return this.ledger.getBalance(accountId);
+  }
+
+  async mirrorGet(requestPath) {
+    return this.ledger.mirrorGet(requestPath);
+  }
+
+  /**
+   * Raw public keys that signed: the operator plus any extra keys.
+   */
+  _signers(keys) {
+    return new Set(
+      [this.operatorKey, ...keys].filter(Boolean).map((k) => k.publicKey.toStringRaw())
+    );
+  }
+}
+
+let sharedLedger = null;
+
+/**
+ * Configure the process-wide ledger (e.g. a state file for the CLI).
+ * Replaces any ledger created so far.
+ */
+function configureSimulator(options = {}) {
+  sharedLedger = new LocalLedger(options);
+  return sharedLedger;
+}
+
+/**
+ * A new transport on the shared ledger (created in-memory on first use).
+ */
+function getSimulator() {
+  if (!sharedLedger) sharedLedger = new LocalLedger();
+  return new SimulatorTransport(sharedLedger);
+}
+
+module.exports = {
+  LOCAL_SIM,
+  LocalLedger,
+  SimulatorTransport,
+  SimulatorError,
+  configureSimulator,
+  getSimulator,
+  getSimOperator,
+  SIM_REGISTRY_TOPIC_ID,
+  SIM_EPOCH_SECONDS,
+};
@@ -0,0 +1,192 @@
+/**
+ * HCS transports for HederaIntel Agent.
+ *
+ * HederaService and OpenConvAIAgent talk to Hedera through a small
+ * transport interface instead of the SDK directly:
+ *
+ *   connect(accountId, privateKey)           -> { balance }
+ *   createTopic(options, { signers })        -> { topicId, transactionId }
+ *   submitMessage(topicId, msg, { signers }) -> { sequenceNumber, transactionId }
+ *   subscribe(topicId, handler)              -> { unsubscribe() }
+ *   getTopicInfo(topicId)                    -> topic info (SDK key objects)
+ *   updateTopic(topicId, changes, { signers }) -> { transactionId }
+ *   getBalance(accountId)                    -> balance string
+ *   mirrorGet(path)                          -> Mirror Node REST JSON
+ *
+ * `SdkTransport` runs against testnet/mainnet. `HEDERA_NETWORK=local-sim`
+ * selects the in-process simulator in ./simulator.js instead.
+ */
+
+const https = require("https");
+const {
+  Client,
+  TopicCreateTransaction,
+  TopicUpdateTransaction,
+  TopicMessageSubmitTransaction,
+  TopicMessageQuery,
+  TopicInfoQuery,
+  AccountBalanceQuery,
+  Hbar,
+  Timestamp,
+} = require("@hashgraph/sdk");
+const { LOCAL_SIM, getSimulator } = require("./simulator");
+
+const MIRROR_NODES = {
+  testnet: "https://testnet.mirrornode.hedera.com",
+  mainnet: "https://mainnet-public.mirrornode.hedera.com",
+};
+
+class SdkTransport {
+  constructor(network = "testnet", { maxTransactionFee = 2, maxQueryPayment = 1 } = {}) {
+    if (!MIRROR_NODES[network]) {
+      throw new Error(`Unknown network: ${network}`);
+    }
+    this.network = network;
+    this.mirrorUrl = MIRROR_NODES[network];
+    this.maxTransactionFee = maxTransactionFee;
+    this.maxQueryPayment = maxQueryPayment;
+    this.client = null;
+  }
+
+  /**
+   * Create the SDK client for the operator and return its balance.
+   */
+  async connect(accountId, privateKey) {
+    this.client = this.network === "mainnet" ? Client.forMainnet() : Client.forTestnet();
+    this.client.setOperator(accountId, privateKey);
+    this.client.setDefaultMaxTransactionFee(new Hbar(this.maxTransactionFee));
+    this.client.setDefaultMaxQueryPayment(new Hbar(this.maxQueryPayment));
+
+    return { balance: await this.getBalance(accountId) };
+  }
+
+  async createTopic({ memo, submitKey, adminKey } = {}, { signers = [] } = {}) {
+    const create = new TopicCreateTransaction();
+    if (memo) create.setTopicMemo(memo);
+    if (submitKey) create.setSubmitKey(submitKey);
+    if (adminKey) create.setAdminKey(adminKey);
+
+    const tx = await (await this._signWith(create, signers)).execute(this.client);
+    const receipt = await tx.getReceipt(this.client);
+
+    return {
+      topicId: receipt.topicId.toString(),
+      transactionId: tx.transactionId.toString(),
+    };
+  }
+
+  async submitMessage(topicId, message, { signers = [] } = {}) {
+    const submit = new TopicMessageSubmitTransaction()
+      .setTopicId(topicId)
+      .setMessage(message);
+
+    const tx = await (await this._signWith(submit, signers)).execute(this.client);
+    const receipt = await tx.getReceipt(this.client);
+
+    return {
+      sequenceNumber: receipt.topicSequenceNumber.toString(),
+      transactionId: tx.transactionId.toString(),
+    };
+  }
+
+  /**
+   * Stream topic messages as `{ sequenceNumber, consensusTimestamp, contents }`.
+   */
+  subscribe(topicId, handler) {
+    return new TopicMessageQuery()
+      .setTopicId(topicId)
+      .subscribe(this.client, null, (message) => {
+        handler({
+          sequenceNumber: message.sequenceNumber.toString(),
+          consensusTimestamp: message.consensusTimestamp.toDate(),
+          contents: Buffer.from(message.contents),
+        });
+      });
+  }
+
+  async getTopicInfo(topicId) {
+    const info = await new TopicInfoQuery().setTopicId(topicId).execute(this.client);
+
+    return {
+      topicMemo: info.topicMemo,
+      sequenceNumber: info.sequenceNumber.toString(),
+      expirationTime: info.expirationTime ? info.expirationTime.toDate() : null,
+      adminKey: info.adminKey || null,
+      submitKey: info.submitKey || null,
+      autoRenewAccountId: info.autoRenewAccountId?.toString() || null,
+      autoRenewPeriodSeconds: info.autoRenewPeriod ? Number(info.autoRenewPeriod.seconds) : null,
+    };
+  }
+
+  async updateTopic(topicId, { memo, submitKey, expirationTime } = {}, { signers = [] } = {}) {
+    const update = new TopicUpdateTransaction().setTopicId(topicId);
+    if (memo !== undefined) update.setTopicMemo(memo);
+    if (submitKey) update.setSubmitKey(submitKey);
+    if (expirationTime) update.setExpirationTime(Timestamp.fromDate(expirationTime));
+
+    const tx = await (await this._signWith(update, signers)).execute(this.client);
+    await tx.getReceipt(this.client);
+
+    return { transactionId: tx.transactionId.toString() };
+  }
+
+  async getBalance(accountId) {
+    const balance = await new AccountBalanceQuery()
+      .setAccountId(accountId)
+      .execute(this.client);
+    return balance.hbars.toString();
+  }
+
+  /**
+   * Freeze a transaction and add signatures from any extra keys.
+   * Transactions that only need the operator are returned untouched.
+   */
+  async _signWith(transaction, keys) {
+    const extra = keys.filter(Boolean);
+    if (extra.length === 0) return transaction;
+
+    transaction.freezeWith(this.client);
+    for (const key of extra) {
+      await transaction.sign(key);
+    }
+    return transaction;
+  }
+
+  /**
+   * HTTP GET helper for the Mirror Node REST API (null on 404).
+   */
+  mirrorGet(path) {
+    return new Promise((resolve, reject) => {
+      https
+        .get(`${this.mirrorUrl}${path}`, (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => {
+            if (res.statusCode === 404) return resolve(null);
+            try {
+              resolve(JSON.parse(data));
+            } catch (e) {
+              reject(
+                new Error(`Failed to parse response from ${path}: ${data.slice(0, 200)}`)
+              );
+            }
+          });
+          res.on("error", reject);
+        })
+        .on("error", reject);
+    });
+  }
+}
+
+/**
+ * Pick the transport for a network name. `options` set the SDK
+ * transport's fee limits; the simulator is set up via configureSimulator().
+ */
+function createTransport(network = "testnet", options = {}) {
+  if (network === LOCAL_SIM) {
+    return getSimulator();
+  }
+  return new SdkTransport(network, options);
+}
+
+module.exports = { SdkTransport, createTransport, LOCAL_SIM, MIRROR_NODES };
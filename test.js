@@ -1,6 +1,7 @@
 /**
  * Test suite for HederaIntel Agent.
- * Tests all modules without requiring Hedera credentials.
+ * Tests all modules without requiring Hedera credentials. Network tests
+ * run on the local HCS simulator unless HEDERA_NETWORK says otherwise.
  */
 
 const { IntelEngine } = require("./src/intel");
@@ -8,6 +9,57 @@ const { HederaService } = require("./src/hedera");
 const { NetworkAnalytics } = require("./src/network");
 const { AgentProtocol, PROTOCOL_NAME, PROTOCOL_VERSION } = require("./src/agent-protocol");
 const { OpenConvAIAgent, AGENT_NAME, AGENT_DESCRIPTION, AGENT_CAPABILITIES } = require("./src/hcs10");
+const { ChunkAssembler } = require("./src/chunks");
+const { canonicalize, hashCanonical, buildManifest, verifySection } = require("./src/canonical");
+const { signReport, verifyReportSignature } = require("./src/signing");
+const { buildTree, getProof, verifyProof } = require("./src/merkle");
+const { ReportBatcher } = require("./src/batch");
+const { ReportArchive } = require("./src/archive");
+const { encryptReport, decryptReport, generateSubscriberKey } = require("./src/encryption");
+const { SdkTransport } = require("./src/transport");
+const { PublishOutbox, isTransient } = require("./src/outbox");
+const { PriceHistory } = require("./src/price-history");
+const indicators = require("./src/indicators");
+const {
+  CoinGeckoProvider,
+  BinanceProvider,
+  KrakenProvider,
+  CoinbaseProvider,
+  PriceAggregator,
+  createProviders,
+} = require("./src/price-providers");
+const { AssetRegistry } = require("./src/assets");
+const {
+  NewsIngestor,
+  parseFeed,
+  scoreSentiment,
+  headlineSimilarity,
+  dedupeHeadlines,
+} = require("./src/news");
+const { NarrativeRules, parseExpression, evaluate: evaluateExpression } = require("./src/rules");
+const { Backtester, parseDuration } = require("./src/backtest");
+const { ScorecardTracker } = require("./src/scorecard");
+const crossAsset = require("./src/cross-asset");
+const { scoreConfidence } = require("./src/confidence");
+const { getProfile, selectSignals } = require("./src/focus");
+const { Portfolio, analyzePortfolio } = require("./src/portfolio");
+const risk = require("./src/risk");
+const { resolveCurrency, currencyForCode, parseCurrency, formatMoney, ExchangeRates } = require("./src/currency");
+const { formatAsset, renderAssets, renderPortfolio, renderReport } = require("./src/render");
+const { validate, validateReport, loadReportSchema } = require("./src/schema");
+const {
+  configureSimulator,
+  getSimOperator,
+  SIM_REGISTRY_TOPIC_ID,
+  LocalLedger,
+  SIM_EPOCH_SECONDS,
+} = require("./src/simulator");
+const { PrivateKey, KeyList } = require("@hashgraph/sdk");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const TEST_NETWORK = process.env.HEDERA_NETWORK || "local-sim";
 
 let passed = 0;
 let failed = 0;
@@ -27,9 +79,53 @@ async function runTests() {
   console.log("║          HederaIntel Agent — Test Suite          ║");
   console.log("╚══════════════════════════════════════════════════╝\n");
 
+  // Offline market: CoinGecko and Coinbase quote four assets (Binance
+  // and Kraken list none of them), CoinGecko charts drift by `trend` per
+  // day into the current price, and one feed carries a SOL headline
+  const fixtureNow = Date.now();
+  const fixtureMarket = {
+    bitcoin: { pair: "BTC-USD", usd: 60000, usd_24h_change: 8, usd_market_cap: 1.2e12, trend: 0.01 },
+    ethereum: { pair: "ETH-USD", usd: 3000, usd_24h_change: -7, usd_market_cap: 3.6e11, trend: 0.01 },
+    solana: { pair: "SOL-USD", usd: 150, usd_24h_change: -9, usd_market_cap: 7e10, trend: -0.005 },
+    "hedera-hashgraph": { pair: "HBAR-USD", usd: 0.1, usd_24h_change: 1, usd_market_cap: 4e9, trend: 0.002 },
+  };
+  const fixtureGet = async (url) => {
+    const { hostname, pathname, searchParams } = new URL(url);
+    if (hostname === "api.binance.com") return { code: -1121, msg: "Invalid symbol." };
+    if (hostname === "api.kraken.com") return { error: ["EQuery:Unknown asset pair"] };
+    if (hostname === "api.coinbase.com") {
+      const coin = Object.values(fixtureMarket).find((c) => pathname === `/v2/prices/${c.pair}/spot`);
+      return coin ? { data: { amount: String(coin.usd * 1.001) } } : { errors: [{ id: "not_found", message: "Invalid currency" }] };
+    }
+    if (pathname.endsWith("/simple/price")) {
+      return Object.fromEntries(
+        searchParams.get("ids").split(",").filter((id) => fixtureMarket[id]).map((id) => [id, fixtureMarket[id]])
+      );
+    }
+    const chart = pathname.match(/\/coins\/([^/]+)\/market_chart/);
+    if (chart) {
+      const coin = fixtureMarket[chart[1]];
+      if (!coin) return { error: "coin not found" };
+      const to = searchParams.has("to") ? Number(searchParams.get("to")) * 1000 : fixtureNow;
+      const from = searchParams.has("from") ? Number(searchParams.get("from")) * 1000 : to - Number(searchParams.get("days")) * 86400000;
+      const step = to - from <= 86400000 ? 5 * 60000 : 3600000;
+      const prices = [];
+      for (let t = from; t <= to; t += step) prices.push([t, coin.usd * (1 + (coin.trend * (t - fixtureNow)) / 86400000)]);
+      return { prices };
+    }
+    throw new Error(`No fixture for ${url}`);
+  };
+  const fixtureFeed = `<rss><channel><item><title>Solana outage halts block production</title>
+    <link>https://wire.example/sol</link><pubDate>${new Date(fixtureNow - 3600000).toUTCString()}</pubDate></item></channel></rss>`;
+
   // ─── Test 1: IntelEngine ────────────────────────
   console.log("Test 1: IntelEngine");
-  const engine = new IntelEngine();
+  const engine = new IntelEngine({
+    httpGet: fixtureGet,
+    fetchText: async () => fixtureFeed,
+    feeds: [{ name: "Wire", url: "https://wire.example/rss" }],
+    history: new PriceHistory(fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-fixture-prices-")), { httpGet: fixtureGet }),
+  });
   assert(engine !== null, "IntelEngine instantiates");
   assert(engine.reportCount === 0, "Report count starts at 0");
 
@@ -39,6 +135,15 @@ async function runTests() {
     assets: ["BTC", "ETH"],
     focus: "test",
   });
+  const reportSignals = report.signals.map((n) => n.narrative);
+  assert(
+    report.assets.map((a) => `${a.symbol}:${a.sources.join("+")}`).join(",") === "BTC:coingecko+coinbase,ETH:coingecko+coinbase",
+    "Prices are aggregated from the quoting providers"
+  );
+  assert(
+    reportSignals.includes("BTC Bullish Momentum") && reportSignals.includes("ETH Pullback in Uptrend"),
+    `Narratives follow the 24h moves against the weekly trend (${reportSignals.join(", ")})`
+  );
   assert(report.title !== undefined, "Report has title");
   assert(report.summary !== undefined, "Report has summary");
   assert(report.generatedAt !== undefined, "Report has timestamp");
@@ -54,6 +159,12 @@ async function runTests() {
     assets: ["SOL", "HBAR"],
     focus: "l1",
   });
+  const solSignal = report2.signals.find((n) => n.narrative === "SOL Correction");
+  assert(
+    solSignal?.direction === "bearish" && solSignal.evidence.includes("news: 1 headline"),
+    "Correction carries the fixture feed's headline"
+  );
+  assert(report2.news?.SOL?.label === "bearish" && !report2.news.HBAR, "News section tags the feed by asset");
   assert(report2.title !== report.title, "Second report has different title");
   assert(engine.reportCount === 2, "Report count is 2");
 
@@ -61,7 +172,7 @@ async function runTests() {
   console.log("\nTest 4: HederaService");
   const hedera = new HederaService();
   assert(hedera !== null, "HederaService instantiates");
-  assert(hedera.client === null, "Client starts null (not connected)");
+  assert(hedera.transport === null, "Transport starts null (not connected)");
   assert(hedera.topicId === null, "Topic ID starts null");
 
   // ─── Test 5: Content Hashing ────────────────────
@@ -71,7 +182,7 @@ async function runTests() {
   const hash3 = hedera._hashContent("different content");
   assert(hash1 === hash2, "Same content produces same hash");
   assert(hash1 !== hash3, "Different content produces different hash");
-  assert(hash1.length === 16, "Hash is 16 characters");
+  assert(hash1.length === 64, "Hash is the full 256-bit digest");
 
   // ─── Test 6: Report Serialization ───────────────
   console.log("\nTest 6: Report Serialization");
@@ -89,22 +200,23 @@ async function runTests() {
   const netMainnet = new NetworkAnalytics("mainnet");
   assert(netMainnet.baseUrl.includes("mainnet"), "Mainnet URL correct");
 
-  // ─── Test 8: Live Network Data ──────────────────
-  console.log("\nTest 8: Live Network Data (Mirror Node)");
-  const supply = await net.getNetworkSupply();
+  // ─── Test 8: Network Data ───────────────────────
+  console.log(`\nTest 8: Network Data (Mirror Node, ${TEST_NETWORK})`);
+  const liveNet = new NetworkAnalytics(TEST_NETWORK);
+  const supply = await liveNet.getNetworkSupply();
   assert(supply !== null, "Network supply fetched");
   assert(supply.totalSupply !== undefined, "Total supply present");
 
-  const nodes = await net.getNodeCount();
+  const nodes = await liveNet.getNodeCount();
   assert(nodes !== null, "Node info fetched");
   assert(nodes.totalNodes > 0, "Has consensus nodes");
 
   // ─── Test 9: Network Report ─────────────────────
   console.log("\nTest 9: Network Health Report");
-  const netReport = await net.generateNetworkReport();
+  const netReport = await liveNet.generateNetworkReport();
   assert(netReport.type === "hedera_network_health", "Correct report type");
   assert(netReport.healthScore > 0, "Health score is positive");
-  assert(netReport.network === "testnet", "Network is testnet");
+  assert(netReport.network === TEST_NETWORK, `Network is ${TEST_NETWORK}`);
 
   // ─── Test 10: AgentProtocol ─────────────────────
   console.log("\nTest 10: Agent Protocol");
@@ -160,9 +272,9 @@ async function runTests() {
   assert(AGENT_CAPABILITIES.includes("market_report"), "Has market_report capability");
   assert(AGENT_CAPABILITIES.includes("natural_language_query"), "Has NL query capability");
 
-  const convAgent = new OpenConvAIAgent(engine, net);
+  const convAgent = new OpenConvAIAgent(engine, liveNet);
   assert(convAgent !== null, "OpenConvAIAgent instantiates");
-  assert(convAgent.client === null, "Client starts null (not connected)");
+  assert(convAgent.transport === null, "Transport starts null (not connected)");
   assert(convAgent.connections instanceof Map, "Has connections map");
 
   // ─── Test 14: HCS-10 Natural Language Routing ────
@@ -183,6 +295,10 @@ async function runTests() {
   assert(hederaResponse.type === "hedera_intelligence", "Routes Hedera query correctly");
   assert(hederaResponse.networkHealth !== undefined, "Has network health data");
 
+  // Test risk query routing
+  const riskResponse = await convAgent._processQuery("How volatile is SOL?");
+  assert(riskResponse.type === "risk_report" && "risk" in riskResponse, "Routes risk query correctly");
+
   // Test capabilities query routing
   const capabilitiesResponse = await convAgent._processQuery("What can you do?");
   assert(capabilitiesResponse.type === "capabilities", "Routes capabilities query correctly");
@@ -214,6 +330,1695 @@ async function runTests() {
   assert(status.capabilities.length === AGENT_CAPABILITIES.length, "Status has all capabilities");
   assert(status.connections === 0, "Starts with 0 connections");
 
+  // ─── Test 17: Report Verification ────────────────
+  console.log("\nTest 17: Report Verification (mocked Mirror Node)");
+  const toMirror = (seq, content) => ({
+    sequence_number: seq,
+    consensus_timestamp: `1760000000.${String(seq).padStart(9, "0")}`,
+    message: Buffer.from(JSON.stringify(content)).toString("base64"),
+  });
+  const mockMirror = (messages) => async (path) => {
+    const single = path.match(/messages\/(\d+)$/);
+    if (single) return messages.find((m) => m.sequence_number === Number(single[1])) || null;
+    const after = Number(path.match(/gt:(\d+)/)[1]);
+    return { messages: messages.filter((m) => m.sequence_number > after) };
+  };
+
+  const verifier = new HederaService();
+  const envelope = verifier._buildEnvelope(report);
+  verifier._mirrorGet = mockMirror([toMirror(5, envelope)]);
+
+  const verified = await verifier.verifyReport("0.0.1234", 5, report);
+  assert(verified.valid === true, "Single-message report verifies");
+  assert(verified.consensusTimestamp.startsWith("2025-10-09"), "Consensus timestamp converted");
+
+  const tampered = await verifier.verifyReport("0.0.1234", 5, { ...report, summary: "forged" });
+  assert(tampered.valid === false, "Tampered local report fails");
+
+  const payload = JSON.stringify(envelope);
+  const half = Math.ceil(payload.length / 2);
+  verifier._mirrorGet = mockMirror([
+    toMirror(7, { _chunk: { index: 0, total: 2 }, data: payload.slice(0, half) }),
+    toMirror(8, { random: "interleaved" }),
+    toMirror(9, { _chunk: { index: 1, total: 2 }, data: payload.slice(half) }),
+  ]);
+  const chunked = await verifier.verifyReport("0.0.1234", 7, report);
+  assert(chunked.valid === true, "Chunked report reassembles and verifies");
+  assert(chunked.sequenceNumbers.join(",") === "7,9", "Skips interleaved messages");
+
+  // ─── Test 18: Chunk Reassembly ───────────────────
+  console.log("\nTest 18: Chunk Reassembly");
+  const chunkErrors = [];
+  const assembler = new ChunkAssembler({
+    timeoutMs: 1000,
+    onError: (err) => chunkErrors.push(err),
+  });
+  const part = (id, index, total, data) => ({ _chunk: { id, index, total }, data });
+
+  const plain = assembler.push({ hello: "world" }, { sequenceNumber: "1" });
+  assert(plain.content.hello === "world", "Non-chunked messages pass through");
+
+  assert(assembler.push(part("a", 1, 3, '"b":2,'), { sequenceNumber: "3" }, 0) === null, "Buffers out-of-order chunk");
+  assert(assembler.push(part("z", 0, 2, '{"other"'), { sequenceNumber: "4" }, 0) === null, "Tracks a second set by id");
+  assert(assembler.push(part("a", 0, 3, '{"a":1,'), { sequenceNumber: "2" }, 0) === null, "Waits for remaining chunk");
+  const whole = assembler.push(part("a", 2, 3, '"c":3}'), { sequenceNumber: "5" }, 10);
+  assert(whole !== null && whole.content.c === 3, "Emits one complete parsed report");
+  assert(whole.parts.map((p) => p.sequenceNumber).join(",") === "2,3,5", "Parts ordered by index");
+
+  assembler.sweep(5000);
+  assert(assembler.pending.size === 0, "Incomplete set expires after timeout");
+  assert(chunkErrors.length === 1 && chunkErrors[0].missing.join(",") === "1", "Reports missing chunk indices");
+
+  assert(assembler.push(part("s", 0, 2, '{"s":'), {}, 6000) === null, "Starts a new set");
+  assert(assembler.push(part("s", 7, 2, "junk"), {}, 6000) === null, "Out-of-range chunk index is dropped");
+  assert(
+    assembler.push(part("s", 1.5, 2, "junk"), {}, 6000) === null && assembler.push(part("s", 0, 0, "junk"), {}, 6000) === null,
+    "Non-integer indices and empty totals are dropped"
+  );
+  assert(assembler.pending.get("s").parts.size === 1 && chunkErrors.length === 4, "Dropped chunks never count toward a set");
+  assert(assembler.push(part("s", 1, 2, "1}"), {}, 6000).content.s === 1, "Set completes with its real pieces");
+
+  // ─── Test 19: Canonical Hashing & Manifest ───────
+  console.log("\nTest 19: Canonical Hashing & Manifest");
+  assert(
+    canonicalize({ b: 1, a: { d: [1, 2], c: "x" } }) === '{"a":{"c":"x","d":[1,2]},"b":1}',
+    "Canonical JSON sorts keys recursively"
+  );
+  assert(
+    hashCanonical({ x: 1, y: 2 }) === hashCanonical({ y: 2, x: 1 }),
+    "Digest is independent of key order"
+  );
+
+  const manifest = buildManifest(report);
+  assert(manifest.assets && manifest.signals && manifest.actionItems, "Manifest covers report sections");
+  assert(manifest.network === undefined, "Absent sections are omitted");
+
+  const sealed = hedera._buildEnvelope(report);
+  assert(sealed.integrity.algorithm === "sha256", "Envelope records hash algorithm");
+  assert(sealed.integrity.canonicalization === "sorted-keys-json/1", "Envelope records canonicalization");
+  assert(sealed.integrity.digest === hashCanonical(report), "Envelope digest covers the whole report");
+  assert(verifySection("signals", report.signals, sealed.integrity), "Single section verifies on its own");
+
+  const editedActions = { ...report, actionItems: ["Buy everything"] };
+  assert(hashCanonical(editedActions) !== sealed.integrity.digest, "Editing action items changes the digest");
+  assert(!verifySection("actionItems", editedActions.actionItems, sealed.integrity), "Edited section fails manifest check");
+
+  const legacyEnvelope = {
+    type: "market_intelligence",
+    version: "1.0",
+    report: { title: report.title, summary: report.summary, hash: hashCanonical(report.summary).slice(0, 16) },
+  };
+  verifier._mirrorGet = mockMirror([toMirror(11, legacyEnvelope)]);
+  const legacy = await verifier.verifyReport("0.0.1234", 11, report);
+  assert(legacy.valid === true && legacy.canonicalization === null, "Legacy v1.0 envelopes still verify");
+
+  // ─── Test 20: Signed Reports ─────────────────────
+  console.log("\nTest 20: Signed Reports");
+  const operatorKey = PrivateKey.generateED25519();
+  const ecdsaKey = PrivateKey.generateECDSA();
+
+  const sig = signReport(report, operatorKey.toStringDer(), "0.0.4242");
+  assert(sig.keyType === "ED25519" && sig.publicKey === operatorKey.publicKey.toStringRaw(), "Signature embeds public key");
+  assert(verifyReportSignature(report, sig), "ED25519 signature verifies");
+  assert(!verifyReportSignature({ ...report, summary: "forged" }, sig), "Signature rejects altered report");
+  assert(verifyReportSignature(report, signReport(report, ecdsaKey, "0.0.4242")), "ECDSA signature verifies");
+
+  const signer = new HederaService();
+  signer.operatorKey = operatorKey;
+  signer.accountId = "0.0.4242";
+  const signedEnvelope = signer._buildEnvelope(report);
+  assert(signedEnvelope.signature.accountId === "0.0.4242", "Envelope is signed by operator account");
+
+  const accountKey = { _type: "ED25519", key: operatorKey.publicKey.toStringRaw() };
+  const withAccount = (key) => async (path) =>
+    path.startsWith("/api/v1/accounts/")
+      ? { account: "0.0.4242", key }
+      : mockMirror([toMirror(12, signedEnvelope)])(path);
+
+  signer._mirrorGet = withAccount(accountKey);
+  const sigCheck = await signer.verifySignature(signedEnvelope);
+  assert(sigCheck.valid === true, "Signing key matches account's current key");
+  const signedVerify = await signer.verifyReport("0.0.1234", 12, report);
+  assert(signedVerify.valid && signedVerify.signedBy === "0.0.4242", "verifyReport reports signer");
+
+  signer._mirrorGet = withAccount({ _type: "ED25519", key: PrivateKey.generateED25519().publicKey.toStringRaw() });
+  const impostor = await signer.verifySignature(signedEnvelope);
+  assert(impostor.valid === false && impostor.signatureValid === true, "Rejects key that is not the account's");
+
+  // ─── Test 21: Merkle Batch Anchoring ─────────────
+  console.log("\nTest 21: Merkle Batch Anchoring");
+  const leaves = ["a", "b", "c", "d", "e"].map((x) => hashCanonical(x));
+  const tree = buildTree(leaves);
+  assert(tree.root.length === 64, "Tree has a 256-bit root");
+  assert(
+    leaves.every((leaf, i) => verifyProof(leaf, getProof(tree, i), tree.root)),
+    "Every leaf proves inclusion (odd leaf count)"
+  );
+  assert(!verifyProof(leaves[0], getProof(tree, 1), tree.root), "Proof for another leaf fails");
+  assert(buildTree([leaves[0]]).root !== leaves[0], "Single leaf is still domain-hashed");
+
+  const proofDir = fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-proofs-"));
+  const anchors = [];
+  const batchHedera = new HederaService();
+  batchHedera.topicId = "0.0.1234";
+  batchHedera._publishMessage = async (message) => {
+    anchors.push(JSON.parse(message));
+    return { topicId: "0.0.1234", sequenceNumber: "21", transactionId: "0.0.4242@1.1" };
+  };
+  const batcher = new ReportBatcher(batchHedera, { maxReports: 3, proofDir });
+  const batchProofs = await Promise.all([
+    batcher.add(report),
+    batcher.add(report2),
+    batcher.add({ ...report, title: "Third" }),
+  ]);
+  assert(anchors.length === 1, "Three reports cost one HCS message");
+  assert(anchors[0].type === "merkle_anchor" && anchors[0].anchor.count === 3, "Anchor carries root metadata");
+  assert(batchProofs.every((p) => p.root === anchors[0].anchor.root), "Proofs share the anchored root");
+  assert(fs.existsSync(batchProofs[1].file), "Proof stored locally");
+
+  batchHedera._mirrorGet = mockMirror([toMirror(21, anchors[0])]);
+  const stored = JSON.parse(fs.readFileSync(batchProofs[1].file, "utf-8"));
+  const batchCheck = await batchHedera.verifyBatchedReport(report2, stored);
+  assert(batchCheck.valid === true && batchCheck.leafIndex === 1, "Single report verifies against anchored root");
+  const batchForged = await batchHedera.verifyBatchedReport({ ...report2, summary: "forged" }, stored);
+  assert(batchForged.valid === false, "Altered batched report fails");
+  fs.rmSync(proofDir, { recursive: true, force: true });
+
+  // ─── Test 22: Report Archive ─────────────────────
+  console.log("\nTest 22: Report Archive");
+  const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-archive-"));
+  const reportArchive = new ReportArchive(archiveDir);
+  const withAssets = (r, symbols, generatedAt, confidence) => ({
+    ...r,
+    generatedAt,
+    confidence,
+    assets: symbols.map((symbol) => ({ symbol })),
+  });
+
+  const first = reportArchive.record(
+    withAssets(report, ["BTC", "ETH"], "2026-03-03T09:00:00.000Z", "high"),
+    { topicId: "0.0.1234", sequenceNumber: "40", transactionId: "0.0.4242@1.1" }
+  );
+  reportArchive.record(
+    withAssets(report2, ["SOL", "HBAR"], "2026-03-10T09:00:00.000Z", "medium"),
+    { topicId: "0.0.1234", chunks: [{ sequenceNumber: "41", transactionId: "0.0.4242@2.2" }, { sequenceNumber: "42" }] }
+  );
+  assert(first.id === 1 && first.digest.length === 64, "Records report with id and digest");
+  assert(reportArchive.list().length === 2 && reportArchive.list()[0].id === 2, "Lists newest first");
+  assert(reportArchive.list({ asset: "hbar" }).length === 1, "Filters by asset");
+  assert(reportArchive.list({ confidence: "high" })[0].id === 1, "Filters by confidence");
+  assert(reportArchive.list({ from: "2026-03-04", to: "2026-03-10" }).length === 1, "Filters by date range (inclusive day)");
+
+  const full = reportArchive.get(2);
+  assert(full.report.title === report2.title, "Reads full report by id");
+  assert(full.sequenceNumbers.join(",") === "41,42", "Keeps chunk sequence numbers");
+
+  fs.unlinkSync(path.join(archiveDir, "index.json"));
+  const reopened = new ReportArchive(archiveDir);
+  assert(reopened.get(1).transactionId === "0.0.4242@1.1", "Index rebuilds from the JSONL archive");
+
+  // A crash between appending a record and saving the index leaves the index one entry short
+  const indexFile = path.join(archiveDir, "index.json");
+  fs.writeFileSync(indexFile, JSON.stringify(JSON.parse(fs.readFileSync(indexFile, "utf-8")).slice(0, 1)));
+  const recovered = new ReportArchive(archiveDir).record(withAssets(report, ["BTC"], "2026-03-12T09:00:00.000Z", "low"));
+  assert(recovered.id === 3 && new ReportArchive(archiveDir).get(2).report.title === report2.title, "Index out of step with the archive is rebuilt before the next id");
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+
+  // ─── Test 23: Encrypted Premium Reports ──────────
+  console.log("\nTest 23: Encrypted Premium Reports");
+  const alice = generateSubscriberKey();
+  const bob = PrivateKey.generateECDSA();
+  const outsider = generateSubscriberKey();
+  const digest = hashCanonical(report);
+
+  const box = encryptReport(report, [alice.publicKey, bob.publicKey.toStringRaw()], digest);
+  assert(box.recipients.length === 2 && !JSON.stringify(box).includes(report.title), "Ciphertext hides the report");
+  assert(decryptReport(box, alice.privateKey, digest).title === report.title, "Recipient decrypts with DER key");
+  assert(decryptReport(box, bob.toStringRaw(), digest).title === report.title, "Recipient decrypts with raw Hedera ECDSA key");
+  assert(decryptReport(box, outsider.privateKey, digest) === null, "Non-recipient cannot decrypt");
+
+  let wrongDigestFails = false;
+  try {
+    decryptReport(box, alice.privateKey, hashCanonical("other"));
+  } catch {
+    wrongDigestFails = true;
+  }
+  assert(wrongDigestFails, "Ciphertext is bound to its public digest");
+
+  const premium = signer._buildEnvelope(report, { recipients: [alice.publicKey] });
+  assert(premium.report === undefined && premium.encrypted, "Envelope carries only ciphertext");
+  assert(premium.integrity.digest === digest && !premium.integrity.manifest, "Provenance digest stays public");
+  assert(signer.openEnvelope(premium, alice.privateKey).report.title === report.title, "openEnvelope decrypts for subscriber");
+
+  signer._mirrorGet = async (p) =>
+    p.startsWith("/api/v1/accounts/") ? { key: accountKey } : mockMirror([toMirror(30, premium)])(p);
+  const premiumPublic = await signer.verifyReport("0.0.1234", 30, report);
+  assert(premiumPublic.valid && premiumPublic.encrypted, "Encrypted report verifies against local copy");
+  const premiumKeyed = await signer.verifyReport("0.0.1234", 30, null, { decryptionKey: alice.privateKey });
+  assert(premiumKeyed.valid && premiumKeyed.title === report.title, "Encrypted report verifies with subscriber key");
+  const premiumBlind = await signer.verifyReport("0.0.1234", 30);
+  assert(premiumBlind.valid === false, "Encrypted report without key or copy is not verified");
+
+  // ─── Test 24: Topic Access Control ───────────────
+  console.log("\nTest 24: Topic Access Control");
+  const admin = new HederaService();
+  admin.operatorKey = operatorKey;
+  assert(
+    admin._resolvePublicKey("operator").toStringRaw() === operatorKey.publicKey.toStringRaw(),
+    "Resolves 'operator' to the operator public key"
+  );
+  assert(
+    admin._resolvePublicKey(ecdsaKey.publicKey.toStringDer()).toStringRaw() === ecdsaKey.publicKey.toStringRaw(),
+    "Resolves DER public key strings"
+  );
+
+  assert(admin._describeKey(null).description === "none (open)", "Describes open topic");
+  const opKey = admin._describeKey(operatorKey.publicKey);
+  assert(opKey.type === "ED25519" && opKey.isOperator, "Flags the operator's key");
+  const multi = admin._describeKey(new KeyList([operatorKey.publicKey, ecdsaKey.publicKey], 1));
+  assert(multi.description === "KeyList (1 of 2)" && multi.keys[1].type === "ECDSA_SECP256K1", "Describes key lists");
+
+  const signedWith = [];
+  const fakeTx = {
+    frozen: false,
+    freezeWith() { this.frozen = true; },
+    async sign(key) { signedWith.push(key); return this; },
+  };
+  const sdkTransport = new SdkTransport("testnet");
+  await sdkTransport._signWith(fakeTx, [null]);
+  assert(!fakeTx.frozen, "Operator-only transactions are left unfrozen");
+  admin.setTopicKeys({ submitKey: ecdsaKey.toStringDer() });
+  await sdkTransport._signWith(fakeTx, [admin.submitKey]);
+  assert(fakeTx.frozen && signedWith.length === 1, "Restricted topics add the submit key signature");
+
+  // ─── Test 25: Local HCS Simulator ────────────────
+  console.log("\nTest 25: Local HCS Simulator");
+  configureSimulator(); // fresh in-memory ledger
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+  const simOperator = getSimOperator();
+  const sim = new HederaService();
+  await sim.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+
+  const simTopic = await sim.createTopic("sim test", { submitKey: "operator" });
+  assert(simTopic === "0.0.1001", "Topic ids are allocated deterministically");
+
+  const received = [];
+  await sim.subscribe((message) => received.push(message));
+
+  const ping = await sim._publishMessage(JSON.stringify({ ping: 1 }), "test");
+  assert(ping.sequenceNumber === "1", "Sequence numbers start at 1");
+  const pingMirror = await sim._mirrorGet(`/api/v1/topics/${simTopic}/messages/1`);
+  assert(
+    pingMirror.consensus_timestamp === `${SIM_EPOCH_SECONDS + 2}.000000000`,
+    "Consensus timestamps advance one second per transaction"
+  );
+
+  const simPublished = await sim.publishReport(report);
+  const simSequence = simPublished.chunks.map((c) => Number(c.sequenceNumber));
+  assert(simSequence.length > 1 && simSequence.every((n, i) => n === i + 2), "Large reports are chunked in order");
+
+  await settle();
+  assert(received.length === 2 && received[0].content.ping === 1, "Subscription delivers existing messages");
+  assert(received[1].content.report.title === report.title, "Subscription reassembles chunked reports");
+
+  const simVerified = await sim.verifyReport(simTopic, 2, report);
+  assert(simVerified.valid && simVerified.signedBy === simOperator.accountId, "Reports verify against the simulated Mirror Node");
+
+  const simInfo = await sim.getTopicInfo();
+  assert(simInfo.sequenceNumber === String(1 + simSequence.length) && simInfo.submitKey.isOperator, "Topic info reports count and submit key");
+
+  const cleared = [];
+  const realClearInterval = global.clearInterval;
+  global.clearInterval = (handle) => cleared.push(handle) && realClearInterval(handle);
+  const extra = [];
+  const extraSubscription = await sim.subscribe((message) => extra.push(message));
+  await settle();
+  extraSubscription.unsubscribe();
+  global.clearInterval = realClearInterval;
+  await sim._publishMessage(JSON.stringify({ ping: 2 }), "test");
+  await settle();
+  assert(cleared.length === 1 && extra.length === 2, "Unsubscribing stops delivery and clears the chunk expiry timer");
+
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-ledger-"));
+  const fileLedger = new LocalLedger({ statePath: path.join(ledgerDir, "ledger.json") });
+  const unwatched = [];
+  const realUnwatchFile = fs.unwatchFile;
+  fs.unwatchFile = (file, listener) => unwatched.push(file) && realUnwatchFile(file, listener);
+  const firstWatch = fileLedger.subscribe(SIM_REGISTRY_TOPIC_ID, () => {});
+  const secondWatch = fileLedger.subscribe(SIM_REGISTRY_TOPIC_ID, () => {});
+  firstWatch.unsubscribe();
+  const stillWatching = fileLedger.watcher !== null && unwatched.length === 0;
+  secondWatch.unsubscribe();
+  secondWatch.unsubscribe();
+  fs.unwatchFile = realUnwatchFile;
+  assert(stillWatching, "The state file stays watched while a subscriber remains");
+  assert(unwatched.length === 1 && fileLedger.watcher === null, "The last unsubscribe stops watching the state file");
+  fs.rmSync(ledgerDir, { recursive: true, force: true });
+
+  const intruder = new HederaService();
+  await intruder.initialize("0.0.3001", PrivateKey.generateED25519().toStringDer(), "local-sim");
+  intruder.topicId = simTopic;
+  let rejected = null;
+  await intruder._publishMessage("{}", "test").catch((err) => (rejected = err));
+  assert(rejected?.status === "INVALID_SIGNATURE", "Submit key is enforced");
+
+  let immutable = null;
+  await sim.updateTopicMemo("renamed").catch((err) => (immutable = err));
+  assert(immutable?.status === "UNAUTHORIZED", "Topics without an admin key are immutable");
+
+  const simProtocol = new AgentProtocol(sim, engine);
+  await simProtocol.startListening();
+  await simProtocol.sendQuery("capabilities");
+  await settle();
+  assert(
+    received.some((m) => m.content?.report?.title === "Response: capabilities"),
+    "Agent protocol answers queries end-to-end"
+  );
+
+  const simAgent = new OpenConvAIAgent(engine, liveNet);
+  await simAgent.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+  await simAgent.createTopics();
+  const registered = await simAgent.register();
+  assert(registered.registryTopicId === SIM_REGISTRY_TOPIC_ID && registered.sequenceNumber === "1", "HCS-10 agent registers on the simulated registry");
+
+  // ─── Test 26: Publish Outbox ─────────────────────
+  console.log("\nTest 26: Publish Outbox");
+  assert(isTransient(Object.assign(new Error("busy"), { status: "BUSY" })), "BUSY is transient");
+  assert(isTransient(new Error("gRPC call timed out")), "Timeouts are transient");
+  assert(!isTransient(Object.assign(new Error("bad sig"), { status: "INVALID_SIGNATURE" })), "INVALID_SIGNATURE is permanent");
+
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), "intel-outbox-"));
+  const queued = new HederaService();
+  await queued.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+  const outboxTopic = await queued.createTopic("outbox test");
+  queued.setOutbox(new PublishOutbox(outboxDir, { baseDelayMs: 1, maxAttempts: 3 }));
+
+  const realSubmit = queued.transport.submitMessage.bind(queued.transport);
+  let calls = 0;
+  queued.transport.submitMessage = async (...args) => {
+    if (++calls === 1) throw Object.assign(new Error("BUSY"), { status: "BUSY" });
+    return realSubmit(...args);
+  };
+  const retried = await queued.publishReport(report);
+  assert(retried.chunks[0].sequenceNumber === "1", "Transient failure is retried");
+
+  const again = await queued.publishReport(report);
+  const outboxInfo = await queued.getTopicInfo();
+  assert(
+    again.chunkId === retried.chunkId && outboxInfo.sequenceNumber === String(retried.totalChunks),
+    "Re-publishing the same report is de-duplicated"
+  );
+
+  const premiumKey = generateSubscriberKey();
+  const sealedCopy = await queued.publishReport(report, { recipients: [premiumKey.publicKey] });
+  const sealedRepeat = await queued.publishReport(report, { recipients: [premiumKey.publicKey] });
+  assert(
+    sealedCopy.chunks[0].sequenceNumber !== retried.chunks[0].sequenceNumber &&
+      sealedRepeat.chunkId === sealedCopy.chunkId &&
+      fs.readdirSync(outboxDir).length === 2,
+    "An encrypted copy of a published report is a separate publish, de-duplicated on its own"
+  );
+
+  const forgedManifest = queued._buildEnvelope(report);
+  forgedManifest.integrity.manifest.summary = "0".repeat(64);
+  const tamperedReceipt = await queued._publishMessage(JSON.stringify(forgedManifest), "report");
+  const tamperedCheck = await queued.verifyReport(outboxTopic, tamperedReceipt.chunks[0].sequenceNumber);
+  assert(
+    !tamperedCheck.valid && tamperedCheck.manifestSigned === false && tamperedCheck.checks.some((c) => !c.passed && c.name.includes("manifest")),
+    "An altered manifest fails against the signed report"
+  );
+
+  calls = 0;
+  queued.transport.submitMessage = async (...args) => {
+    if (++calls > 1) throw new Error("request timed out");
+    return realSubmit(...args);
+  };
+  let stalled = null;
+  await queued.publishReport(report2).catch((err) => (stalled = err));
+  const stalledItem = queued.outbox.get(stalled?.outboxId);
+  assert(stalledItem?.status === "pending" && stalledItem.confirmed.length === 1, "Partial chunked publish stays queued");
+
+  const restarted = new HederaService();
+  await restarted.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+  restarted.setOutbox(new PublishOutbox(outboxDir));
+  const [flushed] = await restarted.flushOutbox();
+  const resumedSeqs = flushed.result.chunks.map((c) => Number(c.sequenceNumber));
+  assert(
+    resumedSeqs.every((n, i) => n === resumedSeqs[0] + i) && resumedSeqs.length === stalledItem.parts.length,
+    "Flush resumes from the last confirmed chunk"
+  );
+  const resumed = await restarted.verifyReport(outboxTopic, resumedSeqs[0], report2);
+  assert(resumed.valid, "Resumed report verifies");
+  assert(restarted.outbox.unpublished().length === 0, "Outbox is empty after flush");
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+
+  // ─── Test 27: Multi-Timeframe Price History ──────
+  console.log("\nTest 27: Multi-Timeframe Price History");
+  const HOUR_MS = 60 * 60 * 1000;
+  const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-prices-"));
+  let clock = Date.UTC(2026, 5, 1);
+  const requested = [];
+  // Price climbs 1 per hour, so every window's change is predictable
+  const priceAt = (t) => 1000 + (t - Date.UTC(2026, 0, 1)) / HOUR_MS;
+  const fakeChart = async (url) => {
+    requested.push(url);
+    const range = url.match(/from=(\d+)&to=(\d+)/);
+    const days = url.match(/days=(\d+)/);
+    const to = range ? Number(range[2]) * 1000 : clock;
+    const from = range ? Number(range[1]) * 1000 : clock - Number(days[1]) * 24 * HOUR_MS;
+    const step = to - from <= 24 * HOUR_MS ? 5 * 60 * 1000 : HOUR_MS;
+    const prices = [];
+    for (let t = from; t <= to; t += step) prices.push([t, priceAt(t)]);
+    return { prices };
+  };
+  const history = new PriceHistory(historyDir, { httpGet: fakeChart, now: () => clock });
+  assert(
+    new IntelEngine().history.dir === path.join(__dirname, "data", "prices"),
+    "Default price cache lives in the agent's data directory, not the working directory"
+  );
+
+  await history.refresh("BTC", "bitcoin");
+  assert(
+    requested.length === 2 && requested.every((u) => u.includes("/coins/bitcoin/market_chart?")),
+    "Cold cache backfills 90 days plus the last day"
+  );
+  const weekly = history.summarize("BTC", "7d");
+  assert(weekly.complete && weekly.close === priceAt(clock), "7d window ends at the latest price");
+  assert(
+    Math.abs(weekly.changePct - (168 / priceAt(clock - 168 * HOUR_MS)) * 100) < 0.01,
+    "7d change is measured from the window start"
+  );
+  assert(history.summarize("BTC", "1h").points === 13, "Last hour keeps 5-minute points");
+  const dailyCandles = history.getCandles("BTC", "90d");
+  assert(
+    dailyCandles.length >= 90 && dailyCandles.every((c) => c.low <= c.open && c.high >= c.close),
+    "90d series builds daily OHLC candles"
+  );
+
+  clock += 20 * 60 * 1000;
+  requested.length = 0;
+  await history.refresh("BTC", "bitcoin");
+  const lastCached = Math.floor((clock - 20 * 60 * 1000) / 1000);
+  assert(
+    requested.length === 1 && requested[0].includes(`/market_chart/range?vs_currency=usd&from=${lastCached}`),
+    "Refresh only fetches the range since the last cached point"
+  );
+  requested.length = 0;
+  clock += 60 * 1000;
+  await history.refresh("BTC", "bitcoin");
+  assert(requested.length === 0, "No refetch inside the refresh interval");
+
+  const reloaded = new PriceHistory(historyDir, { httpGet: fakeChart, now: () => clock });
+  assert(
+    reloaded.getSeries("BTC").length === history.getSeries("BTC").length,
+    "Cached series survives a restart"
+  );
+  const thinned = reloaded.getSeries("BTC").filter(([t]) => t < clock - 48 * HOUR_MS);
+  assert(
+    thinned.every(([t], i) => i === 0 || t - thinned[i - 1][0] >= HOUR_MS),
+    "Points older than a day are thinned to hourly"
+  );
+  const limited = new PriceHistory(historyDir, {
+    httpGet: async () => ({ status: { error_code: 429, error_message: "rate limited" } }),
+    now: () => clock,
+  });
+  const limitError = await limited.refresh("ETH", "ethereum").catch((e) => e);
+  assert(limitError instanceof Error && /ethereum: rate limited/.test(limitError.message), "Rate-limited fetch surfaces an error");
+
+  const trendEngine = new IntelEngine({ history });
+  const trendSignals = trendEngine._detectNarratives(
+    { BTC: { price: 104000, change24h: 6.2 }, ETH: { price: 3000, change24h: 7.5 } },
+    [],
+    "general",
+    {
+      BTC: history.summarizeAll("BTC"),
+      ETH: { "7d": { changePct: -12.4, complete: true } },
+    }
+  );
+  const btcMomentum = trendSignals.find((n) => n.narrative === "BTC Bullish Momentum");
+  assert(
+    btcMomentum && /over 7d/.test(btcMomentum.evidence) && /over 30d/.test(btcMomentum.evidence),
+    "Momentum evidence cites longer timeframes"
+  );
+  assert(trendSignals.some((n) => n.narrative === "ETH Relief Bounce"), "24h pump against a weekly downtrend is a relief bounce");
+  assert(trendSignals.some((n) => n.narrative === "BTC Testing 90-Day High"), "Range-top narrative from 90d history");
+  fs.rmSync(historyDir, { recursive: true, force: true });
+
+  // ─── Test 28: Technical Indicators ───────────────
+  console.log("\nTest 28: Technical Indicators");
+  const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+  const ramp = [1, 2, 3, 4, 5];
+  assert(JSON.stringify(indicators.sma(ramp, 3)) === "[null,null,2,3,4]", "SMA on a fixed series");
+  assert(JSON.stringify(indicators.ema(ramp, 3)) === "[null,null,2,3,4]", "EMA seeds from the SMA");
+  const zigzag = Array.from({ length: 30 }, (_, i) => 100 + (i % 2));
+  assert(near(indicators.rsi(zigzag, 14)[14], 50, 1e-9), "RSI of equal gains and losses is 50");
+  const rising = Array.from({ length: 30 }, (_, i) => 100 + i);
+  assert(indicators.rsi(rising, 14)[29] === 100 && indicators.rsi(rising, 14)[13] === null, "RSI of a steady rise is 100");
+  const flat = new Array(40).fill(10);
+  const flatMacd = indicators.macd(flat);
+  assert(flatMacd.macd[39] === 0 && flatMacd.histogram[39] === 0 && flatMacd.signal[32] === null, "MACD is zero on a flat series");
+  assert(near(indicators.macd(rising).macd[29], indicators.ema(rising, 12)[29] - indicators.ema(rising, 26)[29]), "MACD is fast EMA minus slow EMA");
+  const bands = indicators.bollinger([1, 2, 3, 4, 5], 5, 2);
+  assert(near(bands.middle[4], 3) && near(bands.upper[4], 3 + 2 * Math.SQRT2), "Bollinger bands use population deviation");
+  assert(indicators.bollinger(flat, 20).bandwidth[39] === 0, "Flat series has zero bandwidth");
+  const steady = Array.from({ length: 20 }, (_, i) => ({ high: 11 + i, low: 9 + i, close: 10 + i }));
+  assert(near(indicators.atr(steady, 14)[19], 2), "ATR of steady 2-point ranges is 2");
+  const gapped = [{ high: 11, low: 9, close: 10 }, { high: 16, low: 14, close: 15 }];
+  assert(indicators.atr(gapped, 2)[1] === 4, "ATR true range includes gaps");
+  const cross = indicators.crossover([1, 2, 3, 4], [2, 2.5, 2.5, 2.5]);
+  assert(cross.direction === "up" && cross.barsAgo === 1, "Crossover reports direction and age");
+  assert(indicators.crossover([1, 2], [3, 4]) === null, "No crossover when the lines never cross");
+
+  // 70 days of decline then a sharp rally: SMA(20) recrosses SMA(50) on day 82
+  const dip = Array.from({ length: 84 }, (_, i) => (i < 70 ? 200 - i : 130 + (i - 69) * 6));
+  const dipCandles = dip.map((close, i) => ({ time: i, open: close, high: close + 1, low: close - 1, close }));
+  const reading = indicators.analyze(dipCandles);
+  assert(reading.sma.cross?.direction === "up" && reading.sma.cross.barsAgo === 2, "analyze() detects the moving-average cross");
+  assert(indicators.analyze(dipCandles.slice(0, 30)) === null, "analyze() needs enough candles");
+  const calm = Array.from({ length: 90 }, (_, i) => 100 + (i < 60 ? 10 * Math.sin(i) : 0.2 * Math.sin(i)));
+  const calmReading = indicators.analyze(calm.map((c) => ({ open: c, high: c + 0.1, low: c - 0.1, close: c })));
+  assert(calmReading.bollinger.squeeze, "analyze() flags a Bollinger squeeze");
+
+  const techSignals = new IntelEngine({ history })._indicatorNarratives({
+    SOL: { ...calmReading, rsi: 24.6 },
+    ETH: reading,
+  });
+  const oversold = techSignals.find((n) => n.narrative === "SOL Oversold");
+  assert(oversold && oversold.evidence.includes("RSI(14) at 24.6"), "Oversold signal cites RSI");
+  const squeeze = techSignals.find((n) => n.narrative === "SOL Volatility Squeeze");
+  assert(squeeze && /bandwidth \d+\.\d% .*ATR\(14\)/.test(squeeze.evidence), "Squeeze signal cites bandwidth and ATR");
+  const smaCross = techSignals.find((n) => n.narrative === "ETH SMA(20/50) Bullish Cross");
+  assert(
+    smaCross?.type === "sma-cross-up" && smaCross.evidence.includes("SMA(20)") && smaCross.evidence.includes("SMA(50)"),
+    "Moving-average cross is named for the averages it compares"
+  );
+  const cents = indicators.analyze(dipCandles.map((c) => ({ ...c, open: c.open / 1e5, high: c.high / 1e5, low: c.low / 1e5, close: c.close / 1e5 })));
+  assert(
+    cents.macd.histogram !== 0 && Math.abs(cents.macd.histogram * 1e5 - reading.macd.histogram) < 1e-6 * Math.abs(reading.macd.histogram),
+    `MACD keeps its precision for sub-dollar assets (${cents.macd.histogram})`
+  );
+
+  // ─── Test 29: Price Providers & Aggregation ──────
+  console.log("\nTest 29: Price Providers & Aggregation");
+  const providerCalls = [];
+  const fakeExchange = async (url) => {
+    providerCalls.push(url);
+    if (url.includes("coingecko")) {
+      return { bitcoin: { usd: 100000, usd_24h_change: 2.5, usd_market_cap: 2e12 } };
+    }
+    if (url.includes("binance")) {
+      return url.includes("FOOUSDT")
+        ? { code: -1121, msg: "Invalid symbol." }
+        : { lastPrice: "100100.00", priceChangePercent: "2.7" };
+    }
+    if (url.includes("kraken")) return { error: [], result: { XXBTZUSD: { c: ["99900.0", "1"] } } };
+    return { data: { amount: "100050.00", currency: "USD" } };
+  };
+  const chain = createProviders("coingecko, binance,kraken,coinbase", fakeExchange, {
+    coingecko: { BTC: "bitcoin" },
+  });
+  assert(chain.map((p) => p.name).join(",") === "coingecko,binance,kraken,coinbase", "Provider chain built from names");
+  let badChain = null;
+  try {
+    createProviders("coingecko,ftx", fakeExchange);
+  } catch (err) {
+    badChain = err;
+  }
+  assert(badChain && /Unknown price provider: ftx/.test(badChain.message), "Unknown provider names are rejected");
+
+  const gecko = await new CoinGeckoProvider(fakeExchange, { BTC: "bitcoin" }).fetchPrices(["BTC"]);
+  assert(gecko.BTC.price === 100000 && gecko.BTC.marketCap === 2e12, "CoinGecko quote parsed");
+  const binance = await new BinanceProvider(fakeExchange).fetchPrices(["BTC", "FOO"]);
+  assert(binance.BTC.price === 100100 && !binance.FOO, "Binance quote parsed; unlisted symbols skipped");
+  const kraken = await new KrakenProvider(fakeExchange).fetchPrices(["BTC"]);
+  assert(kraken.BTC.price === 99900 && providerCalls.some((u) => u.endsWith("pair=XBTUSD")), "Kraken maps BTC to XBT");
+  const coinbase = await new CoinbaseProvider(fakeExchange).fetchPrices(["BTC"]);
+  assert(coinbase.BTC.price === 100050 && providerCalls.some((u) => u.includes("/prices/BTC-USD/spot")), "Coinbase spot parsed");
+  const flaky = async (url) => {
+    if (url.includes("ETH")) throw new Error("socket hang up");
+    return fakeExchange(url);
+  };
+  const partial = await new CoinbaseProvider(flaky).fetchPrices(["BTC", "ETH"]);
+  assert(partial.BTC.price === 100050 && !partial.ETH, "One failing symbol keeps the other quotes");
+  let allFailed = null;
+  await new KrakenProvider(flaky).fetchPrices(["ETH"]).catch((err) => (allFailed = err));
+  assert(allFailed?.message === "ETH: socket hang up", "A provider rejects only when nothing was quoted");
+
+  providerCalls.length = 0;
+  const aggregated = await new PriceAggregator(chain).fetchPrices(["BTC"]);
+  assert(aggregated.BTC.price === 100000 && aggregated.BTC.sources.join(",") === "coingecko,binance,kraken", "Median of the first three providers");
+  assert(!providerCalls.some((u) => u.includes("coinbase")), "Chain stops once enough sources quote");
+  assert(aggregated.BTC.dispersionPct === 0.2 && aggregated.BTC.marketCap === 2e12, "Dispersion and market cap recorded");
+
+  const stub = (name, price, fail = false) => ({
+    name,
+    fetchPrices: async () => {
+      if (fail) throw new Error("429 Too Many Requests");
+      return { BTC: { price } };
+    },
+  });
+  const fallback = await new PriceAggregator([
+    stub("coingecko", 0, true),
+    stub("binance", 100000),
+    stub("kraken", 100020),
+    stub("coinbase", 100040),
+  ]).fetchPrices(["BTC"]);
+  assert(fallback.BTC.sources.join(",") === "binance,kraken,coinbase", "Failed provider falls through to the next");
+  const outlier = new PriceAggregator([]).aggregate([
+    { provider: "a", price: 100 },
+    { provider: "b", price: 101 },
+    { provider: "c", price: 130 },
+    { provider: "d", price: 100.5 },
+  ]);
+  assert(outlier.price === 100.5 && outlier.rejected[0]?.provider === "c", "Outlier rejected before the median");
+  const split = new PriceAggregator([]).aggregate([
+    { provider: "a", price: 100 },
+    { provider: "b", price: 120 },
+  ]);
+  assert(split.price === 110 && split.rejected.length === 0 && split.dispersionPct > 18, "Two quotes are kept, with their spread");
+
+  const aggEngine = new IntelEngine({ history, prices: new PriceAggregator(chain) });
+  const [aggAsset] = aggEngine._assetData(await aggEngine._fetchPriceData(["btc"]));
+  assert(aggAsset.sources.length === 3 && aggAsset.dispersionPct === 0.2, "Report assets record providers and spread");
+
+  // ─── Test 30: Asset Registry ─────────────────────
+  console.log("\nTest 30: Asset Registry");
+  const registry = AssetRegistry.load();
+  assert(registry.has("HBAR") && registry.get("btc").providers.coingecko === "bitcoin", "Default registry loads from config");
+  assert(
+    JSON.stringify(registry.findInText("compare saucerswap with hbarx and hedera")) === '["HBAR","SAUCE","HBARX"]',
+    "Aliases match whole words only"
+  );
+  assert(registry.findInText("ethernet solder") === null, "Partial words do not match");
+  assert(registry.resolve("Ether") === "ETH", "Alias resolves to its symbol");
+  assert(
+    registry.byCategory("hedera ecosystem").map((a) => a.symbol).join(",") === "HBAR,SAUCE,HBARX",
+    "Assets listed by category"
+  );
+  assert(registry.providerIds("kraken").BTC === "XBTUSD", "Provider ids come from the registry");
+
+  const coinList = async (url) => {
+    assert(url.includes("/coins/list?include_platform=true"), "Lookup uses the CoinGecko coin list");
+    return [
+      { id: "hedera-hashgraph", symbol: "hbar", name: "Hedera", platforms: {} },
+      { id: "karate-combat", symbol: "karate", name: "Karate Combat", platforms: { "hedera-hashgraph": "0.0.2283230" } },
+      { id: "pepe-eth", symbol: "pepe", name: "Pepe", platforms: { ethereum: "0x6982" } },
+      { id: "pepe-hts", symbol: "pepe", name: "Pepe HTS", platforms: {} },
+    ];
+  };
+  const karate = await registry.addFromProvider("karate", coinList, { categories: ["Gaming"] });
+  assert(
+    karate.htsTokenId === "0.0.2283230" && karate.categories.join(",") === "Gaming,Hedera ecosystem",
+    "Hedera tokens get their HTS id and category"
+  );
+  const ambiguous = await registry.addFromProvider("pepe", coinList).catch((e) => e);
+  assert(/matches 2 coins \(pepe-eth, pepe-hts\)/.test(ambiguous.message), "Ambiguous symbols ask for an id");
+  const byCoinId = await registry.addFromProvider("pepe-hts", coinList);
+  assert(byCoinId.symbol === "PEPE" && byCoinId.providers.coingecko === "pepe-hts", "Coins can be added by id");
+
+  const registryFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-assets-")), "assets.json");
+  const configText = fs.readFileSync(path.join(__dirname, "config", "assets.json"), "utf8");
+  AssetRegistry.load().save(registryFile);
+  assert(fs.readFileSync(registryFile, "utf8") === configText, "Saving an unchanged registry leaves the config file as it was");
+  registry.save(registryFile);
+  const savedKarate = JSON.parse(fs.readFileSync(registryFile, "utf8")).assets.find((a) => a.symbol === "KARATE");
+  assert(savedKarate.aliases.join(",") === "karate-combat", "Derived aliases are not written back");
+  const reloadedRegistry = AssetRegistry.load(registryFile);
+  assert(reloadedRegistry.get("KARATE")?.htsTokenId === "0.0.2283230", "Registry round-trips through its file");
+
+  const registryEngine = new IntelEngine({ assets: reloadedRegistry, history });
+  const registryAgent = new OpenConvAIAgent(registryEngine, liveNet);
+  assert(
+    JSON.stringify(registryAgent._extractAssets("how is karate combat doing vs bitcoin?")) === '["BTC","KARATE"]',
+    "Chat parser reads the engine's registry"
+  );
+  assert(registryEngine.prices.providers[0].ids.KARATE === "karate-combat", "Price providers read the same registry");
+  fs.rmSync(path.dirname(registryFile), { recursive: true, force: true });
+
+  // ─── Test 31: News Ingestion & Sentiment ─────────
+  console.log("\nTest 31: News Ingestion & Sentiment");
+  const rss = `<?xml version="1.0"?><rss><channel><title>Wire</title>
+    <item><title><![CDATA[Hedera &amp; partners launch tokenization pilot]]></title>
+      <link>https://wire.example/hbar-pilot</link><pubDate>Mon, 01 Jun 2026 09:00:00 GMT</pubDate>
+      <description>&lt;p&gt;HBAR adoption grows as banks integrate HCS.&lt;/p&gt;</description></item>
+    <item><title>Solana outage halts block production</title><link>https://wire.example/sol</link>
+      <pubDate>Mon, 01 Jun 2026 08:00:00 GMT</pubDate></item>
+    <item><title>Bitcoin miners rally in 2024 retrospective</title><link>https://wire.example/old</link>
+      <pubDate>Tue, 02 Jan 2024 08:00:00 GMT</pubDate></item>
+  </channel></rss>`;
+  const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+    <entry><title>Hedera partners launch tokenization pilot</title>
+      <link rel="alternate" href="https://atom.example/pilot"/><updated>2026-06-01T10:00:00Z</updated>
+      <summary>Banks integrate HCS.</summary></entry>
+    <entry><title>Weather report</title><link href="https://atom.example/weather"/>
+      <updated>2026-06-01T10:00:00Z</updated></entry>
+  </feed>`;
+  const rssItems = parseFeed(rss);
+  assert(
+    rssItems.length === 3 && rssItems[0].title === "Hedera & partners launch tokenization pilot",
+    "RSS items parsed with CDATA and entities"
+  );
+  assert(rssItems[0].summary === "HBAR adoption grows as banks integrate HCS.", "Escaped HTML stripped from summaries");
+  const atomItems = parseFeed(atom);
+  assert(
+    atomItems[0].link === "https://atom.example/pilot" && atomItems[0].publishedAt === "2026-06-01T10:00:00.000Z",
+    "Atom entries parsed with link href and date"
+  );
+  assert(scoreSentiment("ETF approval sparks rally") === 1, "Positive headline scores +1");
+  assert(scoreSentiment("Exchange hacked, withdrawals halted after exploit") === -1, "Negative headline scores -1");
+  assert(scoreSentiment("Regulator does not approve ETF") === -1, "Negation flips sentiment");
+  assert(scoreSentiment("Markets open on Monday") === 0, "No lexicon words is neutral");
+  assert(scoreSentiment("BTC hits new high as fees stay low") === 0, "Price levels are not sentiment");
+  assert(
+    parseFeed("<rss><item><title>HBAR &#99999999; &#xD800; &#x1F680; pilot</title></item></rss>")[0].title === "HBAR &#99999999; &#xD800; 🚀 pilot",
+    "Out-of-range character references are kept raw"
+  );
+  assert(
+    headlineSimilarity("Hedera & partners launch tokenization pilot", "Hedera partners launch tokenization pilot") === 1,
+    "Headlines compared on content words"
+  );
+  const deduped = dedupeHeadlines([
+    { title: "Hedera partners launch tokenization pilot", source: "Atom", publishedAt: "2026-06-01T10:00:00.000Z" },
+    { title: "Hedera & partners launch tokenization pilot", source: "Wire", publishedAt: "2026-06-01T09:00:00.000Z" },
+  ]);
+  assert(deduped.length === 1 && deduped[0].source === "Wire" && deduped[0].alsoIn[0] === "Atom", "Near-duplicates fold into the earliest");
+
+  const feedBodies = { "https://wire.example/rss": rss, "https://atom.example/atom": atom, "https://broken.example/rss": {} };
+  const newsFeed = new NewsIngestor(
+    [
+      { name: "Wire", url: "https://wire.example/rss" },
+      { name: "Atom", url: "https://atom.example/atom" },
+      { name: "Down", url: "https://down.example/rss" },
+      { name: "Broken", url: "https://broken.example/rss" },
+    ],
+    {
+      fetchText: async (url) => {
+        if (!feedBodies[url]) throw new Error("ENOTFOUND");
+        return feedBodies[url];
+      },
+      assets: AssetRegistry.load(),
+      now: () => Date.UTC(2026, 5, 1, 12),
+    }
+  );
+  const headlines = await newsFeed.fetch(["HBAR", "SOL", "BTC"]);
+  assert(headlines.length === 2, "Old, untagged and duplicate items dropped; failed and unparseable feeds skipped");
+  const hbarNews = headlines.find((h) => h.assets.includes("HBAR"));
+  assert(hbarNews?.label === "bullish" && hbarNews.alsoIn.includes("Atom"), "Items tagged by alias and scored");
+  const solNews = headlines.find((h) => h.assets.includes("SOL"));
+  assert(solNews?.label === "bearish", "Outage headline is bearish");
+  assert((await newsFeed.fetch(["ETH"])).length === 0, "Only requested assets are kept");
+
+  const manyHeadlines = Array.from({ length: 4 }, (_, i) => ({
+    title: `Hedera adoption story ${i}`,
+    source: "Wire",
+    publishedAt: "2026-06-01T09:00:00.000Z",
+    assets: ["HBAR"],
+    sentiment: 0.8,
+  }));
+  const newsSignals = engine._detectNarratives(
+    { SOL: { price: 150, change24h: -8 }, HBAR: { price: 0.2, change24h: 1 } },
+    [...manyHeadlines, { ...solNews, sentiment: -1 }],
+    "general"
+  );
+  const solCorrection = newsSignals.find((n) => n.narrative === "SOL Correction");
+  assert(
+    solCorrection && /news: 1 headline, sentiment -1\.00 \(bearish\)/.test(solCorrection.evidence),
+    "Price narrative carries news evidence"
+  );
+  assert(Math.abs(solCorrection.score - (8 / 15) * 1.15) < 1e-9, "Agreeing news raises the score");
+  const hbarFlow = newsSignals.find((n) => n.narrative === "HBAR Bullish News Flow");
+  assert(hbarFlow && hbarFlow.evidence.includes("4 headlines"), "News flow narrative without a price move");
+
+  // ─── Test 32: Narrative Rules ────────────────────
+  console.log("\nTest 32: Narrative Rules");
+  const ruleCtx = { price: 2, news: { count: 3 }, history: { "7d": { changePct: -4 } } };
+  assert(evaluateExpression(parseExpression("1 + 2 * 3 - 4 / 2"), {}) === 5, "Arithmetic follows precedence");
+  assert(
+    evaluateExpression(parseExpression("news.count >= 3 && !(history.7d.changePct > 0) || price > 10"), ruleCtx) === true,
+    "Conditions read metric paths"
+  );
+  assert(evaluateExpression(parseExpression("clamp(0.2 * news.count, 0, 0.5)"), ruleCtx) === 0.5, "Functions in score formulas");
+  let badRule = null;
+  try {
+    new NarrativeRules([{ id: "broken", narrative: "X", when: "price >" }]);
+  } catch (err) {
+    badRule = err;
+  }
+  assert(badRule && badRule.message.startsWith("Narrative rule broken:"), "Malformed rules are rejected by id");
+  let badFunction = null;
+  try {
+    parseExpression("process(1)");
+  } catch (err) {
+    badFunction = err;
+  }
+  assert(badFunction && /Unknown function process/.test(badFunction.message), "Only whitelisted functions are callable");
+
+  const customRules = new NarrativeRules([
+    {
+      id: "cheap-and-loved",
+      narrative: "{{symbol}} Cheap and Loved",
+      when: "indicators.rsi < 35 && news.sentiment > 0.3",
+      score: "0.5 + news.sentiment / 2",
+      evidence: "RSI {{indicators.rsi}} with sentiment {{fixed(news.sentiment, 2)}} at ${{price}}",
+      action: "Scale into {{symbol}}.",
+    },
+    {
+      id: "hedera-heat",
+      narrative: "{{name}} Heating Up",
+      category: "Hedera ecosystem",
+      when: "change24h > 10",
+      score: 0.6,
+      evidence: "{{symbol}} +{{fixed(change24h, 1)}}%",
+    },
+    {
+      id: "network-busy",
+      narrative: "Busy Network",
+      scope: "market",
+      when: "network.healthScore >= 90 && assets.HBAR.change24h > 0",
+      score: "network.healthScore / 100",
+      evidence: "Health {{network.healthScore}}",
+    },
+  ]);
+  assert(customRules.usesNetwork(), "Rules reading network metrics are detected");
+  assert(!NarrativeRules.load().rules.some((r) => !r.when), "Default rule file loads");
+  const fired = customRules.evaluate({
+    prices: { SOL: { price: 140, change24h: 1 }, SAUCE: { price: 0.05, change24h: 12 }, HBAR: { price: 0.2, change24h: 1 } },
+    technicals: { SOL: { rsi: 28.4 }, HBAR: { rsi: 50 } },
+    news: { SOL: { count: 4, sentiment: 0.6 } },
+    network: { healthScore: 95 },
+    registry: AssetRegistry.load(),
+  });
+  const cheap = fired.find((n) => n.rule === "cheap-and-loved");
+  assert(
+    cheap && cheap.narrative === "SOL Cheap and Loved" && cheap.score === 0.8 &&
+      cheap.evidence === "RSI 28.4 with sentiment 0.60 at $140" && cheap.action === "Scale into SOL.",
+    "Per-asset rule renders its templates"
+  );
+  assert(fired.filter((n) => n.rule === "cheap-and-loved").length === 1, "Assets missing a metric do not fire");
+  assert(
+    fired.filter((n) => n.rule === "hedera-heat").map((n) => n.narrative).join() === "SaucerSwap Heating Up",
+    "Category rules apply to registry members"
+  );
+  assert(fired.some((n) => n.rule === "network-busy" && n.score === 0.95), "Market rules see network metrics");
+
+  const ruleEngine = new IntelEngine({ history, rules: NarrativeRules.load() });
+  const quiet = ruleEngine._detectNarratives({ HBAR: { price: 0.2, change24h: 1 }, SOL: { price: 140, change24h: 1 } }, [], "general");
+  assert(
+    !quiet.some((n) => n.narrative === "Hedera Enterprise Adoption" || n.narrative === "Solana AI Agent Economy"),
+    "Ecosystem narratives no longer fire without supporting data"
+  );
+  const adoption = ruleEngine._detectNarratives({ HBAR: { price: 0.2, change24h: 1 } }, manyHeadlines, "general");
+  const adoptionSignal = adoption.find((n) => n.narrative === "Hedera Enterprise Adoption");
+  assert(
+    adoptionSignal?.rule === "hbar-enterprise-adoption" && adoptionSignal.evidence.includes("4 headlines"),
+    "Ecosystem narrative fires from news evidence"
+  );
+
+  let networkCalls = 0;
+  const networkEngine = new IntelEngine({
+    history,
+    rules: customRules,
+    prices: { fetchPrices: async () => ({ HBAR: { price: 0.2, change24h: 2 } }) },
+    news: { fetch: async () => [] },
+    network: { generateNetworkReport: async () => (networkCalls++, { healthScore: 92 }) },
+  });
+  const networkReport = await networkEngine.generateReport({ assets: ["HBAR"] });
+  assert(
+    networkCalls === 1 && networkReport.signals.some((n) => n.rule === "network-busy"),
+    "Engine fetches network metrics for rules that use them"
+  );
+
+  // ─── Test 33: Backtesting ────────────────────────
+  console.log("\nTest 33: Backtesting");
+
+  assert(parseDuration("4h") === 4 * 3600000 && parseDuration("1w") === 7 * 86400000, "Durations parse");
+  let badDuration = null;
+  try {
+    parseDuration("soon");
+  } catch (err) {
+    badDuration = err.message;
+  }
+  assert(badDuration?.startsWith("Invalid duration"), "Invalid durations are rejected");
+  let zeroDuration = null;
+  try {
+    parseDuration("0d");
+  } catch (err) {
+    zeroDuration = err.message;
+  }
+  assert(zeroDuration?.startsWith("Invalid duration"), "--every 0d is rejected");
+
+  // 120 days of hourly points: a slow sine wave with a drift
+  const btDir = fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-backtest-"));
+  const btStart = Date.UTC(2026, 0, 1);
+  const btSeries = [];
+  for (let h = 0; h < 120 * 24; h++) {
+    btSeries.push([btStart + h * 3600000, 100 + h * 0.01 + 20 * Math.sin((h / 24) * ((2 * Math.PI) / 30))]);
+  }
+  fs.writeFileSync(path.join(btDir, "BTC.json"), JSON.stringify({ series: btSeries, updatedAt: btStart }));
+  const btHistory = new PriceHistory(btDir, { httpGet: async () => { throw new Error("offline"); } });
+
+  const view = btHistory.asOf(btStart + 10 * 86400000);
+  assert(
+    view.getSeries("BTC").slice(-1)[0][0] === btStart + 10 * 86400000,
+    "Historical view hides later points"
+  );
+  let refreshError = null;
+  try {
+    await view.refresh("BTC", "bitcoin");
+  } catch (err) {
+    refreshError = err.message;
+  }
+  assert(refreshError !== null, "Historical view cannot be refreshed");
+
+  const backtester = new Backtester(new IntelEngine({ history: btHistory, rules: new NarrativeRules([]) }), btHistory);
+  const bt = backtester.run({ assets: ["BTC"], horizonMs: 86400000 * 3 });
+  assert(bt.steps === 116 && bt.horizon === "3d", `Replays one step per day (${bt.steps})`);
+  assert(bt.overall.signals > 0 && bt.overall.directional > 0, `Signals scored (${bt.overall.signals})`);
+  assert(
+    "oversold" in bt.byType && "overbought" in bt.byType,
+    "Results are grouped by signal type"
+  );
+
+  const sample = bt.signals.find((s) => s.hit !== null);
+  const sampleTime = new Date(sample.time).getTime();
+  const expectedExit = btSeries.find(([t]) => t === sampleTime + 86400000 * 3)[1];
+  assert(
+    sample.exit === expectedExit &&
+      sample.hit === (sample.direction === "bullish" ? sample.exit > sample.entry : sample.exit < sample.entry),
+    "Signals are scored against the forward return"
+  );
+  assert(
+    bt.calibration.reduce((acc, row) => acc + row.count, 0) === bt.overall.directional,
+    "Calibration buckets cover every directional signal"
+  );
+  assert(bt.overall.brier >= 0 && bt.overall.brier <= 1, `Brier score in range (${bt.overall.brier})`);
+
+  let missingHistory = null;
+  try {
+    backtester.run({ assets: ["DOGE"] });
+  } catch (err) {
+    missingHistory = err.message;
+  }
+  assert(missingHistory?.includes("No cached price history"), "Backtest needs cached history");
+
+  let stalledCadence = null;
+  try {
+    backtester.run({ assets: ["BTC"], cadenceMs: 0 });
+  } catch (err) {
+    stalledCadence = err.message;
+  }
+  assert(stalledCadence?.includes("cadence must be positive"), "Backtest refuses a zero cadence");
+
+  const riskOff = new NarrativeRules(JSON.parse(fs.readFileSync("config/narratives.json", "utf-8")).rules).evaluate({
+    prices: { BTC: { price: 60000, change24h: -5 }, ETH: { price: 3000, change24h: -6 } },
+  });
+  const riskOffSignal = riskOff.find((n) => n.rule === "majors-risk-off");
+  assert(
+    riskOffSignal?.asset === "BTC" && riskOffSignal.direction === "bearish",
+    "Market rules carry the asset and direction they call"
+  );
+
+  // ─── Test 34: Signal Scorecards ──────────────────
+  console.log("\nTest 34: Signal Scorecards");
+  configureSimulator();
+  const scorer = new HederaService();
+  await scorer.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+  const scoreTopic = await scorer.createTopic("scorecards");
+
+  const callTime = btStart + 40 * 86400000;
+  const calledReport = {
+    title: "Scored Brief",
+    generatedAt: new Date(callTime).toISOString(),
+    assets: [{ symbol: "BTC" }, { symbol: "ETH" }],
+    signals: [
+      { narrative: "BTC Momentum", type: "bullish-momentum", asset: "BTC", direction: "bullish", score: 0.7 },
+      { narrative: "BTC Correction", type: "correction", asset: "BTC", direction: "bearish", score: 0.6 },
+      { narrative: "BTC Range", type: "range-high", asset: "BTC", direction: "neutral", score: 0.4 },
+      { narrative: "ETH Momentum", type: "bullish-momentum", asset: "ETH", direction: "bullish", score: 0.5 },
+      { narrative: "Market Mood", score: 0.3 },
+    ],
+  };
+  const calledReceipt = await scorer.publishReport(calledReport);
+  const scoreArchive = new ReportArchive(fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-score-archive-")));
+  scoreArchive.record({ title: "Unpublished", generatedAt: calledReport.generatedAt, signals: [] });
+  const calledEntry = scoreArchive.record(calledReport, calledReceipt);
+
+  let scoreClock = callTime + 2 * 86400000;
+  const tracker = new ScorecardTracker(scoreArchive, btHistory, {
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-scorecards-")),
+    now: () => scoreClock,
+  });
+  const dueNow = tracker.due();
+  assert(
+    dueNow.length === 1 && dueNow[0].entry.id === calledEntry.id && dueNow[0].horizon.label === "24h",
+    "Only published reports past a horizon are due"
+  );
+
+  const card = tracker.build(dueNow[0].entry, dueNow[0].horizon);
+  const btMove = btSeries[(40 + 1) * 24][1] / btSeries[40 * 24][1] - 1;
+  const bullCall = card.calls.find((c) => c.direction === "bullish");
+  assert(
+    card.calls.length === 3 && card.calls.every((c) => c.asset === "BTC"),
+    "Calls without cached prices or an asset are left out"
+  );
+  assert(
+    bullCall.entryPrice === btSeries[40 * 24][1] && Math.abs(bullCall.movePct - btMove * 100) < 0.01,
+    `Realized move is measured over the horizon (${bullCall.movePct}%)`
+  );
+  assert(
+    bullCall.outcome === (btMove > 0 ? "correct" : "incorrect") &&
+      card.calls.find((c) => c.direction === "bearish").outcome === (btMove < 0 ? "correct" : "incorrect") &&
+      card.calls.find((c) => c.direction === "neutral").outcome === "unscored",
+    "Calls are classified by direction"
+  );
+  assert(card.correct === 1 && card.incorrect === 1 && card.accuracy === 0.5, "Scorecard tallies directional calls");
+  assert(
+    card.report.sequenceNumber === calledEntry.sequenceNumbers[0] && card.report.digest === calledEntry.digest,
+    "Scorecard references the original report on-chain"
+  );
+
+  const cardReceipt = await scorer.publishScorecard(card);
+  const { envelope: cardEnvelope } = await scorer._fetchEnvelope(
+    scoreTopic,
+    cardReceipt.sequenceNumber || cardReceipt.chunks[0].sequenceNumber
+  );
+  assert(
+    cardEnvelope.type === "signal_scorecard" && verifyReportSignature(cardEnvelope.scorecard, cardEnvelope.signature),
+    "Scorecard is published signed"
+  );
+
+  tracker.record(dueNow[0].entry, card, cardReceipt);
+  scoreClock = callTime + 8 * 86400000;
+  const dueLater = tracker.due();
+  assert(dueLater.length === 1 && dueLater[0].horizon.label === "7d", "Scored horizons are not revisited");
+  const record = tracker.trackRecord();
+  assert(
+    record.scorecards === 1 && record.byHorizon["24h"].accuracy === 0.5 && record.byType["correction (24h)"],
+    "Track record aggregates by horizon and signal type"
+  );
+
+  const premiumReceipt = await scorer.publishReport(calledReport, { recipients: [generateSubscriberKey().publicKey] });
+  const premiumArchive = new ReportArchive(fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-premium-archive-")));
+  const premiumEntry = premiumArchive.record(calledReport, premiumReceipt, { encrypted: true });
+  const premiumTracker = new ScorecardTracker(premiumArchive, btHistory, {
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-premium-scores-")),
+    now: () => scoreClock,
+  });
+  assert(
+    premiumEntry.encrypted && premiumEntry.sequenceNumbers.length > 0 && premiumTracker.due().length === 0,
+    "Encrypted reports never become due for a public scorecard"
+  );
+
+  // ─── Test 35: Cross-Asset Analysis ───────────────
+  console.log("\nTest 35: Cross-Asset Analysis");
+  assert(crossAsset.correlation([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], [2, 4, 6, 8, 10, 12, 14, 16, 18, 20]) === 1, "Perfectly linked series correlate at 1");
+  assert(crossAsset.correlation([1, 2, 3], [3, 2, 1]) === null, "Too few points give no correlation");
+
+  // 180 4h candles: ETH tracks BTC throughout; HBAR tracks it until the last week
+  let seed = 7;
+  const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5) * 0.02;
+  const fourHours = 4 * 3600000;
+  const crossCandles = { BTC: [], ETH: [], HBAR: [] };
+  const crossClose = { BTC: 60000, ETH: 3000, HBAR: 0.1 };
+  for (let i = 0; i < 180; i++) {
+    const market = noise() * 2;
+    const moves = {
+      BTC: market,
+      ETH: market + noise() * 0.3,
+      HBAR: i < 138 ? market + noise() * 0.3 : noise() * 2 + 0.004,
+    };
+    for (const symbol of Object.keys(crossCandles)) {
+      crossClose[symbol] *= 1 + moves[symbol];
+      const close = crossClose[symbol];
+      crossCandles[symbol].push({ time: i * fourHours, open: close, high: close, low: close, close });
+    }
+  }
+
+  const crossPrices = {
+    BTC: { price: 60000, change24h: 1, marketCap: 1.2e12 },
+    ETH: { price: 3000, change24h: 2, marketCap: 3.6e11 },
+    HBAR: { price: 0.1, change24h: 8, marketCap: 4e9 },
+  };
+  const crossSummaries = {
+    BTC: { "7d": { changePct: 2 } },
+    ETH: { "7d": { changePct: 1 } },
+    HBAR: { "7d": { changePct: 12.2 } },
+  };
+  const relations = crossAsset.analyze({ candles: crossCandles, prices: crossPrices, summaries: crossSummaries });
+
+  assert(
+    relations.correlation.points === 179 && relations.correlation.matrix.BTC.ETH > 0.9 && relations.correlation.matrix.ETH.BTC === relations.correlation.matrix.BTC.ETH,
+    `Correlation matrix is symmetric (BTC/ETH ${relations.correlation.matrix.BTC.ETH})`
+  );
+  assert(relations.correlation.recent.BTC.HBAR < 0.3, `Recent window sees HBAR drift away (${relations.correlation.recent.BTC.HBAR})`);
+  assert(
+    Math.abs(relations.dominance.btcPct - (1.2e12 / (1.2e12 + 3.6e11 + 4e9)) * 100) < 0.01,
+    `BTC dominance from tracked market caps (${relations.dominance.btcPct}%)`
+  );
+  assert(
+    relations.relativeStrength.HBAR.vsBTC["7d"] === 10 && relations.relativeStrength.HBAR.vsETH["24h"] === 5.88,
+    "Relative strength compares performance against BTC and ETH"
+  );
+  assert(!relations.relativeStrength.BTC.vsBTC && relations.relativeStrength.BTC.vsETH, "Benchmarks are not compared with themselves");
+
+  const decoupled = relations.decoupling.map((e) => e.asset);
+  assert(decoupled.length === 1 && decoupled[0] === "HBAR", "Decoupling flags only the asset that broke away");
+
+  // A newly listed asset with 5 days of candles only shortens its own pairs
+  const listed = crossCandles.ETH.slice(-30).map((c) => ({ ...c, close: c.close * 0.01 }));
+  const withListing = crossAsset.analyze({ candles: { ...crossCandles, NEW: listed }, prices: crossPrices, summaries: crossSummaries });
+  assert(
+    withListing.correlation.matrix.BTC.ETH === relations.correlation.matrix.BTC.ETH && withListing.correlation.matrix.NEW.ETH === 1,
+    "Correlations are aligned per pair, so a short history does not shrink the others"
+  );
+  assert(
+    withListing.decoupling.map((e) => e.asset).join(",") === "HBAR",
+    "Decoupling still sees the full window next to a new listing"
+  );
+
+  const crossEngine = new IntelEngine({ history, rules: new NarrativeRules([
+    { id: "hbar-beats-btc", narrative: "HBAR Leads", assets: ["HBAR"], when: "relative.vsBTC.7d > 5", direction: "bullish" },
+    { id: "btc-dominant", narrative: "BTC Dominant", scope: "market", when: "dominance.btcPct > 70" },
+  ]) });
+  const crossSignals = crossEngine._detectNarratives(crossPrices, [], "general", crossSummaries, {}, null, relations);
+  const decouplingSignal = crossSignals.find((n) => n.type === "decoupling");
+  assert(
+    decouplingSignal?.asset === "HBAR" && decouplingSignal.direction === "bullish" && decouplingSignal.evidence.includes("vs BTC over 7d"),
+    "Decoupling becomes a narrative pointed by relative performance"
+  );
+  assert(
+    crossSignals.some((n) => n.rule === "hbar-beats-btc") && crossSignals.some((n) => n.rule === "btc-dominant"),
+    "Rules can read relative strength and dominance"
+  );
+
+  // ─── Test 36: Confidence Model ───────────────────
+  console.log("\nTest 36: Confidence Model");
+  const confNow = Date.UTC(2026, 5, 1);
+  const solidQuote = { price: 100, sources: ["coingecko", "binance", "kraken"], dispersionPct: 0.1 };
+  const solid = scoreConfidence({
+    requested: ["BTC", "ETH"],
+    prices: { BTC: solidQuote, ETH: solidQuote },
+    historyUpdatedAt: { BTC: confNow - 600000, ETH: confNow - 600000 },
+    now: confNow,
+  });
+  assert(
+    solid.label === "high" && solid.components.agreement === 1 && solid.components.accuracy === 0.5,
+    `Fresh, agreeing quotes score high (${solid.score})`
+  );
+
+  const thin = scoreConfidence({
+    requested: ["BTC", "ETH", "SOL", "HBAR"],
+    prices: { BTC: { price: 100, sources: ["coinbase"], dispersionPct: 0 } },
+    historyUpdatedAt: { BTC: confNow - 30 * 3600000 },
+    now: confNow,
+  });
+  assert(
+    thin.components.coverage === 0.25 && thin.components.agreement === 0.33 && thin.components.freshness < 1,
+    "Components reflect missing assets, single sources and stale history"
+  );
+  assert(thin.label === "low" && thin.score < solid.score, `Thin data scores low (${thin.score})`);
+
+  const wide = scoreConfidence({ requested: ["BTC"], prices: { BTC: { ...solidQuote, dispersionPct: 1.5 } }, now: confNow });
+  assert(wide.components.dispersion === 0.25, "Wide quote spread lowers the dispersion component");
+
+  const proven = scoreConfidence({
+    requested: ["BTC"],
+    prices: { BTC: solidQuote },
+    trackRecord: { byHorizon: { "24h": { correct: 17, incorrect: 1 }, "7d": { correct: 0, incorrect: 0 } } },
+    now: confNow,
+  });
+  assert(proven.components.accuracy === 0.9, "Track record feeds the accuracy component");
+  assert(scoreConfidence({ requested: ["BTC"] }).label === "low", "No data scores low");
+
+  const confEngine = new IntelEngine({
+    history,
+    rules: new NarrativeRules([]),
+    prices: { fetchPrices: async () => ({ BTC: solidQuote }) },
+    news: { fetch: async () => [] },
+  });
+  confEngine.setScorecards(tracker);
+  const confReport = await confEngine.generateReport({ assets: ["BTC", "ETH"] });
+  assert(
+    confReport.confidenceComponents.coverage === 0.5 &&
+      confReport.confidence === (confReport.confidenceScore >= 0.75 ? "high" : confReport.confidenceScore >= 0.5 ? "medium" : "low"),
+    `Reports carry the score, its components and label (${confReport.confidenceScore} ${confReport.confidence})`
+  );
+
+  // ─── Test 37: Focus Profiles ─────────────────────
+  console.log("\nTest 37: Focus Profiles");
+  assert(getProfile("hedera").name === "hedera-ecosystem" && getProfile("query").name === "general", "Legacy focus names are aliases");
+  let badFocus = null;
+  try {
+    getProfile("memes");
+  } catch (err) {
+    badFocus = err.message;
+  }
+  assert(badFocus?.startsWith("Unknown focus: memes"), "Unknown focus names are rejected");
+
+  const mixedSignals = [
+    { narrative: "A", type: "bullish-momentum", asset: "SOL", direction: "bullish", score: 0.9 },
+    { narrative: "B", type: "correction", asset: "BTC", direction: "bearish", score: 0.8 },
+    { narrative: "C", type: "volatility-squeeze", asset: "ETH", direction: "neutral", score: 0.7 },
+    { narrative: "D", type: "oversold", asset: "SAUCE", direction: "bullish", score: 0.6 },
+  ];
+  assert(
+    selectSignals(getProfile("risk"), mixedSignals).map((n) => n.narrative).join("") === "BC",
+    "Risk profile keeps downside and volatility signals"
+  );
+  assert(
+    selectSignals(getProfile("hedera-ecosystem"), mixedSignals, new AssetRegistry(JSON.parse(fs.readFileSync("config/assets.json", "utf-8")).assets))
+      .map((n) => n.narrative).join("") === "D",
+    "Hedera profile keeps Hedera ecosystem signals"
+  );
+  assert(selectSignals(getProfile("general"), mixedSignals).length === 4, "General profile keeps everything");
+
+  const fetchedFor = [];
+  let newsFetches = 0;
+  let networkFetches = 0;
+  const focusEngine = new IntelEngine({
+    history,
+    rules: new NarrativeRules([]),
+    prices: {
+      fetchPrices: async (symbols) => (
+        fetchedFor.push(symbols),
+        Object.fromEntries(symbols.map((s, i) => [s, { price: 10 + i, change24h: i % 2 ? -7 : 7, marketCap: 1e9 * (i + 1) }]))
+      ),
+    },
+    news: { fetch: async () => (newsFetches++, []) },
+    network: { generateNetworkReport: async () => (networkFetches++, { network: "testnet", healthScore: 90 }) },
+  });
+
+  const snapshot = await focusEngine.generateReport({ focus: "prices" });
+  assert(
+    snapshot.title.startsWith("Price Snapshot") && snapshot.signals.length === 0 && snapshot.actionItems.length === 0,
+    "Price snapshot carries prices only"
+  );
+  assert(newsFetches === 0 && networkFetches === 0 && !snapshot.crossAsset, "Price snapshot skips news, network and analysis");
+
+  const riskBrief = await focusEngine.generateReport({ focus: "risk" });
+  assert(
+    riskBrief.title.startsWith("Risk Brief") &&
+      riskBrief.signals.length === 5 &&
+      riskBrief.signals.every((n) => n.direction === "bearish" || getProfile("risk").signals.types.includes(n.type)),
+    `Risk brief keeps only risk signals (${riskBrief.signals.length})`
+  );
+  assert(riskBrief.crossAsset && !riskBrief.news && !riskBrief.network, "Risk brief keeps its own sections");
+
+  const hederaBrief = await focusEngine.generateReport({ focus: "hedera-ecosystem" });
+  assert(
+    ["HBAR", "SAUCE", "HBARX", "BTC"].every((s) => fetchedFor[2].includes(s)),
+    `Hedera brief covers the ecosystem by default (${fetchedFor[2].join(",")})`
+  );
+  assert(
+    networkFetches === 1 && hederaBrief.network?.healthScore === 90 && hederaBrief.signals.every((n) => n.asset !== "BTC"),
+    "Hedera brief adds network metrics and drops non-Hedera signals"
+  );
+
+  await focusEngine.generateReport({ focus: "defi" });
+  assert(["ETH", "UNI", "AAVE"].every((s) => fetchedFor[3].includes(s)), "DeFi brief covers DeFi tokens");
+
+  const unknownFocus = await focusEngine.generateReport({ focus: "memes", assets: ["BTC"] });
+  assert(unknownFocus.focus === "general" && fetchedFor[4].join() === "BTC", "Unknown focus falls back to general; assets override the profile");
+
+  // ─── Test 38: Portfolio ──────────────────────────
+  console.log("\nTest 38: Portfolio");
+  let badHolding = null;
+  try {
+    new Portfolio([{ symbol: "BTC", amount: "lots" }]);
+  } catch (err) {
+    badHolding = err.message;
+  }
+  assert(badHolding === "Portfolio holding BTC: amount must be a number", "Holdings are validated");
+
+  const pfRegistry = new AssetRegistry(JSON.parse(fs.readFileSync("config/assets.json", "utf-8")).assets);
+  const holdings = new Portfolio(
+    [
+      { symbol: "hbar", amount: 10000, costBasis: 0.05 },
+      { symbol: "BTC", amount: 0.1, costBasis: 50000 },
+      { symbol: "ETH", amount: 1 },
+      { symbol: "DOGE", amount: 500, costBasis: 0.1 },
+    ],
+    { account: "0.0.4242" }
+  );
+  const pfPrices = { HBAR: { price: 0.1 }, BTC: { price: 60000 }, ETH: { price: 3000 } };
+  const pfSignals = [
+    { narrative: "BTC Overbought", type: "overbought", asset: "BTC", direction: "bearish", score: 0.7 },
+    { narrative: "SOL Momentum", type: "bullish-momentum", asset: "SOL", direction: "bullish", score: 0.6 },
+  ];
+  const analysis = analyzePortfolio(holdings, pfPrices, pfSignals, { registry: pfRegistry });
+  assert(
+    analysis.totalValue === 10000 && analysis.totalCost === 5500 && analysis.pnl === 1500 && analysis.pnlPct === 27.27,
+    `Portfolio is valued with P&L on the costed positions (${analysis.totalValue}, ${analysis.pnl})`
+  );
+  assert(
+    analysis.positions.map((p) => `${p.symbol}:${p.weightPct}`).join() === "BTC:60,ETH:30,HBAR:10" &&
+      analysis.positions[1].pnl === null,
+    "Positions carry weights, largest first; no cost basis means no P&L"
+  );
+  assert(analysis.unpriced.join() === "DOGE", "Unpriced holdings are left out of the totals");
+  assert(
+    analysis.warnings.some((w) => w.startsWith("BTC is 60.0%")) && analysis.warnings.some((w) => w.startsWith("L1 assets are 100.0%")),
+    "Position and category concentration are flagged"
+  );
+  assert(
+    analysis.positions[0].signals.length === 1 && analysis.positions[0].signals[0].direction === "bearish",
+    "Signals are matched to the holdings they touch"
+  );
+
+  const mirrorPaths = [];
+  const fromAccount = await holdings.withAccountBalances(async (p) => {
+    mirrorPaths.push(p);
+    if (p === "/api/v1/accounts/0.0.4242") {
+      return {
+        balance: {
+          balance: 2500000000000,
+          tokens: [
+            { token_id: "0.0.731861", balance: 1234500000 },
+            { token_id: "0.0.999999", balance: 5 },
+          ],
+        },
+      };
+    }
+    return p === "/api/v1/tokens/0.0.731861" ? { decimals: "6" } : null;
+  }, pfRegistry);
+  const hbarHolding = fromAccount.holdings.find((h) => h.symbol === "HBAR");
+  const sauceHolding = fromAccount.holdings.find((h) => h.symbol === "SAUCE");
+  assert(
+    hbarHolding.amount === 25000 && hbarHolding.costBasis === 0.05 && hbarHolding.source === "account 0.0.4242",
+    "Account HBAR balance replaces the file amount and keeps its cost basis"
+  );
+  assert(
+    sauceHolding?.amount === 1234.5 && sauceHolding.costBasis === null && !mirrorPaths.includes("/api/v1/tokens/0.0.999999"),
+    "HTS balances are scaled by token decimals; unknown tokens are skipped"
+  );
+
+  const pfEngine = new IntelEngine({
+    history,
+    rules: new NarrativeRules([]),
+    prices: {
+      fetchPrices: async (symbols) =>
+        Object.fromEntries(symbols.filter((s) => pfPrices[s]).map((s) => [s, { ...pfPrices[s], change24h: s === "BTC" ? 9 : 1 }])),
+    },
+    news: { fetch: async () => [] },
+  });
+  let noHoldings = null;
+  try {
+    await pfEngine.generateReport({ focus: "portfolio" });
+  } catch (err) {
+    noHoldings = err.message;
+  }
+  assert(noHoldings?.includes("needs holdings"), "Portfolio focus needs holdings");
+
+  const pfReport = await pfEngine.generateReport({ focus: "portfolio", portfolio: holdings });
+  assert(
+    pfReport.title.startsWith("Portfolio Brief") &&
+      pfReport.assets.map((a) => a.symbol).sort().join() === "BTC,ETH,HBAR" &&
+      pfReport.portfolio.totalValue === 10000,
+    "Portfolio brief covers the holdings"
+  );
+  assert(/^[0-9a-f]{32}$/.test(pfReport.salt), "Portfolio reports are salted");
+  const pfLines = renderPortfolio(pfReport);
+  const euroPfLines = renderPortfolio({ ...pfReport, currency: "EUR", exchangeRate: { perUsd: 0.9, source: "test" } });
+  assert(
+    pfLines[0].startsWith("  Value:  $10,000.00 ") && euroPfLines[0].replace(/\s/g, " ").startsWith("  Value:  9.000,00 € "),
+    `Portfolio is shown in the report currency (${euroPfLines[0]})`
+  );
+
+  configureSimulator();
+  const committer = new HederaService();
+  await committer.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+  const commitTopic = await committer.createTopic("portfolio");
+  const commitReceipt = await committer.publishCommitment(pfReport);
+  const commitSeq = commitReceipt.sequenceNumber || commitReceipt.chunks[0].sequenceNumber;
+  const { envelope: commitEnvelope } = await committer._fetchEnvelope(commitTopic, commitSeq);
+  assert(
+    commitEnvelope.type === "report_commitment" &&
+      commitEnvelope.commitment.digest === hashCanonical(pfReport) &&
+      !JSON.stringify(commitEnvelope).includes("HBAR"),
+    "Only the digest of the portfolio report goes on-chain"
+  );
+  const commitVerified = await committer.verifyReport(commitTopic, commitSeq, pfReport);
+  assert(
+    commitVerified.valid && commitVerified.commitment && commitVerified.signedBy === simOperator.accountId,
+    "Private copy verifies against the commitment"
+  );
+  const forgedPortfolio = await committer.verifyReport(commitTopic, commitSeq, {
+    ...pfReport,
+    portfolio: { ...pfReport.portfolio, totalValue: 20000 },
+  });
+  assert(!forgedPortfolio.valid, "Altered portfolio report fails verification");
+
+  const commitArchive = new ReportArchive(fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-commit-archive-")));
+  const committed = commitArchive.record(pfReport, commitReceipt, { kind: "commitment" });
+  const commitTracker = new ScorecardTracker(commitArchive, history, {
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-commit-scores-")),
+    now: () => Date.now() + 365 * 86400000,
+  });
+  assert(
+    committed.kind === "commitment" && committed.sequenceNumbers.length > 0 && commitTracker.due().length === 0,
+    "Committed portfolio reports never become due for a public scorecard"
+  );
+
+  // ─── Test 39: Risk Metrics ───────────────────────
+  console.log("\nTest 39: Risk Metrics");
+  const tailReturns = [-0.1, -0.05, ...new Array(38).fill(0.01)];
+  const tail = risk.valueAtRisk(tailReturns, 0.95);
+  assert(tail.varPct === 5 && tail.cvarPct === 7.5, `Historical VaR/CVaR from the worst 5% of days (${tail.varPct}, ${tail.cvarPct})`);
+  assert(risk.valueAtRisk(tailReturns.slice(0, 10)) === null, "VaR needs enough history");
+
+  const drawdown = risk.maxDrawdown([[0, 100], [1000, 120], [2000, 90], [3000, 110]]);
+  assert(
+    drawdown.maxDrawdownPct === 25 && drawdown.troughAt === new Date(2000).toISOString() && drawdown.currentDrawdownPct === 8.33,
+    "Max drawdown runs peak to trough; current drawdown is off the running peak"
+  );
+  assert(Math.abs(risk.beta([0.02, -0.04, 0.06, 0.01], [0.01, -0.02, 0.03, 0.005], 4) - 2) < 1e-9, "Beta of a 2x leveraged series is 2");
+
+  // 91 daily closes: SOL moves 1.5x BTC; both turn wild in the last week,
+  // while ETH goes quiet
+  let riskSeed = 11;
+  const riskNoise = () => ((riskSeed = (riskSeed * 16807) % 2147483647) / 2147483647 - 0.5) * 2;
+  const riskNow = Date.UTC(2026, 3, 1);
+  const riskCloses = { BTC: [60000], SOL: [150], ETH: [3000] };
+  for (let d = 1; d <= 90; d++) {
+    const market = riskNoise() * (d > 83 ? 0.05 : 0.01);
+    riskCloses.BTC.push(riskCloses.BTC[d - 1] * (1 + market));
+    riskCloses.SOL.push(riskCloses.SOL[d - 1] * (1 + 1.5 * market));
+    riskCloses.ETH.push(riskCloses.ETH[d - 1] * (1 + riskNoise() * (d > 83 ? 0.003 : 0.03)));
+  }
+  const riskDir = fs.mkdtempSync(path.join(os.tmpdir(), "hedera-intel-risk-"));
+  for (const [symbol, closes] of Object.entries(riskCloses)) {
+    const series = [];
+    for (let h = 0; h <= 90 * 24; h++) {
+      series.push([riskNow - 90 * 86400000 + h * 3600000, closes[Math.floor(h / 24)]]);
+    }
+    fs.writeFileSync(path.join(riskDir, `${symbol}.json`), JSON.stringify({ series, updatedAt: riskNow }));
+  }
+  const riskHistory = new PriceHistory(riskDir, { now: () => riskNow, httpGet: async () => { throw new Error("offline"); } });
+
+  const riskEngine = new IntelEngine({
+    history: riskHistory,
+    rules: new NarrativeRules([]),
+    prices: {
+      fetchPrices: async (symbols) => Object.fromEntries(symbols.map((s) => [s, { price: riskCloses[s][90], change24h: 0 }])),
+    },
+    news: { fetch: async () => [] },
+  });
+  const riskReading = riskEngine._analyzeRisk(["BTC", "SOL", "ETH"]);
+  const sol = riskReading.assets.SOL;
+  assert(
+    riskReading.asOf === new Date(riskNow).toISOString() && sol.points === 90,
+    `Risk is read from 90 daily returns (${sol.points})`
+  );
+  assert(
+    Math.abs(sol.volatility["30d"] / riskReading.assets.BTC.volatility["30d"] - 1.5) < 0.01 && sol.beta === 1.5 && riskReading.assets.BTC.beta === 1,
+    `Volatility and beta scale with exposure to BTC (β ${sol.beta})`
+  );
+  assert(sol.varPct > 0 && sol.cvarPct >= sol.varPct && sol.maxDrawdownPct > 0, "Tail and drawdown figures are positive losses");
+  const regimes = Object.fromEntries(riskReading.regimeChanges.map((e) => [e.asset, e.regime]));
+  assert(
+    regimes.BTC === "expansion" && regimes.SOL === "expansion" && regimes.ETH === "compression",
+    `Volatility regime changes are detected both ways (${JSON.stringify(regimes)})`
+  );
+
+  const riskReport = await riskEngine.generateReport({ focus: "risk", assets: ["BTC", "SOL", "ETH"] });
+  assert(riskReport.risk?.assets.ETH && riskReport.indicators === undefined, "Risk brief carries the risk section");
+  assert(
+    riskReport.signals.some((n) => n.type === "volatility-regime" && n.asset === "BTC" && n.evidence.includes("expansion")),
+    "Regime changes become risk signals"
+  );
+  const snapshotNoRisk = await riskEngine.generateReport({ focus: "prices", assets: ["BTC"] });
+  assert(snapshotNoRisk.risk === undefined, "Price snapshot has no risk section");
+  assert(buildManifest(riskReport).risk === hashCanonical(riskReport.risk), "Risk figures are covered by the report manifest");
+
+  // ─── Test 40: Quote Currencies ───────────────────
+  console.log("\nTest 40: Quote Currencies");
+  const fxRegistry = new AssetRegistry(JSON.parse(fs.readFileSync("config/assets.json", "utf-8")).assets);
+  assert(
+    resolveCurrency("euros").code === "EUR" && resolveCurrency("yen").code === "JPY" && resolveCurrency("bitcoin", fxRegistry).kind === "crypto",
+    "Currencies resolve from codes, names and tracked assets"
+  );
+  let badCurrency = null;
+  try {
+    resolveCurrency("doubloons", fxRegistry);
+  } catch (err) {
+    badCurrency = err.message;
+  }
+  assert(badCurrency?.startsWith("Unknown currency: doubloons"), "Unknown currencies are rejected");
+
+  const inEuros = parseCurrency("What's the price of SOL in euros?", fxRegistry);
+  assert(inEuros.currency.code === "EUR" && inEuros.text === "What's the price of SOL", "Quote currency is parsed off a question");
+  assert(
+    parseCurrency("ETH in BTC terms", fxRegistry).currency.code === "BTC" && parseCurrency("trends in defi", fxRegistry) === null,
+    "Crypto bases parse; other 'in' phrases do not"
+  );
+  const pricedIn = parseCurrency("Price of SOL priced in HBAR?", fxRegistry);
+  assert(pricedIn.currency.code === "HBAR" && pricedIn.text === "Price of SOL", "'Priced in' names a crypto base");
+  assert(
+    ["What is happening in solana?", "Any narratives in hedera?", "Show me momentum in eth", "Price of SOL in BTC"].every(
+      (q) => parseCurrency(q, fxRegistry) === null
+    ),
+    "A bare 'in <asset>' is the subject, not a quote currency"
+  );
+
+  const spaced = (text) => text.replace(/\s/g, " ");
+  assert(spaced(formatMoney(61234.567, resolveCurrency("EUR"))) === "61.234,57 €", "Euros use the European format");
+  assert(formatMoney(61234.567, resolveCurrency("USD")) === "$61,234.57", "Dollars use the US format");
+  assert(formatMoney(0.0025, resolveCurrency("BTC", fxRegistry)) === "₿0.0025", "Small crypto-quoted prices keep their digits");
+  assert(spaced(formatMoney(1234.5, resolveCurrency("EUR", null, "en-IE"))) === "€1,234.50", "Locale can be overridden");
+
+  let rateFetches = 0;
+  const rates = new ExchangeRates(async () => (rateFetches++, { rates: { usd: { value: 60000 }, eur: { value: 54000 } } }));
+  assert((await rates.perUsd("EUR")) === 0.9 && (await rates.perUsd("EUR")) === 0.9 && rateFetches === 1, "Exchange rates are cached");
+
+  const fxFetched = [];
+  const fxQuotes = {
+    BTC: { price: 60000, change24h: 2, marketCap: 1.2e12 },
+    SOL: { price: 150, change24h: 5, marketCap: 7e10 },
+  };
+  const fxEngine = new IntelEngine({
+    history,
+    rules: new NarrativeRules([]),
+    prices: { fetchPrices: async (symbols) => (fxFetched.push(symbols), Object.fromEntries(symbols.filter((s) => fxQuotes[s]).map((s) => [s, fxQuotes[s]]))) },
+    news: { fetch: async () => [] },
+    fx: rates,
+  });
+
+  const euroReport = await fxEngine.generateReport({ focus: "prices", assets: ["SOL"], currency: "EUR" });
+  assert(
+    euroReport.currency === "EUR" && euroReport.exchangeRate.perUsd === 0.9 && euroReport.assets[0].price === 135,
+    `Report is quoted in euros (${euroReport.assets[0].price})`
+  );
+  const euroShown = formatAsset(euroReport.assets[0], currencyForCode(euroReport.currency));
+  assert(spaced(euroShown.price) === "135,00 €", `Renderer formats euros (${euroShown.price})`);
+  assert(spaced(euroShown.marketCap) === "63 Mrd. €", `Market cap is compact and localized (${euroShown.marketCap})`);
+
+  const btcReport = await fxEngine.generateReport({ focus: "prices", assets: ["SOL"], currency: "BTC" });
+  assert(fxFetched[1].includes("BTC") && btcReport.assets.length === 1, "A crypto base is fetched but not reported");
+  const btcShown = formatAsset(btcReport.assets[0], currencyForCode(btcReport.currency));
+  assert(
+    btcReport.assets[0].price === 0.0025 && btcShown.price === "₿0.0025" && btcShown.change24h === "+2.9%",
+    `BTC-quoted price and change are relative to BTC (${btcShown.price}, ${btcShown.change24h})`
+  );
+
+  const euroQuote = { currency: resolveCurrency("EUR"), perUsd: 0.9, change24h: 0 };
+  const [euroMomentum] = fxEngine._detectNarratives({ SOL: { price: 150, change24h: 8 } }, [], "general", {}, {}, null, null, null, euroQuote);
+  assert(spaced(euroMomentum.action) === "Monitor SOL for continuation above 135,00 €", `Signal actions quote the report currency (${euroMomentum.action})`);
+  const [euroRule] = new NarrativeRules([{ id: "level", narrative: "Level", when: "price > 0", evidence: "{{symbol}} at {{money(price)}}" }])
+    .evaluate({ prices: { SOL: { price: 150 } }, quote: euroQuote });
+  assert(spaced(euroRule.evidence) === "SOL at 135,00 €", `Rule templates format money in the quote currency (${euroRule.evidence})`);
+
+  const usdReport = await fxEngine.generateReport({ focus: "prices", assets: ["SOL"] });
+  assert(
+    usdReport.currency === "USD" && !usdReport.exchangeRate && usdReport.assets[0].price === 150 && formatAsset(usdReport.assets[0], currencyForCode("USD")).price === "$150.00",
+    "USD stays the default"
+  );
+
+  const noRates = new IntelEngine({
+    history,
+    rules: new NarrativeRules([]),
+    prices: fxEngine.prices,
+    news: { fetch: async () => [] },
+    fx: new ExchangeRates(async () => { throw new Error("offline"); }),
+  });
+  const fallbackReport = await noRates.generateReport({ focus: "prices", assets: ["SOL"], currency: "JPY" });
+  assert(fallbackReport.currency === "USD", "Missing exchange rates fall back to USD");
+
+  const fxAgent = new OpenConvAIAgent(fxEngine, liveNet);
+  const chatEuros = await fxAgent._processQuery("What's the price of SOL in euros?");
+  assert(
+    chatEuros.type === "price_check" && chatEuros.currency === "EUR" && chatEuros.assets.map((a) => a.symbol).join() === "SOL",
+    "Chat quotes in the currency the question asks for"
+  );
+  const chatSolana = await fxAgent._processQuery("What is happening in solana?");
+  assert(
+    chatSolana.currency === "USD" && chatSolana.assets.map((a) => a.symbol).includes("SOL"),
+    "Chat keeps 'in solana' as the subject"
+  );
+
+  // ─── Test 41: Report Schema ──────────────────────
+  console.log("\nTest 41: Report Schema");
+  assert(loadReportSchema("1.0").$id.endsWith("report-1.0.json") && loadReportSchema("../x") === null, "Schemas load by version");
+  assert(
+    validate(3, { type: "integer" }).length === 0 &&
+      validate(3.5, { type: "integer" }).length === 1 &&
+      validate({ a: -1 }, { properties: { a: { $ref: "#/$defs/n" } }, $defs: { n: { minimum: 0 } } }).length === 1,
+    "Validator handles integers, bounds and $refs"
+  );
+
+  const typedReports = [usdReport, euroReport, btcReport, report, pfReport];
+  assert(typedReports.every((r) => r.schemaVersion === "1.0" && validateReport(r).valid), "Generated reports match schema 1.0");
+  assert(
+    typeof usdReport.assets[0].price === "number" && usdReport.assets[0].marketCap === 7e10 && Array.isArray(usdReport.assets[0].sources),
+    "Assets carry raw numbers"
+  );
+
+  const euroAssets = fxEngine._assetData(
+    { SOL: { price: 150, change24h: 5, sources: ["a", "b", "c"], dispersionPct: 0.1, rejected: [{ provider: "d", price: 200 }] } },
+    euroQuote
+  );
+  assert(euroAssets[0].price === 135 && euroAssets[0].rejected[0].price === 180, "Rejected quotes are converted like the price");
+  assert(
+    pfReport.portfolio.currency === "USD" && !validateReport({ ...pfReport, portfolio: { ...pfReport.portfolio, currency: undefined } }).valid,
+    "Sections kept in USD say so"
+  );
+  const stringPrice = { ...usdReport, assets: [{ ...usdReport.assets[0], price: "$150.00" }] };
+  const stringCheck = validateReport(stringPrice);
+  assert(!stringCheck.valid && stringCheck.errors[0] === "$.assets[0].price: expected number, got string", "Formatted prices are rejected");
+  assert(!validateReport({ ...usdReport, signals: [{ narrative: "x", evidence: "y", score: 1.5 }] }).valid, "Signal scores must be 0-1");
+  assert(!validateReport({ ...usdReport, confidence: "certain" }).valid, "Confidence labels are an enum");
+  assert(!validateReport({ ...usdReport, extra: 1 }).valid, "Unknown report fields are rejected");
+  assert(validateReport({ ...usdReport, schemaVersion: "9.9" }).errors[0] === "$: unknown schemaVersion 9.9", "Unknown schema versions are rejected");
+
+  configureSimulator();
+  const schemaSim = new HederaService();
+  await schemaSim.initialize(simOperator.accountId, simOperator.privateKey, "local-sim");
+  await schemaSim.createTopic("schema");
+  const schemaReceived = [];
+  await schemaSim.subscribe((message) => schemaReceived.push(message));
+
+  let schemaRejected = null;
+  await schemaSim.publishReport(stringPrice).catch((err) => (schemaRejected = err));
+  assert(schemaRejected?.message.startsWith("Report fails schema validation: $.assets[0].price"), "Invalid reports are not published");
+  await schemaSim.publishReport(usdReport);
+  await schemaSim.publishReport({ title: "Response: capabilities", summary: "untyped" });
+  await schemaSim._publishMessage(JSON.stringify(schemaSim._buildEnvelope(stringPrice)), "report");
+  await settle();
+  assert(schemaReceived.length === 3, "Only the valid and untyped reports went through publishReport");
+  assert(
+    schemaReceived[0].schema.valid && schemaReceived[0].schema.version === "1.0" && schemaReceived[1].schema === null,
+    "Subscribers validate typed reports and pass untyped messages"
+  );
+  assert(!schemaReceived[2].schema.valid && schemaReceived[2].schema.errors.length === 1, "Subscribers flag reports that fail the schema");
+
+  const euroLines = renderAssets(euroReport);
+  assert(euroLines.length === 1 && spaced(euroLines[0]).includes("135,00 €") && euroLines[0].includes("MCap:"), "Renderer formats report assets");
+  assert(
+    renderAssets(euroReport, { locale: "en-US" })[0].includes("€135.00"),
+    "Renderer takes the reader's locale"
+  );
+  const rendered = renderReport(report);
+  assert(rendered[0] === `Title:      ${report.title}` && rendered.includes("Assets:"), "Renderer lays out the full report");
+
   // Summary
   console.log("\n───────────────────────────────────────────────────");
   console.log(`  Results: ${passed} passed, ${failed} failed`);